@@ -2,8 +2,9 @@
 # Orchestrator Configuration
 
 # Base directories
-export LAUNCH_DIR="/home/sauhumatti/gemini/launch-files"
-export RUNTIME_DIR="/home/sauhumatti/gemini/runtime"
+# (the web UI passes its own RUNTIME_DIR when it runs orchestrator.sh)
+export LAUNCH_DIR="${LAUNCH_DIR:-/home/sauhumatti/gemini/launch-files}"
+export RUNTIME_DIR="${RUNTIME_DIR:-/home/sauhumatti/gemini/runtime}"
 export PROJECTS_DIR="$RUNTIME_DIR/projects"
 
 # Active project directory (set by orchestrator when starting/resuming)
@@ -16,6 +17,9 @@ export RESOURCES_FILE=""     # e.g., PROJECT_DIR/status/resources.env
 
 # MCP Configurations (unified chrome-devtools for all agents)
 export MCP_DIR="$LAUNCH_DIR/mcp"
+
+# Shell helpers (lib/json_store.py locks state files like mcp/shared/store.js)
+export ORCHESTRATOR_LIB_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/lib"
 export CHROME_DEVTOOLS_MCP_CONFIG="$MCP_DIR/chrome-devtools-mcp.json"
 export PM_MCP_CONFIG=""  # Generated dynamically per project
 
@@ -57,7 +61,24 @@ generate_pm_mcp_config() {
       "env": {
         "STATUS_DIR": "$STATUS_DIR",
         "AGENTS_DIR": "$AGENTS_DIR",
-        "WORKSPACE": "$WORKSPACE"
+        "WORKSPACE": "$WORKSPACE",
+        "AGENT_TIMEOUT": "$AGENT_TIMEOUT",
+        "AGENT_DEAD_TIMEOUT": "$AGENT_DEAD_TIMEOUT",
+        "AGENT_STOP_GRACE": "$AGENT_STOP_GRACE",
+        "TASK_MAX_ATTEMPTS": "$TASK_MAX_ATTEMPTS",
+        "TASK_RETRY_BACKOFF": "$TASK_RETRY_BACKOFF",
+        "AGENT_MAX_RUNTIME": "$AGENT_MAX_RUNTIME",
+        "AGENT_MAX_MEMORY_MB": "$AGENT_MAX_MEMORY_MB",
+        "AGENT_MAX_TOOL_CALLS": "$AGENT_MAX_TOOL_CALLS",
+        "AGENT_LIMIT_CHECK_INTERVAL": "$AGENT_LIMIT_CHECK_INTERVAL",
+        "AUTO_ASSIGN": "$AUTO_ASSIGN",
+        "AUTO_ASSIGN_INTERVAL": "$AUTO_ASSIGN_INTERVAL",
+        "AUTOSCALE": "$AUTOSCALE",
+        "AUTOSCALE_LIMITS": "$AUTOSCALE_LIMITS",
+        "AUTOSCALE_IDLE_GRACE": "$AUTOSCALE_IDLE_GRACE",
+        "AUTOSCALE_INTERVAL": "$AUTOSCALE_INTERVAL",
+        "MAX_PARALLEL_AGENTS": "$MAX_PARALLEL_AGENTS",
+        "AGENT_BACKENDS_FILE": "${AGENT_BACKENDS_FILE:-}"
       }
     },
     "messaging": {
@@ -96,10 +117,33 @@ set_project_paths() {
 # Timing
 export POLL_INTERVAL=10  # seconds between status checks
 export AGENT_TIMEOUT=300 # seconds before considering agent stuck
+export AGENT_DEAD_TIMEOUT=900 # seconds without a heartbeat before an agent with no process to check is flagged dead
+export AGENT_STOP_GRACE=30    # seconds a working agent gets to commit and exit when terminated
+
+# Task queue: attempts a task gets before it is failed when its agent dies mid-task
+export TASK_MAX_ATTEMPTS=3
+export TASK_RETRY_BACKOFF=30   # seconds before a retried task can be picked up (doubles per attempt)
+
+# Automatic task matching in pm-control (the PM can also toggle it with auto_assign)
+export AUTO_ASSIGN=false         # assign ready tasks to standby agents in the background
+export AUTO_ASSIGN_INTERVAL=15   # seconds between background matcher passes
 
 # Parallel execution limits (set high since you have unlimited tiers)
 export MAX_PARALLEL_AGENTS=20
 
+# Resource limits for each persistent agent, enforced by pm-control (0 = no limit).
+# Backends (backends.json "limits"), spawn_agent and tasks can override them.
+export AGENT_MAX_RUNTIME=0          # seconds of wall-clock time
+export AGENT_MAX_MEMORY_MB=0        # resident memory of the agent's process group
+export AGENT_MAX_TOOL_CALLS=0       # messaging tool calls
+export AGENT_LIMIT_CHECK_INTERVAL=5 # seconds between limit checks
+
+# Pool autoscaler in pm-control (the PM can also run/toggle it with autoscale)
+export AUTOSCALE=false                                    # grow/shrink the agent pool in the background
+export AUTOSCALE_LIMITS="claude:0-4,codex:0-4,gemini:0-2" # backend:min-max, spawned in this order
+export AUTOSCALE_IDLE_GRACE=300                           # seconds in standby before an agent is retired
+export AUTOSCALE_INTERVAL=30                              # seconds between autoscaler passes
+
 # Conflict resolution
 export MAX_CONFLICT_RETRIES=2  # Max attempts to resolve merge conflicts
 
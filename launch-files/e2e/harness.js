@@ -0,0 +1,267 @@
+/**
+ * End-to-end harness
+ * Boots the real system against a throwaway runtime dir: the web UI server,
+ * and the pm-control MCP server driven the way the PM would drive it. Agents
+ * are spawned with the mock backend, so nothing calls a model.
+ */
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import WebSocket from "ws";
+import fs from "fs";
+import os from "os";
+import net from "net";
+import path from "path";
+import { spawn, execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LAUNCH_DIR = path.dirname(__dirname);
+const PM_CONTROL_SERVER = path.join(LAUNCH_DIR, "mcp", "pm-control-server", "server.js");
+const WEB_UI_SERVER = path.join(LAUNCH_DIR, "web-ui", "server", "index.js");
+
+export const PROJECT = "e2e";
+// Events the web UI keeps per project for resuming sockets (small, to test the snapshot fallback)
+export const REPLAY_EVENTS = 20;
+export const API_TOKEN = "e2e-token";
+
+// Dashboard users besides the operator behind API_TOKEN
+export const USERS = [
+  { name: "vera", role: "viewer", token: "viewer-token" },
+  { name: "rory", role: "responder", token: "responder-token" },
+];
+
+// ask_pm escalates to the user within a second, so tests can answer
+// through the web UI instead of running a PM
+const FAST_ASK_PM_TIMEOUTS = {
+  normal: { repingAfter: 300, escalateAfter: 600, giveUpAfter: 60000 },
+};
+
+// Helper to poll until fn() returns a truthy value
+export async function waitFor(fn, { timeout = 20000, interval = 100, label = "condition" } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    try {
+      const value = await fn();
+      if (value) return value;
+    } catch (e) {
+      lastError = e;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timed out waiting for ${label}` + (lastError ? ` (last error: ${lastError.message})` : ""));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+function git(cwd, ...args) {
+  return execFileSync("git", ["-c", "user.name=e2e", "-c", "user.email=e2e@test.local", ...args], {
+    cwd,
+    encoding: "utf-8",
+    stdio: ["ignore", "pipe", "pipe"],
+  }).trim();
+}
+
+// Lay out RUNTIME_DIR/projects/e2e the way orchestrator.sh does
+function createRuntime() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "orchestrator-e2e-"));
+  const projectDir = path.join(root, "projects", PROJECT);
+  const dirs = {
+    root,
+    projectDir,
+    workspace: path.join(projectDir, "workspace"),
+    agentsDir: path.join(projectDir, "agents"),
+    statusDir: path.join(projectDir, "status"),
+  };
+  dirs.messagesDir = path.join(dirs.statusDir, "messages");
+
+  for (const dir of [dirs.workspace, dirs.agentsDir, dirs.messagesDir]) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(path.join(projectDir, "project.json"), JSON.stringify({
+    name: PROJECT,
+    description: "End-to-end test project",
+    status: "active",
+  }, null, 2));
+  fs.writeFileSync(path.join(dirs.statusDir, "tasks.json"), JSON.stringify({
+    project_name: PROJECT,
+    tasks: [
+      { id: "t1", title: "Write a greeting", status: "pending" },
+      { id: "t2", type: "implement", title: "Sign the greeting", status: "pending", depends_on: ["t1"] },
+      { id: "t3", type: "research", title: "Collect greetings", status: "pending", depends_on: [] },
+    ],
+  }, null, 2));
+
+  fs.writeFileSync(path.join(dirs.workspace, "README.md"), "# e2e\n");
+  git(dirs.workspace, "init", "-q", "-b", "main");
+  git(dirs.workspace, "add", "README.md");
+  git(dirs.workspace, "commit", "-q", "-m", "Initial commit");
+
+  fs.writeFileSync(path.join(root, "web-ui-users.json"), JSON.stringify({ users: USERS }, null, 2));
+
+  // What generate_pm_mcp_config writes; the web UI's write API launches
+  // pm-control from it
+  fs.writeFileSync(path.join(dirs.statusDir, "pm-mcp-config.json"), JSON.stringify({
+    mcpServers: {
+      "pm-control": { command: process.execPath, args: [PM_CONTROL_SERVER], env: pmControlEnv(dirs) },
+    },
+  }, null, 2));
+
+  return dirs;
+}
+
+async function startWebUi(root, port) {
+  if (!fs.existsSync(path.join(LAUNCH_DIR, "web-ui", "node_modules"))) {
+    throw new Error("web-ui dependencies are not installed (run npm install in launch-files/web-ui)");
+  }
+
+  const child = spawn(process.execPath, [WEB_UI_SERVER], {
+    env: { ...process.env, RUNTIME_DIR: root, PORT: String(port), NODE_ENV: "test", ORCHESTRATOR_API_TOKEN: API_TOKEN,
+      WEB_UI_REPLAY_EVENTS: String(REPLAY_EVENTS) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", data => { output += data; });
+  child.stderr.on("data", data => { output += data; });
+
+  await waitFor(async () => {
+    if (child.exitCode !== null) {
+      throw new Error(`web UI exited early:\n${output}`);
+    }
+    const res = await fetch(`http://localhost:${port}/health`);
+    return res.ok;
+  }, { label: "web UI to start" });
+
+  return child;
+}
+
+// pm-control's environment, as config.sh would generate it for the project
+function pmControlEnv(dirs) {
+  return {
+    STATUS_DIR: dirs.statusDir,
+    AGENTS_DIR: dirs.agentsDir,
+    WORKSPACE: dirs.workspace,
+    ORCHESTRATOR_ASK_PM_TIMEOUTS: JSON.stringify(FAST_ASK_PM_TIMEOUTS),
+    AGENT_BACKENDS_FILE: "",
+    // Autoscaler passes are only run on demand by the tests
+    AUTOSCALE_LIMITS: "mock:0-2",
+    AUTOSCALE_IDLE_GRACE: "1",
+    MOCK_AGENT_SCENARIO: "idle",
+    AGENT_LIMIT_CHECK_INTERVAL: "1",
+    AGENT_STOP_GRACE: "5",
+  };
+}
+
+async function connectPmControl(dirs) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [PM_CONTROL_SERVER],
+    env: { ...process.env, ...pmControlEnv(dirs) },
+    stderr: process.env.E2E_VERBOSE ? "inherit" : "ignore",
+  });
+  const client = new Client({ name: "e2e-pm", version: "1.0.0" });
+  await client.connect(transport);
+  return client;
+}
+
+// Open the dashboard socket and subscribe it to the e2e project's events
+function connectWebSocket(port, events) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}/?token=${API_TOKEN}`);
+    ws.on("message", data => {
+      const event = JSON.parse(data.toString());
+      events.push(event);
+      if (event.type === "project:subscribed") resolve(ws);
+    });
+    ws.on("open", () => ws.send(JSON.stringify({ type: "project:subscribe", project: PROJECT })));
+    ws.on("error", reject);
+  });
+}
+
+// Start everything; call stop() in an after() hook
+export async function startSystem() {
+  const dirs = createRuntime();
+  const port = await freePort();
+  const events = [];
+
+  const web = await startWebUi(dirs.root, port);
+  const ws = await connectWebSocket(port, events);
+  const pm = await connectPmControl(dirs);
+
+  const system = {
+    ...dirs,
+    port,
+    events,
+
+    // Call a pm-control tool and return its text
+    async callPm(name, args = {}) {
+      const result = await pm.callTool({ name, arguments: args });
+      return (result.content || []).map(c => c.text || "").join("\n");
+    },
+
+    // JSON from the web UI REST API, as the operator unless another token is
+    // given (project is added to the query, or to the body)
+    async api(urlPath, { method = "GET", body, token = API_TOKEN } = {}) {
+      const url = new URL(`http://localhost:${port}/api${urlPath}`);
+      if (method === "GET") url.searchParams.set("project", PROJECT);
+      const res = await fetch(url, {
+        method,
+        headers: {
+          ...(body ? { "Content-Type": "application/json" } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body ? JSON.stringify({ project: PROJECT, ...body }) : undefined,
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    async agentPool() {
+      const { body } = await system.api("/agents");
+      return body.pool;
+    },
+
+    // Send a client message over the dashboard WebSocket
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+
+    waitForEvent(type, predicate = () => true, options = {}) {
+      return waitFor(() => events.find(e => e.type === type && predicate(e)), {
+        label: `${type} event`,
+        ...options,
+      });
+    },
+
+    git: (cwd, ...args) => git(cwd, ...args),
+
+    // A task's entry in the task queue
+    queuedTask(taskId) {
+      const queue = JSON.parse(fs.readFileSync(path.join(dirs.messagesDir, "task_queue.json"), "utf-8"));
+      return queue.tasks.find(t => t.taskId === taskId);
+    },
+
+    async stop() {
+      try {
+        await system.callPm("terminate_all", { confirm: true });
+      } catch (e) {
+        // pm-control may already be gone
+      }
+      await pm.close().catch(() => {});
+      ws.close();
+      web.kill();
+      fs.rmSync(dirs.root, { recursive: true, force: true });
+    },
+  };
+
+  return system;
+}
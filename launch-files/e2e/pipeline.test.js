@@ -0,0 +1,833 @@
+/**
+ * Offline pipeline tests: the PM spawns and assigns a mock agent through
+ * pm-control, the agent talks through the messaging server, and the user
+ * answers and reviews through the web UI.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import WebSocket from "ws";
+import { updateJson } from "../mcp/shared/store.js";
+import { enqueueTask, claimNextTask, taskQueueFile } from "../mcp/shared/task-queue.js";
+import { startSystem, waitFor, PROJECT, USERS, REPLAY_EVENTS } from "./harness.js";
+
+let system;
+
+before(async () => {
+  system = await startSystem();
+});
+
+after(async () => {
+  await system?.stop();
+});
+
+function spawnedAgentId(text) {
+  const match = text.match(/Agent ID: (\S+)/);
+  assert.ok(match, `spawn_agent did not report an agent id:\n${text}`);
+  return match[1];
+}
+
+test("mock agent completes an assigned task end to end", async () => {
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "dev",
+    type: "mock",
+    scenario: "basic",
+  }));
+
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+
+  await system.callPm("assign_task", {
+    agent_id: agentId,
+    task_id: "t1",
+    description: "Write GREETING.md with the greeting the PM picks",
+  });
+
+  // Nobody plays the PM, so the question escalates to the user
+  const question = await waitFor(async () => {
+    const { body } = await system.api("/messages?pending=true");
+    return body.messages.find(m => m.from === agentId);
+  }, { label: "escalated question" });
+  assert.match(question.question, /Which greeting should t1 use/);
+  await system.waitForEvent("pm:question", e => e.message.id === question.id);
+
+  const answer = await system.api(`/messages/${question.id}/respond`, {
+    method: "POST",
+    body: { response: "Hello from e2e" },
+  });
+  assert.equal(answer.status, 200);
+
+  // Handoff is stored and pushed to the dashboard
+  const handoff = await waitFor(async () => {
+    const { status, body } = await system.api("/tasks/t1/handoff");
+    return status === 200 && body.handoff;
+  }, { label: "task handoff" });
+  assert.equal(handoff.summary, "Added GREETING.md for t1");
+  assert.deepEqual(handoff.filesChanged, ["GREETING.md"]);
+  await system.waitForEvent("task:handoff", e => e.taskId === "t1");
+
+  // The commit in the handoff is on the task branch with the user's answer
+  const agentWorkspace = path.join(system.agentsDir, agentId);
+  assert.equal(system.git(agentWorkspace, "rev-parse", "feature/t1"), handoff.commitSha);
+  assert.equal(system.git(agentWorkspace, "show", `${handoff.commitSha}:GREETING.md`), "Hello from e2e");
+
+  // Accepting the assignment put the worktree on that branch, based on main
+  const { workspaceSync } = system.queuedTask("t1");
+  assert.equal(workspaceSync.error, undefined);
+  assert.equal(workspaceSync.branch, "feature/t1");
+  assert.equal(workspaceSync.base, system.git(system.workspace, "rev-parse", "main"));
+  assert.equal(system.git(agentWorkspace, "rev-parse", `${handoff.commitSha}~1`), workspaceSync.head);
+
+  // The queue recorded every step
+  assert.deepEqual(system.queuedTask("t1").history.map(h => h.to), ["assigned", "accepted", "completed"]);
+
+  // Question and answer form one thread
+  const { body: thread } = await system.api(`/threads/${question.id}`);
+  assert.deepEqual(thread.messages.map(m => m.from), [agentId, "user"]);
+
+  // The scenario ends after task_complete and the process exits cleanly
+  const finalState = await waitFor(async () => {
+    const agent = (await system.agentPool())[agentId];
+    return agent?.status === "terminated" && agent;
+  }, { label: `${agentId} to exit` });
+  assert.equal(finalState.exitCode, 0);
+
+  // Its output was captured to the agent log
+  const { body: logs } = await system.api(`/agents/${agentId}/logs`);
+  assert.ok(logs.lines.some(line => line.includes("committed")), "log should record the commit");
+  assert.match(logs.lines.at(-1), /exited with code 0/);
+
+  // The dashboard's filter is plain text, not a pattern
+  const { body: filtered } = await system.api(`/agents/${agentId}/logs?grep=${encodeURIComponent("EXITED with")}`);
+  assert.deepEqual(filtered.lines, [logs.lines.at(-1)]);
+  const { body: literal } = await system.api(`/agents/${agentId}/logs?grep=${encodeURIComponent("(a+)+$")}`);
+  assert.deepEqual(literal.lines, []);
+  assert.equal((await system.api(`/agents/${agentId}/logs?grep=${"x".repeat(201)}`)).status, 400);
+
+  const output = await system.callPm("get_agent_output", { agent_id: agentId, grep: "step \\d+/" });
+  assert.match(output, /step 1\/\d+: await_assignment/);
+  assert.doesNotMatch(output, /exited with code/);
+});
+
+test("terminate_agent stops an idle mock agent", async () => {
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "qa",
+    type: "mock",
+    scenario: "idle",
+  }));
+
+  const agent = await waitFor(async () => {
+    const info = (await system.agentPool())[agentId];
+    return info?.status === "standby" && info;
+  }, { label: `${agentId} to reach standby` });
+
+  // Stream its output to the dashboard while it is being stopped
+  system.send({ type: "agent:logs:subscribe", project: PROJECT, agentId });
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  await system.callPm("terminate_agent", { agent_id: agentId });
+  await system.waitForEvent("agent:log", e => e.agentId === agentId && /terminated by the PM/.test(e.chunk));
+
+  await waitFor(() => {
+    try {
+      process.kill(agent.pid, 0);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }, { label: `pid ${agent.pid} to exit` });
+  const pool = await system.agentPool();
+  assert.equal(pool[agentId].status, "terminated");
+
+  // Its clean worktree is gone, its log is kept
+  assert.equal(pool[agentId].worktreeRemoved, true);
+  assert.doesNotMatch(system.git(system.workspace, "worktree", "list"), new RegExp(agentId));
+  assert.ok(fs.existsSync(path.join(system.agentsDir, agentId, ".agent-logs", "output.log")));
+
+  // Nothing is left in the re-attach registry
+  const registry = JSON.parse(fs.readFileSync(path.join(system.messagesDir, "agent_processes.json"), "utf-8"));
+  assert.equal(registry.agents[agentId], undefined);
+});
+
+test("terminate_agent lets a working agent stop and saves its uncommitted work", async () => {
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "dev",
+    type: "mock",
+    scenario: "redirect",
+  }));
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+  await system.callPm("assign_task", { agent_id: agentId, task_id: "t9", description: "Take notes" });
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "active", {
+    label: `${agentId} to start on t9`,
+  });
+
+  // The scenario leaves NOTES.md uncommitted and exits when told to stop
+  const result = await system.callPm("terminate_agent", { agent_id: agentId });
+  assert.match(result, /terminated \(exited after the stop directive\)/);
+  assert.match(result, new RegExp(`Uncommitted work saved to wip/${agentId} at \\w+: NOTES.md`));
+  assert.match(result, /Worktree removed/);
+
+  assert.equal(system.git(system.workspace, "show", `wip/${agentId}:NOTES.md`), "Started t9");
+  const agent = (await system.agentPool())[agentId];
+  assert.equal(agent.exitReason, "terminated by the PM");
+  assert.equal(agent.wip.branch, `wip/${agentId}`);
+  assert.equal(system.queuedTask("t9").state, "queued");
+
+  await system.callPm("cancel_task", { task_id: "t9" });
+});
+
+test("auto_assign matches ready tasks to standby agents by capability", async () => {
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "implementer",
+    type: "mock",
+    scenario: "idle",
+  }));
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+
+  // t1 is handed off but not approved, so t2 still waits for it;
+  // the idle mock only registers "coding", so it can't take research task t3
+  const preview = await system.callPm("auto_assign", { dry_run: true });
+  assert.match(preview, /t2: waiting on t1/);
+  assert.match(preview, /t3: no standby agent has research/);
+  assert.doesNotMatch(preview, /WOULD ASSIGN/);
+
+  fs.writeFileSync(path.join(system.statusDir, "t1.completed"), "");
+  const result = await system.callPm("auto_assign");
+  assert.match(result, new RegExp(`t2 -> ${agentId} \\(score 13: coding \\+10, role implementer \\+3\\)`));
+
+  const assignment = system.queuedTask("t2");
+  assert.equal(assignment.agentId, agentId);
+  assert.equal(assignment.match.score, 13);
+  assert.ok(fs.existsSync(path.join(system.statusDir, "t2.status")), "t2 should be marked in progress");
+
+  // Nothing is assigned twice
+  assert.doesNotMatch(await system.callPm("auto_assign"), /ASSIGNED/);
+
+  // The idle scenario stops right after accepting, so t2 goes back in the queue
+  const retried = await waitFor(() => system.queuedTask("t2").state === "queued" && system.queuedTask("t2"), {
+    label: "t2 to be requeued",
+  });
+  assert.equal(retried.attempts, 1);
+  assert.equal(retried.agentId, null);
+  assert.match(retried.history.at(-1).reason, /exited with code 0/);
+
+  // Cancelled instead, so no later agent picks it up
+  assert.match(await system.callPm("cancel_task", { task_id: "t2", reason: "covered by t1" }), /t2 cancelled \(was queued\)/);
+  const history = await system.callPm("get_task_queue", { task_id: "t2" });
+  assert.match(history, /State: cancelled/);
+  assert.match(history, /queued -> cancelled \(pm\): covered by t1/);
+});
+
+test("autoscale spawns for uncovered ready tasks and retires idle agents", async () => {
+  // A new task a mock agent can take; research task t3 is beyond the mock backend
+  const tasksFile = path.join(system.statusDir, "tasks.json");
+  const tasks = JSON.parse(fs.readFileSync(tasksFile, "utf-8"));
+  tasks.tasks.push({ id: "t4", type: "implement", title: "Translate the greeting", status: "pending", depends_on: [] });
+  fs.writeFileSync(tasksFile, JSON.stringify(tasks, null, 2));
+
+  const scaleUp = await system.callPm("autoscale");
+  const spawned = scaleUp.match(/spawn mock \((\S+)\): task t4 is ready and no standby agent has coding/);
+  assert.ok(spawned, `expected a spawn for t4:\n${scaleUp}`);
+  assert.match(scaleUp, /t3: mock lacks research/);
+  const agentId = spawned[1];
+
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+
+  // Waiting for t4, so not idle
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  assert.match(await system.callPm("autoscale", { dry_run: true }), /No changes to the pool/);
+
+  // Once t4 is done it is idle past the grace period
+  fs.writeFileSync(path.join(system.statusDir, "t4.completed"), "");
+  const scaleDown = await system.callPm("autoscale");
+  assert.match(scaleDown, new RegExp(`retire ${agentId}: idle in standby for \\d+s \\(grace 1s\\)`));
+  assert.equal((await system.agentPool())[agentId].status, "terminated");
+
+  // Decisions are logged for the dashboard
+  const { body } = await system.api("/agents");
+  assert.deepEqual(body.autoscaler.decisions.map(d => `${d.action} ${d.agentId}`), [`spawn ${agentId}`, `retire ${agentId}`]);
+  await system.waitForEvent("autoscaler:update", e => e.autoscaler.decisions.some(d => d.action === "retire"));
+
+  // Work queued with queue_task is demand too
+  await system.callPm("queue_task", { task_id: "t4q", description: "Queued work", capabilities: ["coding"] });
+  assert.match(await system.callPm("autoscale", { dry_run: true }), /spawn mock: task t4q is queued and no standby agent has coding/);
+  await system.callPm("cancel_task", { task_id: "t4q" });
+});
+
+test("redirect_assignment moves a working agent to a new task and keeps its work", async () => {
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "dev",
+    type: "mock",
+    scenario: "redirect",
+  }));
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+
+  await system.callPm("assign_task", { agent_id: agentId, task_id: "t5", description: "Take notes" });
+  await waitFor(() => system.queuedTask("t5")?.state === "accepted", { label: "t5 to be accepted" });
+
+  const redirected = await system.callPm("redirect_assignment", {
+    agent_id: agentId,
+    task_id: "t6",
+    description: "Something more urgent",
+    priority: "urgent",
+    reason: "t6 blocks the release",
+  });
+  assert.match(redirected, new RegExp(`${agentId} redirected from t5 to t6`));
+  assert.match(redirected, /t5 is back in the queue/);
+
+  // The agent saw the directive on its next send_status, saved its notes
+  // on t5's branch and went on to finish t6
+  const t6 = await waitFor(() => system.queuedTask("t6")?.state === "completed" && system.queuedTask("t6"), {
+    label: "t6 to be completed",
+  });
+  assert.equal(t6.agentId, agentId);
+  assert.equal(t6.priority, "urgent");
+
+  const t5 = system.queuedTask("t5");
+  assert.equal(t5.state, "queued");
+  assert.match(t5.history.at(-1).reason, /t6 blocks the release/);
+  assert.equal(t5.wip.agentId, agentId);
+  // Detaching released the hold that kept t5 from being claimed meanwhile
+  assert.equal(t5.heldBy, undefined);
+  const agentWorkspace = path.join(system.agentsDir, agentId);
+  assert.equal(system.git(agentWorkspace, "rev-parse", "feature/t5"), t5.wip.commit);
+  assert.equal(system.git(agentWorkspace, "show", "feature/t5:NOTES.md"), "Started t5");
+  assert.match(system.git(agentWorkspace, "log", "-1", "--format=%s", "feature/t5"), /WIP on t5: stopped by the PM \(redirect\)/);
+
+  const { body: logs } = await system.api(`/agents/${agentId}/logs`);
+  assert.ok(logs.lines.some(line => line.includes("step 4/6: await_assignment")), "agent should return to await_assignment");
+
+  await system.callPm("cancel_task", { task_id: "t5" });
+});
+
+test("the reaper only gives up on agents whose process is gone", async () => {
+  const poolFile = path.join(system.messagesDir, "agent_pool.json");
+
+  // Working without messaging calls sends no heartbeats, but the agent is still alive
+  const agentId = spawnedAgentId(await system.callPm("spawn_agent", { role: "dev", type: "mock", scenario: "silent" }));
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+  await system.callPm("assign_task", { agent_id: agentId, task_id: "t30", description: "Think quietly" });
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "active", { label: `${agentId} to start t30` });
+  await new Promise(resolve => setTimeout(resolve, 500));
+  updateJson(poolFile, pool => {
+    pool.agents[agentId].lastSeen = new Date(Date.now() - 3600 * 1000).toISOString();
+  });
+
+  await system.callPm("auto_assign", { dry_run: true });
+  const silent = (await system.agentPool())[agentId];
+  assert.equal(silent.status, "active");
+  assert.equal(silent.health, "unresponsive");
+  assert.equal(system.queuedTask("t30").state, "accepted");
+
+  // A pid that now belongs to another process (here: the test runner) doesn't keep an agent alive
+  enqueueTask(system.messagesDir, { taskId: "t31", description: "Lost work", agentId: "ghost-1" });
+  claimNextTask(system.messagesDir, "ghost-1");
+  updateJson(poolFile, pool => {
+    pool.agents["ghost-1"] = {
+      role: "dev", type: "mock", status: "active", currentTask: "t31",
+      pid: process.pid, procStartTime: "1", lastSeen: new Date().toISOString(),
+    };
+  });
+
+  await system.callPm("auto_assign", { dry_run: true });
+  const ghost = (await system.agentPool())["ghost-1"];
+  assert.equal(ghost.status, "dead");
+  assert.equal(ghost.deathReason, "process_exited");
+  const lost = system.queuedTask("t31");
+  assert.equal(lost.state, "queued");
+  assert.equal(lost.attempts, 1);
+  assert.match(lost.history.at(-1).reason, /dead: process_exited/);
+
+  await system.callPm("cancel_task", { task_id: "t31" });
+  await system.callPm("terminate_agent", { agent_id: agentId, grace_seconds: 0 });
+  await system.callPm("cancel_task", { task_id: "t30" });
+});
+
+test("the task queue serves by priority and gives up on a task after its attempts", async () => {
+  const poolFile = path.join(system.messagesDir, "agent_pool.json");
+  // No spawned agent has this capability, so only the test claims these tasks
+  const capabilities = ["queue-test"];
+
+  for (const [taskId, priority] of [["t40", "low"], ["t41", "urgent"], ["t42", "normal"], ["t43", "urgent"]]) {
+    await system.callPm("queue_task", { task_id: taskId, description: `Queued ${priority}`, priority, capabilities });
+  }
+  await system.callPm("set_task_priority", { task_id: "t40", priority: "high" });
+  const claimed = [];
+  for (let task; (task = claimNextTask(system.messagesDir, "claimer", capabilities));) {
+    claimed.push(task.taskId);
+  }
+  assert.deepEqual(claimed, ["t41", "t43", "t40", "t42"]);
+
+  const history = await system.callPm("get_task_queue", { task_id: "t40" });
+  assert.match(history, /new -> queued \(pm\)/);
+  assert.match(history, /priority low -> high \(pm\)/);
+  assert.match(history, /queued -> accepted \(claimer\): attempt 1/);
+  for (const taskId of ["t40", "t41", "t42", "t43"]) {
+    await system.callPm("cancel_task", { task_id: taskId });
+  }
+
+  // Each agent that takes t44 dies with it: the task waits longer before
+  // every retry, and fails once it has had all its attempts
+  await system.callPm("queue_task", { task_id: "t44", description: "Doomed", capabilities });
+  const delays = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const ghostId = `ghost-q${attempt}`;
+    updateJson(taskQueueFile(system.messagesDir), queue => {
+      delete queue.tasks.find(e => e.taskId === "t44").retryAt;
+    });
+    assert.equal(claimNextTask(system.messagesDir, ghostId, capabilities).attempts, attempt);
+    updateJson(poolFile, pool => {
+      pool.agents[ghostId] = {
+        role: "dev", type: "mock", status: "active", currentTask: "t44",
+        pid: process.pid, procStartTime: "1", lastSeen: new Date().toISOString(),
+      };
+    });
+    await system.callPm("auto_assign", { dry_run: true });
+    assert.equal((await system.agentPool())[ghostId].status, "dead");
+
+    const task = system.queuedTask("t44");
+    if (attempt < 3) {
+      assert.equal(task.state, "queued");
+      assert.equal(task.attempts, attempt);
+      delays.push(Math.round((Date.parse(task.retryAt) - Date.parse(task.history.at(-1).at)) / 1000));
+      // Still backing off
+      assert.equal(claimNextTask(system.messagesDir, "claimer", capabilities), null);
+      assert.match(await system.callPm("get_task_queue", { task_id: "t44" }), /Retry after: /);
+    } else {
+      assert.equal(task.state, "failed");
+      assert.match(task.history.at(-1).reason, /gave up after 3 attempts/);
+    }
+  }
+  assert.deepEqual(delays, [30, 60]);
+});
+
+test("pm-control stops agents that go over their limits and records why", async () => {
+  // The redirect scenario reports progress until it is told to stop, so
+  // one agent goes over its tool-call limit and the other over its task's timeout.
+  // A third can't start without going over its memory limit.
+  const busyId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "dev",
+    type: "mock",
+    scenario: "redirect",
+    limits: { max_tool_calls: 5 },
+  }));
+  const slowId = spawnedAgentId(await system.callPm("spawn_agent", { role: "dev", type: "mock", scenario: "redirect" }));
+  const hungryId = spawnedAgentId(await system.callPm("spawn_agent", {
+    role: "dev",
+    type: "mock",
+    scenario: "redirect",
+    limits: { max_memory_mb: 1 },
+  }));
+  for (const agentId of [busyId, slowId]) {
+    await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+      label: `${agentId} to reach standby`,
+    });
+  }
+
+  await system.callPm("assign_task", { agent_id: busyId, task_id: "t7", description: "Keep busy" });
+  await system.callPm("assign_task", {
+    agent_id: slowId,
+    task_id: "t8",
+    description: "Take too long",
+    limits: { timeout_seconds: 1 },
+  });
+
+  const stopped = async (agentId) => waitFor(async () => {
+    const agent = (await system.agentPool())[agentId];
+    return agent?.status === "terminated" && agent;
+  }, { label: `${agentId} to be stopped` });
+
+  const busy = await stopped(busyId);
+  assert.equal(busy.limitViolation, "tool_calls");
+  assert.match(busy.exitReason, /tool_calls limit exceeded: agent made \d+ tool calls \(limit 5\)/);
+  assert.match(system.queuedTask("t7").history.at(-1).reason, /stopped by pm-control: tool_calls limit exceeded/);
+
+  const slow = await stopped(slowId);
+  assert.equal(slow.limitViolation, "timeout");
+  assert.match(slow.exitReason, /task t8 ran for \d+s \(limit 1s\)/);
+  assert.deepEqual(system.queuedTask("t8").limits, { timeoutSeconds: 1 });
+
+  const hungry = await stopped(hungryId);
+  assert.equal(hungry.limitViolation, "memory");
+  assert.match(hungry.exitReason, /memory limit exceeded: agent used \d+ MB of memory \(limit 1 MB\)/);
+
+  // The reason is kept after the process exits, and shown by get_agent_status
+  await waitFor(() => {
+    try {
+      process.kill(busy.pid, 0);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }, { label: `pid ${busy.pid} to exit` });
+  const status = await system.callPm("get_agent_status", { agent_id: busyId });
+  assert.match(status, /Limits: 5 tool calls/);
+  assert.match(status, /Exit Reason: tool_calls limit exceeded/);
+
+  await system.callPm("cancel_task", { task_id: "t7" });
+  await system.callPm("cancel_task", { task_id: "t8" });
+});
+
+test("broadcast_message targets live agents and tracks who has read it", async () => {
+  const writerId = spawnedAgentId(await system.callPm("spawn_agent", { role: "writer", type: "mock", scenario: "redirect" }));
+  const reviewerId = spawnedAgentId(await system.callPm("spawn_agent", { role: "reviewer", type: "mock" }));
+  for (const agentId of [writerId, reviewerId]) {
+    await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+      label: `${agentId} to reach standby`,
+    });
+  }
+  await system.callPm("assign_task", { agent_id: writerId, task_id: "t10", description: "Keep writing" });
+  await waitFor(async () => (await system.agentPool())[writerId]?.status === "active", {
+    label: `${writerId} to start on t10`,
+  });
+
+  // Only live agents are counted, however many have come and gone
+  const directive = await system.callPm("broadcast_message", {
+    message: "Use British spelling",
+    type: "directive",
+    roles: ["writer"],
+  });
+  assert.match(directive, new RegExp(`Delivered to 1 agent\\(s\\): ${writerId}\\n`));
+  const directiveId = directive.match(/Broadcast ID: (\S+)/)[1];
+
+  assert.match(await system.callPm("broadcast_message", { message: "Hi", backends: ["claude"] }), /No live agent matches/);
+  const named = await system.callPm("broadcast_message", { message: "Hi", agent_ids: [writerId, reviewerId, "ghost"] });
+  assert.match(named, /Delivered to 2 agent\(s\)/);
+  assert.match(named, /Skipped: ghost \(unknown agent\)/);
+
+  // The writer sees the directive on its next send_status; nobody has
+  // asked for messages since the second broadcast
+  await waitFor(async () => /READ \(1\/1\):\n {2}\S+/.test(await system.callPm("get_broadcast_receipts", { broadcast_id: directiveId })), {
+    label: "the directive to be read",
+  });
+  const latest = await system.callPm("get_broadcast_receipts");
+  assert.match(latest, /READ \(0\/2\)/);
+  assert.match(latest, new RegExp(`NOT READ YET \\(2\\):\\n {2}${writerId} \\(\\w+\\)\\n {2}${reviewerId} \\(standby\\)`));
+
+  await system.callPm("terminate_all", { confirm: true, grace_seconds: 0 });
+  await system.callPm("cancel_task", { task_id: "t10" });
+});
+
+test("the web UI write API drives agents, tasks, reviews and merges", async () => {
+  assert.equal((await system.api("/agents", { method: "POST", body: { role: "web", type: "mock" }, token: null })).status, 401);
+
+  // Agents and tasks go through the project's pm-control
+  const spawned = await system.api("/agents", { method: "POST", body: { role: "web", type: "mock", scenario: "redirect" } });
+  assert.equal(spawned.status, 201);
+  const agentId = spawnedAgentId(spawned.body.result);
+  await waitFor(async () => (await system.agentPool())[agentId]?.status === "standby", {
+    label: `${agentId} to reach standby`,
+  });
+
+  const assigned = await system.api("/tasks/t11/assign", { method: "POST", body: { agentId, description: "Web task" } });
+  assert.equal(assigned.status, 200);
+  await waitFor(() => system.queuedTask("t11")?.state === "accepted", { label: "t11 to be accepted" });
+
+  assert.equal((await system.api("/tasks/t11/cancel", { method: "POST", body: {} })).status, 200);
+  assert.equal((await system.api("/tasks/..%2Ft11/assign", { method: "POST", body: { agentId, description: "Web task" } })).status, 400);
+  assert.equal((await system.api("/tasks/..%2Ft11/cancel", { method: "POST", body: {} })).status, 400);
+  assert.equal(system.queuedTask("t11").state, "cancelled");
+
+  const terminated = await system.api(`/agents/${agentId}/terminate`, { method: "POST", body: { graceSeconds: 0 } });
+  assert.equal(terminated.status, 200);
+  assert.equal((await system.agentPool())[agentId].status, "terminated");
+
+  // An agent the PM spawned is found through the process registry and really stopped
+  const pmAgentId = spawnedAgentId(await system.callPm("spawn_agent", { role: "dev", type: "mock" }));
+  await waitFor(async () => (await system.agentPool())[pmAgentId]?.status === "standby", {
+    label: `${pmAgentId} to reach standby`,
+  });
+  const { pid } = (await system.agentPool())[pmAgentId];
+  const stopped = await system.api(`/agents/${pmAgentId}/terminate`, { method: "POST", body: { graceSeconds: 0 } });
+  assert.match(stopped.body.result, /terminated \(SIGTERM\)/);
+  assert.throws(() => process.kill(pid, 0), { code: "ESRCH" });
+
+  // Review: two pooled completions, as process_task_completions records them
+  const tasksFile = path.join(system.statusDir, "tasks.json");
+  const tasks = JSON.parse(fs.readFileSync(tasksFile, "utf-8"));
+  tasks.tasks.push({ id: "t12", title: "Approve me", status: "pending" }, { id: "t13", title: "Reject me", status: "pending" });
+  fs.writeFileSync(tasksFile, JSON.stringify(tasks, null, 2));
+  for (const taskId of ["t12", "t13"]) {
+    fs.writeFileSync(path.join(system.statusDir, `${taskId}.completed`), `task: ${taskId}\nagent: web\nstatus: completed\n`);
+  }
+  system.git(system.workspace, "checkout", "-q", "-b", "feature/t12");
+  fs.writeFileSync(path.join(system.workspace, "T12.md"), "t12\n");
+  system.git(system.workspace, "add", "T12.md");
+  system.git(system.workspace, "commit", "-q", "-m", "Do t12");
+  system.git(system.workspace, "checkout", "-q", "main");
+
+  assert.equal((await system.api("/tasks/t12/approve", { method: "POST", body: {} })).status, 200);
+  assert.match(fs.readFileSync(path.join(system.statusDir, "t12.approved"), "utf-8"), /^branch: feature\/t12$/m);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(system.statusDir, "t12.review"), "utf-8")).decision, "APPROVE");
+
+  assert.equal((await system.api("/tasks/t13/reject", { method: "POST", body: { reason: "No tests" } })).status, 200);
+  assert.ok(!fs.existsSync(path.join(system.statusDir, "t13.completed")));
+  assert.equal(JSON.parse(fs.readFileSync(tasksFile, "utf-8")).tasks.find(t => t.id === "t13").status, "failed");
+  assert.equal((await system.api("/tasks/t13/approve", { method: "POST", body: {} })).status, 404);
+  assert.equal((await system.api("/tasks/..%2Fstatus%2Ft12/approve", { method: "POST", body: {} })).status, 400);
+
+  // The merge runs orchestrator.sh merge
+  const merge = await system.api(`/projects/${PROJECT}/merge`, { method: "POST", body: {} });
+  assert.equal(merge.status, 202);
+  assert.deepEqual(merge.body.approved, ["t12"]);
+  const merged = await system.waitForEvent("orchestrator:merged", e => e.project === PROJECT);
+  assert.equal(merged.code, 0, merged.output);
+  assert.ok(fs.existsSync(path.join(system.workspace, "T12.md")));
+  assert.ok(!fs.existsSync(path.join(system.statusDir, "t12.approved")));
+  assert.equal(JSON.parse(fs.readFileSync(tasksFile, "utf-8")).tasks.find(t => t.id === "t12").status, "completed");
+
+  // Projects are created by orchestrator.sh create
+  const created = await system.api("/projects", { method: "POST", body: { description: 'Web "quoted" project' } });
+  assert.equal(created.status, 201);
+  assert.match(created.body.name, /^web-quoted-project_\d+_\d+$/);
+  const { body: project } = await system.api(`/projects/${created.body.name}`);
+  assert.equal(project.description, 'Web "quoted" project');
+  assert.equal((await system.api(`/projects/${PROJECT}/start`, { method: "POST", body: {} })).status, 409);
+});
+
+// Open a dashboard socket and collect what it receives
+function openSocket(port, { query = "", headers = {} } = {}) {
+  const ws = new WebSocket(`ws://localhost:${port}/${query}`, { headers });
+  const events = [];
+  const closed = new Promise(resolve => ws.on("close", code => resolve(code)));
+  ws.on("message", data => events.push(JSON.parse(data.toString())));
+  return { ws, events, closed, opened: new Promise(resolve => ws.on("open", resolve)) };
+}
+
+// Send project:subscribe/unsubscribe and wait for the server's reply to it
+function subscribeSocket(socket, message) {
+  const from = socket.events.length;
+  socket.ws.send(JSON.stringify(message));
+  return waitFor(() => socket.events.slice(from).find(e => e.type === `${message.type}d` && e.project === message.project), {
+    label: `${message.type} ${message.project}`,
+  });
+}
+
+// Edit a task in tasks.json so the watcher broadcasts task:changed
+let touches = 0;
+function touchTasks() {
+  updateJson(path.join(system.statusDir, "tasks.json"), data => {
+    data.tasks.find(t => t.id === "t3").notes = `touch ${++touches}`;
+  });
+}
+
+test("the web UI server gates routes and WebSocket events by role", async () => {
+  const [viewer, responder] = USERS;
+
+  assert.equal((await system.api("/agents", { token: null })).status, 401);
+  assert.equal((await system.api("/agents", { token: viewer.token })).status, 200);
+  assert.equal((await system.api("/agents", { method: "POST", body: { role: "x", type: "mock" }, token: viewer.token })).status, 403);
+  assert.equal((await system.api("/agents", { method: "POST", body: { role: "x", type: "mock" }, token: responder.token })).status, 403);
+
+  // A responder can answer, and the answer names them
+  const outboxFile = path.join(system.messagesDir, "outbox.json");
+  const outbox = JSON.parse(fs.readFileSync(outboxFile, "utf-8"));
+  outbox.messages.push({ id: "q-roles", to: "user", from: "pm", question: "Ship it?", status: "pending", timestamp: new Date().toISOString() });
+  outbox.messages.push({ id: "q-agent", to: "agent-1", from: "pm", question: "Done yet?", status: "pending", timestamp: new Date().toISOString() });
+  fs.writeFileSync(outboxFile, JSON.stringify(outbox, null, 2));
+
+  const respond = body => system.api("/messages/q-roles/respond", { method: "POST", body: { response: "Yes", ...body }, token: body.token });
+  assert.equal((await respond({ token: viewer.token })).status, 403);
+  assert.equal((await respond({ token: responder.token })).status, 200);
+  const inbox = JSON.parse(fs.readFileSync(path.join(system.messagesDir, "inbox.json"), "utf-8"));
+  assert.deepEqual(inbox.messages.find(m => m.replyTo === "q-roles").respondedBy, { name: "rory", role: "responder" });
+
+  // Only questions still waiting on the user can be answered, and only once
+  const again = await respond({ token: responder.token });
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /already answered by rory/);
+  const notForUser = await system.api("/messages/q-agent/respond", { method: "POST", body: { response: "Yes" }, token: responder.token });
+  assert.equal(notForUser.status, 404);
+  const answers = JSON.parse(fs.readFileSync(path.join(system.messagesDir, "inbox.json"), "utf-8")).messages
+    .filter(m => m.replyTo === "q-roles" || m.replyTo === "q-agent");
+  assert.equal(answers.length, 1);
+
+  // Tokens can be exchanged for a session cookie
+  const login = token => fetch(`http://localhost:${system.port}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token }),
+  });
+  assert.equal((await login("wrong")).status, 401);
+  const cookie = (await login(responder.token)).headers.get("set-cookie").split(";")[0];
+  const me = await fetch(`http://localhost:${system.port}/api/auth/me`, { headers: { Cookie: cookie } });
+  assert.deepEqual((await me.json()).user, { name: "rory", role: "responder" });
+
+  // Sockets: no credentials, or a cookie from a foreign page, are turned away
+  assert.equal(await openSocket(system.port).closed, 4401);
+  assert.equal(await openSocket(system.port, { headers: { Cookie: cookie, Origin: "http://evil.example" } }).closed, 4401);
+
+  // A viewer may stream but not answer
+  const socket = openSocket(system.port, { query: `?token=${viewer.token}` });
+  await socket.opened;
+  socket.ws.send(JSON.stringify({ type: "pm:respond", project: PROJECT, messageId: "q-roles", response: "No" }));
+  const error = await waitFor(() => socket.events.find(e => e.type === "error"), { label: "a role error" });
+  assert.match(error.error, /responder role/);
+  assert.equal(socket.events.find(e => e.type === "connected").user.role, "viewer");
+  socket.ws.close();
+
+  // Answers only go to a real project's messages
+  const answering = openSocket(system.port, { query: `?token=${responder.token}` });
+  await answering.opened;
+  answering.ws.send(JSON.stringify({ type: "pm:respond", project: "../..", messageId: "q-roles", response: "No" }));
+  const invalid = await waitFor(() => answering.events.find(e => e.type === "error"), { label: "a project name error" });
+  assert.equal(invalid.error, "Valid project name required");
+  answering.ws.close();
+});
+
+test("dashboard sockets only get events for the projects they subscribe to", async () => {
+  const taskUpdates = socket => socket.events.filter(e => e.type === "task:changed" && e.project === PROJECT).length;
+
+  const watching = openSocket(system.port, { query: `?token=${USERS[0].token}` });
+  const elsewhere = openSocket(system.port, { query: `?token=${USERS[0].token}` });
+  await Promise.all([watching.opened, elsewhere.opened]);
+  await subscribeSocket(watching, { type: "project:subscribe", project: PROJECT });
+  await subscribeSocket(elsewhere, { type: "project:subscribe", project: "other" });
+
+  touchTasks();
+  await waitFor(() => taskUpdates(watching) === 1, { label: "task:changed for the subscriber" });
+  assert.equal(taskUpdates(elsewhere), 0);
+
+  // After unsubscribing, the project's events stop (the harness socket still gets them)
+  await subscribeSocket(watching, { type: "project:unsubscribe", project: PROJECT });
+  const seen = taskUpdates(system);
+  touchTasks();
+  await waitFor(() => taskUpdates(system) > seen, { label: "a second task:changed" });
+  assert.equal(taskUpdates(watching), 1);
+  assert.equal(taskUpdates(elsewhere), 0);
+
+  watching.ws.close();
+  elsewhere.ws.close();
+});
+
+test("a socket resuming from its last seq gets exactly what it missed, or a snapshot", async () => {
+  const token = `?token=${USERS[0].token}`;
+  const first = openSocket(system.port, { query: token });
+  await first.opened;
+  const { epoch } = await waitFor(() => first.events.find(e => e.type === "connected"), { label: "connected" });
+  const { seq: lastSeq } = await subscribeSocket(first, { type: "project:subscribe", project: PROJECT });
+  first.ws.close();
+  await first.closed;
+
+  // Events happen while it is away
+  touchTasks();
+  await system.waitForEvent("task:changed", e => e.seq > lastSeq);
+
+  const second = openSocket(system.port, { query: token });
+  await second.opened;
+  const resumed = await subscribeSocket(second, { type: "project:subscribe", project: PROJECT, lastSeq, epoch });
+  const missed = system.events.filter(e => e.project === PROJECT && e.seq > lastSeq && e.seq <= resumed.seq).map(e => e.seq);
+  const replayed = second.events.filter(e => e.project === PROJECT && e.type !== "project:subscribed" && e.seq <= resumed.seq);
+  assert.ok(missed.length > 0);
+  assert.deepEqual(replayed.map(e => e.seq), missed);
+  assert.deepEqual(resumed.resumed, { replayed: missed.length });
+  second.ws.close();
+
+  // Too far behind (evicted), or from before a restart: a full snapshot instead
+  assert.ok(system.events.filter(e => e.project === PROJECT).length > REPLAY_EVENTS);
+  const third = openSocket(system.port, { query: token });
+  await third.opened;
+  const behind = await subscribeSocket(third, { type: "project:subscribe", project: PROJECT, lastSeq: 0, epoch });
+  assert.deepEqual(behind.resumed, { snapshot: true });
+  const restarted = await subscribeSocket(third, { type: "project:subscribe", project: PROJECT, lastSeq, epoch: "old-epoch" });
+  assert.deepEqual(restarted.resumed, { snapshot: true });
+
+  third.ws.send(JSON.stringify({ type: "state:refresh", project: PROJECT }));
+  const snapshots = await waitFor(() => {
+    const found = third.events.filter(e => e.type === "state:snapshot");
+    return found.length === 3 && found;
+  }, { label: "three snapshots" });
+  for (const snapshot of snapshots) {
+    assert.equal(snapshot.project, PROJECT);
+    assert.ok(snapshot.tasks.some(t => t.id === "t1" && t.currentStatus));
+    assert.ok(snapshot.pool && Array.isArray(snapshot.messages));
+  }
+  third.ws.close();
+});
+
+test("the file watcher sends only what changed, and each PM question once", async () => {
+  const tasksFile = path.join(system.statusDir, "tasks.json");
+  const outboxFile = path.join(system.messagesDir, "outbox.json");
+  const poolFile = path.join(system.messagesDir, "agent_pool.json");
+  const since = system.events.length;
+  const seen = (type, predicate = () => true) => system.events.slice(since).filter(e => e.type === type && predicate(e));
+
+  // Tasks: added, then one field changed, then removed
+  updateJson(tasksFile, data => {
+    data.tasks.push({ id: "t20", title: "Diff me", status: "pending" });
+  });
+  const added = await system.waitForEvent("task:added", e => e.task.id === "t20");
+  assert.equal(added.task.title, "Diff me");
+  updateJson(tasksFile, data => {
+    data.tasks.find(t => t.id === "t20").title = "Diffed";
+  });
+  const changed = await system.waitForEvent("task:changed", e => e.taskId === "t20");
+  assert.deepEqual(changed.changes, { title: "Diffed" });
+  updateJson(tasksFile, data => {
+    data.tasks = data.tasks.filter(t => t.id !== "t20");
+  });
+  await system.waitForEvent("task:removed", e => e.taskId === "t20");
+
+  // Outbox: a question for the user is announced once, however often the file changes after
+  updateJson(outboxFile, outbox => {
+    outbox.messages.push({ id: "q-diff", to: "user", from: "pm", question: "Diff?", status: "pending", timestamp: new Date().toISOString() });
+  });
+  await system.waitForEvent("pm:question", e => e.message.id === "q-diff");
+  updateJson(outboxFile, outbox => {
+    outbox.messages.push({ id: "n-diff", to: "pm", from: "agent-x", type: "notification", message: "Still going", timestamp: new Date().toISOString() });
+  });
+  await system.waitForEvent("message:new", e => e.message.id === "n-diff");
+  assert.equal(seen("message:new", e => e.message.id === "q-diff").length, 1);
+  assert.equal(seen("pm:question", e => e.message.id === "q-diff").length, 1);
+  assert.equal(seen("pm:question").length, 1);
+
+  // A question that times out is sent as a change, and no longer awaits the user
+  updateJson(outboxFile, outbox => {
+    outbox.messages.find(m => m.id === "q-diff").status = "timed_out";
+  });
+  const timedOut = await system.waitForEvent("message:changed", e => e.messageId === "q-diff");
+  assert.deepEqual(timedOut.changes, { status: "timed_out" });
+  assert.equal(timedOut.awaitsUser, false);
+
+  // A file that is removed and written again is diffed against what it held
+  const outbox = fs.readFileSync(outboxFile, "utf-8");
+  fs.unlinkSync(outboxFile);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const recreated = JSON.parse(outbox);
+  recreated.messages.push({ id: "n2-diff", to: "pm", from: "agent-x", type: "notification", message: "Back", timestamp: new Date().toISOString() });
+  fs.writeFileSync(outboxFile, JSON.stringify(recreated, null, 2));
+  await system.waitForEvent("message:new", e => e.message.id === "n2-diff");
+  assert.equal(seen("message:new", e => e.message.id === "q-diff").length, 1);
+
+  // Pool: an agent's entry, then only its changed field, then its removal
+  updateJson(poolFile, pool => {
+    pool.agents["diff-agent"] = { role: "writer", status: "idle" };
+  });
+  const joined = await system.waitForEvent("agent:changed", e => e.agentId === "diff-agent");
+  assert.deepEqual(joined.changes, { role: "writer", status: "idle" });
+  updateJson(poolFile, pool => {
+    pool.agents["diff-agent"].status = "working";
+  });
+  await system.waitForEvent("agent:changed", e => e.agentId === "diff-agent" && e.changes?.status === "working");
+  assert.deepEqual(seen("agent:changed", e => e.agentId === "diff-agent").at(-1).changes, { status: "working" });
+  updateJson(poolFile, pool => {
+    delete pool.agents["diff-agent"];
+  });
+  await system.waitForEvent("agent:changed", e => e.agentId === "diff-agent" && e.removed);
+
+  // The old whole-file events are gone
+  assert.equal(seen("tasks:update").length + seen("inbox:update").length + seen("pool:update").length, 0);
+});
@@ -231,7 +231,10 @@ Available messaging tools:
 - ask_pm(question, context?, priority?) - Ask the PM for clarification. BLOCKS until PM responds.
 - send_status(status, message, progress?) - Update PM on your progress (non-blocking)
 - notify_pm(message, type?) - Send notification to PM (non-blocking). Type: info/warning/error/success
-- get_messages() - Check for incoming messages from PM
+- get_messages() - Check for incoming messages from PM and other agents
+- list_peers() - See the other agents in the pool
+- ask_agent(to, question, context?) - Ask another agent (by ID or role) directly. BLOCKS until it responds.
+- send_to_agent(to, message, reply_to?) - Message another agent, or answer a question it asked you
 
 USE ask_pm WHEN:
 - You're unsure about requirements or approach
@@ -246,7 +249,8 @@ PERSISTENT AGENT LIFECYCLE:
 You are a persistent agent. After completing your task, you stay alive to receive more work.
 
 Lifecycle tools:
-- task_complete(summary, files_changed?) - Call when you finish your current task
+- task_complete(summary, files_changed?, tests?, commit_sha?, todos?, risks?, follow_ups?) - Call when you finish your current task.
+  Include a handoff: test commands you ran and their results, open TODOs, known risks and suggested follow-up tasks
 - await_assignment(capabilities?) - Enter standby and wait for PM to assign new work
 
 YOUR WORKFLOW:
@@ -261,7 +265,8 @@ IMPORTANT:
 - Make sure your code is complete and working
 - Use environment variables for any API keys or secrets - they are already set
 - If testing with a dev server, make sure to kill it when done (or it will be cleaned up automatically)
-- After each task, call task_complete() then await_assignment() to stay available for more work"
+- After each task, call task_complete() then await_assignment() to stay available for more work
+- If a tool response includes a DIRECTIVE from the PM that stops your task, stop at once: commit your work in progress and call await_assignment()"
 
     # Dispatch based on agent type (with environment variables loaded)
     local result=""
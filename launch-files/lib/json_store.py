@@ -0,0 +1,115 @@
+"""
+Lock-safe updates of the orchestrator's JSON state files from the shell
+scripts (python3 heredocs with PYTHONPATH="$ORCHESTRATOR_LIB_DIR").
+
+Uses the same protocol as mcp/shared/store.js, so the scripts and the MCP
+servers never overwrite each other's changes: an advisory <file>.lock
+created with O_EXCL (holding {pid, host, acquiredAt}), and writes to a
+unique temp file that is renamed into place.
+
+    from json_store import locked_json
+
+    with locked_json(outbox_file, {"messages": []}) as data:
+        data["messages"].append(message)
+"""
+
+import json
+import os
+import random
+import socket
+import time
+import uuid
+from contextlib import contextmanager
+from datetime import datetime, timezone
+
+LOCK_TIMEOUT = 10.0   # give up acquiring a lock after this long
+LOCK_STALE = 30.0     # a lock older than this is considered abandoned
+LOCK_RETRY = 0.015
+
+
+def _process_alive(pid):
+    try:
+        os.kill(pid, 0)
+        return True
+    except PermissionError:
+        return True
+    except OSError:
+        return False
+
+
+def _lock_stale(lock_path):
+    # Too old, or its owner on this host has exited
+    try:
+        if time.time() - os.stat(lock_path).st_mtime > LOCK_STALE:
+            return True
+        with open(lock_path) as f:
+            owner = json.load(f)
+        return owner.get("host") == socket.gethostname() and not _process_alive(owner.get("pid"))
+    except (OSError, ValueError):
+        # Lock vanished or is still being written - not ours to break
+        return False
+
+
+def _break_lock(lock_path):
+    # Move it aside first so only one breaker wins the race
+    aside = f"{lock_path}.stale-{uuid.uuid4()}"
+    try:
+        os.rename(lock_path, aside)
+        os.unlink(aside)
+    except FileNotFoundError:
+        pass
+
+
+def _acquire(file_path):
+    lock_path = file_path + ".lock"
+    deadline = time.time() + LOCK_TIMEOUT
+    while True:
+        try:
+            fd = os.open(lock_path, os.O_CREAT | os.O_EXCL | os.O_WRONLY, 0o644)
+            with os.fdopen(fd, "w") as f:
+                json.dump({
+                    "pid": os.getpid(),
+                    "host": socket.gethostname(),
+                    "acquiredAt": datetime.now(timezone.utc).isoformat(),
+                }, f)
+            return lock_path
+        except FileExistsError:
+            pass
+
+        if _lock_stale(lock_path):
+            _break_lock(lock_path)
+            continue
+        if time.time() > deadline:
+            raise TimeoutError(f"Timed out waiting for lock on {file_path}")
+        time.sleep(LOCK_RETRY + random.random() * LOCK_RETRY)
+
+
+def write_json_atomic(file_path, data):
+    tmp_path = f"{file_path}.{os.getpid()}.{uuid.uuid4().hex[:8]}.tmp"
+    with open(tmp_path, "w") as f:
+        json.dump(data, f, indent=2)
+        f.flush()
+        os.fsync(f.fileno())
+    os.rename(tmp_path, file_path)
+
+
+@contextmanager
+def locked_json(file_path, default=None):
+    """Locked read-modify-write: edit the yielded data in place. It is written
+    back when the block finishes, unless the block raises or nothing changed."""
+    lock_path = _acquire(file_path)
+    try:
+        if os.path.exists(file_path):
+            with open(file_path) as f:
+                data = json.load(f)
+        else:
+            data = json.loads(json.dumps(default if default is not None else {}))
+        before = json.dumps(data, sort_keys=True)
+        yield data
+        if json.dumps(data, sort_keys=True) != before:
+            write_json_atomic(file_path, data)
+    finally:
+        try:
+            os.unlink(lock_path)
+        except FileNotFoundError:
+            pass
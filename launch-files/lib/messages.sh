@@ -17,7 +17,7 @@ init_messaging() {
 
     # Initialize agent pool files
     [ -f "$messages_dir/agent_pool.json" ] || echo '{"agents":{}}' > "$messages_dir/agent_pool.json"
-    [ -f "$messages_dir/assignments.json" ] || echo '{"pending":[],"accepted":[],"completed":[]}' > "$messages_dir/assignments.json"
+    [ -f "$messages_dir/task_queue.json" ] || echo '{"tasks":[]}' > "$messages_dir/task_queue.json"
 
     log "Messaging system initialized"
 }
@@ -88,9 +88,16 @@ process_message() {
             fi
             ;;
         *)
-            # Agents can only message PM - reject other recipients
-            log_warn "Agent tried to message '$to' directly - only PM allowed"
-            update_message_status "$msg_id" "rejected"
+            if [ "$msg_type" = "agent_message" ] || [ "$msg_type" = "agent_question" ]; then
+                # Peer traffic is delivered by the messaging server - PM just observes
+                # (and can veto with the veto_message tool)
+                log "[Agent $from_agent -> $to] $question"
+                update_message_status "$msg_id" "delivered"
+            else
+                # Agents can only reach the user through the PM - reject other recipients
+                log_warn "Agent tried to message '$to' directly - only PM allowed"
+                update_message_status "$msg_id" "rejected"
+            fi
             ;;
     esac
 }
@@ -116,13 +123,23 @@ handle_pm_message() {
     echo ""
     echo -e "${CYAN}═══════════════════════════════════════════════════════════${NC}"
 
+    # Earlier messages in the same conversation (for follow-up questions)
+    local thread_context=$(get_thread_context "$msg_id")
+    local thread_section=""
+    if [ -n "$thread_context" ]; then
+        thread_section="
+EARLIER IN THIS CONVERSATION:
+$thread_context
+"
+    fi
+
     # Let PM (Claude) analyze and decide how to respond
     local pm_prompt="You are a Project Manager. An agent on your team has a question.
 
 AGENT: $from_agent
 TASK: $task
 PRIORITY: $priority
-
+$thread_section
 QUESTION FROM AGENT:
 $question
 
@@ -182,6 +199,46 @@ Be specific and direct. Just give the answer, no preamble."
     esac
 }
 
+# Print the earlier messages in a message's thread, oldest first
+get_thread_context() {
+    local msg_id="$1"
+
+    local messages_dir="$STATUS_DIR/messages"
+
+    python3 << PYEOF
+import json
+import os
+
+messages_dir = "$messages_dir"
+msg_id = "$msg_id"
+
+try:
+    messages = {}
+    for name in ('inbox.json', 'outbox.json'):
+        path = os.path.join(messages_dir, name)
+        if os.path.exists(path):
+            with open(path, 'r') as f:
+                for msg in json.load(f).get('messages', []):
+                    messages[msg.get('id')] = msg
+
+    current = messages.get(msg_id)
+    if not current or not current.get('threadId'):
+        exit(0)
+
+    thread = [m for m in messages.values()
+              if m.get('threadId') == current['threadId'] and m.get('id') != msg_id
+              and m.get('timestamp', '') <= current.get('timestamp', '')]
+    thread.sort(key=lambda m: m.get('timestamp', ''))
+
+    for m in thread:
+        text = m.get('question') or m.get('message') or m.get('answer') or m.get('summary') or ''
+        print(f"{m.get('from', '?')}: {text}")
+
+except Exception as e:
+    pass
+PYEOF
+}
+
 # Check if web UI is available (responds to health check)
 is_web_ui_available() {
     curl -s -o /dev/null -w "%{http_code}" "http://localhost:3001/health" 2>/dev/null | grep -q "200"
@@ -200,11 +257,10 @@ escalate_to_web() {
     local inbox="$messages_dir/inbox.json"
 
     # Create escalation message in outbox
-    local msg_id=$(python3 << PYEOF
-import json
+    local msg_id=$(PYTHONPATH="$ORCHESTRATOR_LIB_DIR" python3 << PYEOF
 import uuid
-import os
 from datetime import datetime
+from json_store import locked_json
 
 outbox_file = "$outbox"
 from_agent = "$from_agent"
@@ -215,30 +271,20 @@ pm_question = '''$pm_question'''
 msg_id = str(uuid.uuid4())
 
 try:
-    if os.path.exists(outbox_file):
-        with open(outbox_file, 'r') as f:
-            data = json.load(f)
-    else:
-        data = {"messages": []}
-
-    data['messages'].append({
-        "id": msg_id,
-        "from": from_agent,
-        "task": task,
-        "to": "user",
-        "type": "escalation",
-        "question": pm_question,
-        "originalQuestion": original_question,
-        "priority": "blocking",
-        "timestamp": datetime.now().isoformat(),
-        "status": "pending",
-        "escalatedToUser": True
-    })
-
-    tmp_file = outbox_file + ".tmp"
-    with open(tmp_file, 'w') as f:
-        json.dump(data, f, indent=2)
-    os.rename(tmp_file, outbox_file)
+    with locked_json(outbox_file, {"messages": []}) as data:
+        data.setdefault('messages', []).append({
+            "id": msg_id,
+            "from": from_agent,
+            "task": task,
+            "to": "user",
+            "type": "escalation",
+            "question": pm_question,
+            "originalQuestion": original_question,
+            "priority": "blocking",
+            "timestamp": datetime.now().isoformat(),
+            "status": "pending",
+            "escalatedToUser": True
+        })
 
     print(msg_id)
 except Exception as e:
@@ -389,41 +435,42 @@ send_response() {
 
     local messages_dir="$STATUS_DIR/messages"
     local inbox="$messages_dir/inbox.json"
+    local outbox="$messages_dir/outbox.json"
 
-    python3 << PYEOF
+    PYTHONPATH="$ORCHESTRATOR_LIB_DIR" python3 << PYEOF
 import json
 import os
 from datetime import datetime
 import uuid
+from json_store import locked_json
 
 inbox_file = "$inbox"
+outbox_file = "$outbox"
 reply_to = "$reply_to"
 from_sender = "$from"
 answer = '''$answer'''
 
 try:
-    # Read existing inbox
-    if os.path.exists(inbox_file):
-        with open(inbox_file, 'r') as f:
-            data = json.load(f)
-    else:
-        data = {"messages": []}
+    # The response continues the thread of the message it answers
+    thread_id = reply_to
+    if os.path.exists(outbox_file):
+        with open(outbox_file, 'r') as f:
+            for msg in json.load(f).get('messages', []):
+                if msg.get('id') == reply_to:
+                    thread_id = msg.get('threadId') or reply_to
+                    break
 
     # Add response
-    data['messages'].append({
-        "id": str(uuid.uuid4()),
-        "replyTo": reply_to,
-        "from": from_sender,
-        "answer": answer.strip(),
-        "timestamp": datetime.now().isoformat(),
-        "read": False
-    })
-
-    # Write atomically
-    tmp_file = inbox_file + ".tmp"
-    with open(tmp_file, 'w') as f:
-        json.dump(data, f, indent=2)
-    os.rename(tmp_file, inbox_file)
+    with locked_json(inbox_file, {"messages": []}) as data:
+        data.setdefault('messages', []).append({
+            "id": str(uuid.uuid4()),
+            "threadId": thread_id,
+            "replyTo": reply_to,
+            "from": from_sender,
+            "answer": answer.strip(),
+            "timestamp": datetime.now().isoformat(),
+            "read": False
+        })
 
 except Exception as e:
     print(f"Error sending response: {e}", file=__import__('sys').stderr)
@@ -441,27 +488,19 @@ update_message_status() {
     local messages_dir="$STATUS_DIR/messages"
     local outbox="$messages_dir/outbox.json"
 
-    python3 << PYEOF
-import json
-import os
+    PYTHONPATH="$ORCHESTRATOR_LIB_DIR" python3 << PYEOF
+from json_store import locked_json
 
 outbox_file = "$outbox"
 msg_id = "$msg_id"
 new_status = "$new_status"
 
 try:
-    with open(outbox_file, 'r') as f:
-        data = json.load(f)
-
-    for msg in data.get('messages', []):
-        if msg.get('id') == msg_id:
-            msg['status'] = new_status
-            break
-
-    tmp_file = outbox_file + ".tmp"
-    with open(tmp_file, 'w') as f:
-        json.dump(data, f, indent=2)
-    os.rename(tmp_file, outbox_file)
+    with locked_json(outbox_file, {"messages": []}) as data:
+        for msg in data.get('messages', []):
+            if msg.get('id') == msg_id:
+                msg['status'] = new_status
+                break
 
 except Exception as e:
     pass
@@ -669,16 +708,16 @@ assign_task_to_agent() {
     local description="$5"
 
     local messages_dir="$STATUS_DIR/messages"
-    local assignments_file="$messages_dir/assignments.json"
+    local queue_file="$messages_dir/task_queue.json"
     local pool_file="$messages_dir/agent_pool.json"
 
-    python3 << PYEOF
-import json
+    PYTHONPATH="$ORCHESTRATOR_LIB_DIR" python3 << PYEOF || return 1
 import uuid
 from datetime import datetime
 import os
+from json_store import locked_json
 
-assignments_file = "$assignments_file"
+queue_file = "$queue_file"
 pool_file = "$pool_file"
 agent_id = "$agent_id"
 task_id = "$task_id"
@@ -687,47 +726,47 @@ task_type = "$task_type"
 description = '''$description'''
 
 try:
-    # Read existing assignments
-    if os.path.exists(assignments_file):
-        with open(assignments_file, 'r') as f:
-            data = json.load(f)
-    else:
-        data = {"pending": [], "accepted": [], "completed": []}
-
-    # Create new assignment
-    assignment = {
-        "id": str(uuid.uuid4()),
-        "agentId": agent_id,
-        "taskId": task_id,
-        "branch": branch,
-        "type": task_type,
-        "description": description.strip(),
-        "assignedAt": datetime.now().isoformat()
-    }
-
-    data['pending'] = data.get('pending', [])
-    data['pending'].append(assignment)
-
-    # Write atomically
-    tmp_file = assignments_file + ".tmp"
-    with open(tmp_file, 'w') as f:
-        json.dump(data, f, indent=2)
-    os.rename(tmp_file, assignments_file)
+    # Check and reserve under the queue lock (see mcp/shared/task-queue.js)
+    with locked_json(queue_file, {"tasks": []}) as data:
+        data['tasks'] = data.get('tasks', [])
+
+        active = [t for t in data['tasks']
+                  if t.get('taskId') == task_id and t.get('state') in ('queued', 'assigned', 'accepted')]
+        if active:
+            print(f"Task {task_id} is already {active[0]['state']}")
+            raise SystemExit(1)
+
+        # Reserve the task for the agent (reusing the entry of a finished task)
+        now = datetime.now().isoformat()
+        entry = next((t for t in data['tasks'] if t.get('taskId') == task_id), None)
+        if entry is None:
+            entry = {"id": str(uuid.uuid4()), "taskId": task_id, "state": "new", "history": []}
+            data['tasks'].append(entry)
+        entry.update({
+            "agentId": agent_id,
+            "branch": branch,
+            "type": task_type,
+            "description": description.strip(),
+            "priority": "normal",
+            "capabilities": [],
+            "attempts": 0,
+            "maxAttempts": int(os.environ.get("TASK_MAX_ATTEMPTS", "3")),
+            "queuedAt": now,
+        })
+        entry.setdefault("history", []).append({
+            "from": entry.get("state"), "to": "assigned", "at": now, "by": "orchestrator",
+            "reason": f"assigned to {agent_id}"
+        })
+        entry["state"] = "assigned"
+        entry["updatedAt"] = now
 
     # Also update agent pool status to 'assigned' so it's not picked again
     if os.path.exists(pool_file):
-        with open(pool_file, 'r') as f:
-            pool = json.load(f)
-
-        if 'agents' in pool and agent_id in pool['agents']:
-            pool['agents'][agent_id]['status'] = 'assigned'
-            pool['agents'][agent_id]['currentTask'] = task_id
-            pool['agents'][agent_id]['lastSeen'] = datetime.now().isoformat()
-
-            tmp_file = pool_file + ".tmp"
-            with open(tmp_file, 'w') as f:
-                json.dump(pool, f, indent=2)
-            os.rename(tmp_file, pool_file)
+        with locked_json(pool_file, {"agents": {}}) as pool:
+            if 'agents' in pool and agent_id in pool['agents']:
+                pool['agents'][agent_id]['status'] = 'assigned'
+                pool['agents'][agent_id]['currentTask'] = task_id
+                pool['agents'][agent_id]['lastSeen'] = datetime.now().isoformat()
 
     print(f"Assignment created: {task_id} -> {agent_id}")
 
@@ -768,7 +807,9 @@ try:
                 'agent': msg.get('from', ''),
                 'task': msg.get('task', ''),
                 'summary': msg.get('summary', ''),
-                'files': msg.get('filesChanged', [])
+                'files': msg.get('filesChanged', []),
+                'commit': msg.get('commitSha') or '',
+                'handoff': msg.get('handoffFile') or ''
             })
         print(json.dumps(output))
 
@@ -824,7 +865,7 @@ try_assign_to_pool() {
     done <<< "$standby_agents"
 
     if [ -n "$best_agent" ]; then
-        assign_task_to_agent "$best_agent" "$task_id" "$branch" "$task_type" "$description"
+        assign_task_to_agent "$best_agent" "$task_id" "$branch" "$task_type" "$description" || return 1
         return 0
     fi
 
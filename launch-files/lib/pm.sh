@@ -706,8 +706,7 @@ mark_task_complete() {
     local tasks_file="$STATUS_DIR/tasks.json"
 
     if [ -f "$tasks_file" ]; then
-        # Update task status in JSON (using simple sed for now)
-        sed -i "s/\"id\": \"$task_id\"/\"id\": \"$task_id\", \"status\": \"completed\"/" "$tasks_file"
+        set_task_status "$tasks_file" "$task_id" "completed"
     fi
 }
 
@@ -717,6 +716,24 @@ mark_task_failed() {
     local tasks_file="$STATUS_DIR/tasks.json"
 
     if [ -f "$tasks_file" ]; then
-        sed -i "s/\"id\": \"$task_id\"/\"id\": \"$task_id\", \"status\": \"failed\"/" "$tasks_file"
+        set_task_status "$tasks_file" "$task_id" "failed"
     fi
 }
+
+# Set a task's status in tasks.json, replacing any status it already has
+set_task_status() {
+    local tasks_file="$1"
+    local task_id="$2"
+    local status="$3"
+
+    PYTHONPATH="$ORCHESTRATOR_LIB_DIR" python3 - "$tasks_file" "$task_id" "$status" << 'PYEOF'
+import sys
+from json_store import locked_json
+
+tasks_file, task_id, status = sys.argv[1:4]
+with locked_json(tasks_file, {"tasks": []}) as data:
+    for task in data.get('tasks', []):
+        if task.get('id') == task_id:
+            task['status'] = status
+PYEOF
+}
@@ -9,6 +9,11 @@ import {
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import { execFileSync } from "child_process";
+import { readJson, updateJson, writeJson } from "../shared/store.js";
+import { waitForChange } from "../shared/watch.js";
+import { formatThread, getThread, resolveThreadId } from "../shared/threads.js";
+import { taskQueueFile, claimNextTask, annotateTask, completeTask, releaseTaskHolds } from "../shared/task-queue.js";
 
 // Get messaging directory from environment or use default
 const MESSAGES_DIR = process.env.ORCHESTRATOR_MESSAGES_DIR ||
@@ -16,6 +21,22 @@ const MESSAGES_DIR = process.env.ORCHESTRATOR_MESSAGES_DIR ||
 const AGENT_ID = process.env.ORCHESTRATOR_AGENT_ID || "unknown-agent";
 const TASK_ID = process.env.ORCHESTRATOR_TASK_ID || "unknown-task";
 
+// Agent's own working copy and the main workspace it syncs from (set by
+// pm-control when it spawns persistent agents)
+const AGENT_WORKSPACE = process.env.ORCHESTRATOR_AGENT_WORKSPACE || process.cwd();
+const MAIN_WORKSPACE = process.env.ORCHESTRATOR_MAIN_WORKSPACE || null;
+
+// Task currently being worked on (persistent agents start in "standby"
+// and pick up a new task with each accepted assignment)
+let currentTask = { id: TASK_ID, branch: null };
+
+// Set when the PM has cancelled, reassigned or redirected the current task
+// and the agent has been told ({ action, taskId, nextTaskId? })
+let stopRequest = null;
+
+// Set when pm-control is shutting this agent down
+let shutdownRequested = false;
+
 // Ensure messages directory exists
 if (!fs.existsSync(MESSAGES_DIR)) {
   fs.mkdirSync(MESSAGES_DIR, { recursive: true });
@@ -26,36 +47,40 @@ const OUTBOX_FILE = path.join(MESSAGES_DIR, "outbox.json");
 const INBOX_FILE = path.join(MESSAGES_DIR, "inbox.json");
 const STATUS_FILE = path.join(MESSAGES_DIR, "status.json");
 const AGENT_POOL_FILE = path.join(MESSAGES_DIR, "agent_pool.json");
-const ASSIGNMENTS_FILE = path.join(MESSAGES_DIR, "assignments.json");
+const TASK_QUEUE_FILE = taskQueueFile(MESSAGES_DIR);
+const HANDOFFS_DIR = path.join(MESSAGES_DIR, "handoffs");
+
+// ask_pm escalation schedule per priority (ms since the question was sent):
+// re-ping the PM, then escalate to the user via the web UI, then give up.
+// Override with ORCHESTRATOR_ASK_PM_TIMEOUTS, e.g. '{"blocking":{"giveUpAfter":7200000}}'
+const ASK_PM_SCHEDULES = {
+  low: { repingAfter: 120000, escalateAfter: null, giveUpAfter: 300000 },
+  normal: { repingAfter: 150000, escalateAfter: 300000, giveUpAfter: 600000 },
+  high: { repingAfter: 120000, escalateAfter: 240000, giveUpAfter: 900000 },
+  blocking: { repingAfter: 180000, escalateAfter: 360000, giveUpAfter: 3600000 },
+};
 
-// Helper to read JSON file safely
-function readJsonFile(filePath) {
+function getAskPmSchedule(priority) {
+  let overrides = {};
   try {
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath, "utf-8"));
-    }
+    overrides = JSON.parse(process.env.ORCHESTRATOR_ASK_PM_TIMEOUTS || "{}");
   } catch (e) {
-    // File might be being written, return empty
+    console.error(`Ignoring invalid ORCHESTRATOR_ASK_PM_TIMEOUTS: ${e.message}`);
   }
-  return { messages: [] };
-}
-
-// Helper to write JSON file atomically
-function writeJsonFile(filePath, data) {
-  const tmpPath = filePath + ".tmp";
-  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
-  fs.renameSync(tmpPath, filePath);
+  const base = ASK_PM_SCHEDULES[priority] || ASK_PM_SCHEDULES.normal;
+  return { ...base, ...(overrides[priority] || {}) };
 }
 
 // Add message to outbox (agent → PM/user)
-function sendMessage(to, question, priority = "normal") {
-  const outbox = readJsonFile(OUTBOX_FILE);
+// A new message starts its own thread unless threadId continues one
+function sendMessage(to, question, priority = "normal", threadId = null) {
   const messageId = crypto.randomUUID();
 
   const message = {
     id: messageId,
+    threadId: threadId || messageId,
     from: AGENT_ID,
-    task: TASK_ID,
+    task: currentTask.id,
     to: to,  // "pm" or "user"
     question: question,
     priority: priority,
@@ -63,129 +88,469 @@ function sendMessage(to, question, priority = "normal") {
     status: "pending"
   };
 
-  outbox.messages.push(message);
-  writeJsonFile(OUTBOX_FILE, outbox);
+  updateJson(OUTBOX_FILE, outbox => {
+    outbox.messages.push(message);
+  });
 
   return messageId;
 }
 
 // Check for response to a specific message
 function checkResponse(messageId) {
-  const inbox = readJsonFile(INBOX_FILE);
-  const response = inbox.messages.find(m => m.replyTo === messageId);
+  const inbox = readJson(INBOX_FILE);
+  const response = inbox.messages.find(m => m.replyTo === messageId && !m.vetoed);
   return response || null;
 }
 
-// Wait for response with polling
+// Wait for response, waking when the inbox changes (null on timeout)
 async function waitForResponse(messageId, timeoutMs = 300000) {
+  return waitForChange(INBOX_FILE, () => checkResponse(messageId), timeoutMs);
+}
+
+// Patch a message in the outbox
+function updateOutboxMessage(messageId, updates) {
+  updateJson(OUTBOX_FILE, outbox => {
+    const message = outbox.messages.find(m => m.id === messageId);
+    if (message) {
+      Object.assign(message, updates);
+    }
+  });
+}
+
+// Ask the PM and walk the fallback chain until someone answers:
+// wait for the PM -> re-ping the PM -> escalate to the user -> give up.
+// status.json reflects the current stage throughout.
+async function askPm(question, summary, priority, threadId = null) {
+  const schedule = getAskPmSchedule(priority);
+  const messageId = sendMessage("pm", question, priority, threadId);
   const startTime = Date.now();
-  const pollInterval = 1000; // 1 second
 
-  while (Date.now() - startTime < timeoutMs) {
-    const response = checkResponse(messageId);
+  const stages = [
+    { name: "waiting_pm", start: 0 },
+    {
+      name: "repinged_pm",
+      start: schedule.repingAfter,
+      // Put the question back in the orchestrator's queue in case the PM
+      // dropped it while processing
+      enter: () => updateOutboxMessage(messageId, {
+        status: "pending",
+        repingedAt: new Date().toISOString()
+      })
+    },
+    {
+      name: "escalated_user",
+      start: schedule.escalateAfter,
+      // Surfaces the question in the web UI; whoever answers first wins
+      enter: () => updateOutboxMessage(messageId, {
+        status: "pending",
+        escalatedToUser: true,
+        escalationReason: "pm_unresponsive",
+        escalatedAt: new Date().toISOString()
+      })
+    },
+  ].filter(stage => stage.start != null && stage.start < schedule.giveUpAfter);
+
+  for (const [i, stage] of stages.entries()) {
+    const end = stages[i + 1]?.start ?? schedule.giveUpAfter;
+    const remaining = end - (Date.now() - startTime);
+    if (remaining <= 0) continue;
+
+    stage.enter?.();
+    updateStatus("blocked", {
+      waiting_for: stage.name === "escalated_user" ? "user" : "pm",
+      stage: stage.name,
+      priority: priority,
+      question: summary,
+      messageId: messageId
+    });
+
+    const response = await waitForResponse(messageId, remaining);
     if (response) {
-      return response;
+      return { response, stage: stage.name, messageId };
     }
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
   }
 
-  return null; // Timeout
+  updateOutboxMessage(messageId, { status: "timed_out" });
+  return { response: null, stage: "timed_out", messageId };
 }
 
 // Update status (non-blocking)
 function updateStatus(status, details = {}) {
-  const statusData = readJsonFile(STATUS_FILE);
-
-  statusData.agents = statusData.agents || {};
-  statusData.agents[AGENT_ID] = {
-    task: TASK_ID,
-    status: status,
-    details: details,
-    timestamp: new Date().toISOString()
-  };
-
-  writeJsonFile(STATUS_FILE, statusData);
+  updateJson(STATUS_FILE, statusData => {
+    statusData.agents[AGENT_ID] = {
+      task: currentTask.id,
+      status: status,
+      details: details,
+      timestamp: new Date().toISOString()
+    };
+  });
 }
 
 // Register agent in pool
 function registerAgent(role, capabilities = []) {
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  pool.agents = pool.agents || {};
-
-  pool.agents[AGENT_ID] = {
-    role: role,
-    capabilities: capabilities,
-    status: "active",
-    currentTask: TASK_ID,
-    registeredAt: new Date().toISOString(),
-    lastSeen: new Date().toISOString()
-  };
-
-  writeJsonFile(AGENT_POOL_FILE, pool);
+  updateJson(AGENT_POOL_FILE, pool => {
+    // Keep what pm-control recorded at spawn time (type, pid, workspace)
+    const existing = pool.agents[AGENT_ID] || {};
+    pool.agents[AGENT_ID] = {
+      ...existing,
+      role: role,
+      capabilities: capabilities,
+      status: "active",
+      currentTask: currentTask.id,
+      registeredAt: existing.registeredAt || new Date().toISOString(),
+      lastSeen: new Date().toISOString(),
+      health: "ok"
+    };
+  });
 }
 
-// Update agent status in pool
-function updateAgentPool(status, currentTask = null) {
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  pool.agents = pool.agents || {};
+// Heartbeat: refresh lastSeen while a tool call is in flight, so the
+// pm-control reaper can tell a long ask_pm/await_assignment from a dead agent.
+// Each new tool call is also counted (pm-control enforces max_tool_calls).
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.ORCHESTRATOR_HEARTBEAT_MS || "30000", 10);
+let inFlightCalls = 0;
+let heartbeatTimer = null;
 
-  if (pool.agents[AGENT_ID]) {
-    pool.agents[AGENT_ID].status = status;
-    pool.agents[AGENT_ID].currentTask = currentTask;
-    pool.agents[AGENT_ID].lastSeen = new Date().toISOString();
-  }
+function heartbeat(newCall = false) {
+  try {
+    updateJson(AGENT_POOL_FILE, pool => {
+      const agent = pool.agents[AGENT_ID];
+      if (!agent) return;  // Not pooled (e.g. the PM's own messaging server)
 
-  writeJsonFile(AGENT_POOL_FILE, pool);
+      agent.lastSeen = new Date().toISOString();
+      if (newCall) {
+        agent.toolCalls = (agent.toolCalls || 0) + 1;
+        agent.taskToolCalls = (agent.taskToolCalls || 0) + 1;
+      }
+      if (agent.health === "dead" && agent.statusBeforeDeath) {
+        // Declared dead too early - restore
+        agent.status = agent.statusBeforeDeath;
+        delete agent.statusBeforeDeath;
+        delete agent.diedAt;
+        delete agent.deathReason;
+      }
+      agent.health = "ok";
+    });
+  } catch (e) {
+    console.error(`Heartbeat failed: ${e.message}`);
+  }
 }
 
-// Check for new assignment
-function checkAssignment() {
-  const assignments = readJsonFile(ASSIGNMENTS_FILE);
-  const myAssignment = assignments.pending?.find(a => a.agentId === AGENT_ID);
-  return myAssignment || null;
+function beginToolCall() {
+  inFlightCalls++;
+  heartbeat(true);
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+  }
 }
 
-// Mark assignment as accepted
-function acceptAssignment(assignmentId) {
-  const assignments = readJsonFile(ASSIGNMENTS_FILE);
-  assignments.pending = assignments.pending || [];
-  assignments.accepted = assignments.accepted || [];
-
-  const idx = assignments.pending.findIndex(a => a.id === assignmentId);
-  if (idx >= 0) {
-    const assignment = assignments.pending.splice(idx, 1)[0];
-    assignment.acceptedAt = new Date().toISOString();
-    assignments.accepted.push(assignment);
-    writeJsonFile(ASSIGNMENTS_FILE, assignments);
-    return assignment;
+function endToolCall() {
+  inFlightCalls--;
+  if (inFlightCalls === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
   }
-  return null;
 }
 
-// Wait for new assignment (blocking)
-async function waitForAssignment(timeoutMs = 600000) {
-  const startTime = Date.now();
-  const pollInterval = 2000; // 2 seconds
+// Update agent status in pool
+function updateAgentPool(status, currentTask = null) {
+  updateJson(AGENT_POOL_FILE, pool => {
+    if (pool.agents[AGENT_ID]) {
+      if (pool.agents[AGENT_ID].status !== status) {
+        pool.agents[AGENT_ID].statusSince = new Date().toISOString();
+      }
+      if (pool.agents[AGENT_ID].currentTask !== currentTask) {
+        pool.agents[AGENT_ID].taskToolCalls = 0;
+      }
+      pool.agents[AGENT_ID].status = status;
+      pool.agents[AGENT_ID].currentTask = currentTask;
+      pool.agents[AGENT_ID].lastSeen = new Date().toISOString();
+    }
+  });
+}
 
+// Wait for new assignment (blocking): a task the PM assigned to us, or
+// the highest-priority queued task we have the capabilities for
+async function waitForAssignment(capabilities = [], timeoutMs = 600000) {
   // Mark as standby in pool
   updateAgentPool("standby", null);
   updateStatus("standby", { waiting_for: "assignment" });
 
-  while (Date.now() - startTime < timeoutMs) {
-    const assignment = checkAssignment();
-    if (assignment) {
-      // Accept and return
-      acceptAssignment(assignment.id);
-      updateAgentPool("active", assignment.taskId);
-      updateStatus("in_progress", { task: assignment.taskId });
-      return assignment;
+  // Wake when the task queue changes
+  const assignment = await waitForChange(TASK_QUEUE_FILE,
+    () => claimNextTask(MESSAGES_DIR, AGENT_ID, capabilities), timeoutMs);
+
+  if (assignment) {
+    currentTask = { id: assignment.taskId, branch: assignment.branch };
+
+    // Put the working copy on the task branch, up to date with main
+    const sync = syncAssignmentBranch(assignment.branch);
+    if (sync) {
+      assignment.workspaceSync = sync;
+      annotateTask(MESSAGES_DIR, assignment.taskId, { workspaceSync: sync });
     }
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
+
+    updateAgentPool("active", assignment.taskId);
+    updateStatus("in_progress", { task: assignment.taskId });
+    return assignment;
   }
 
   return null; // Timeout - agent should terminate
 }
 
+// Helper to run git in the agent's working copy
+function git(...args) {
+  try {
+    return execFileSync("git", args, {
+      cwd: AGENT_WORKSPACE,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "pipe"]
+    }).trim();
+  } catch (e) {
+    throw new Error((e.stderr || e.message).toString().trim());
+  }
+}
+
+// Fetch the main workspace, check out the assignment branch (creating it
+// from main) and rebase it onto main. A failed rebase is aborted, leaving
+// the branch as it was. Returns what happened, or null outside git.
+function syncAssignmentBranch(branch) {
+  if (!fs.existsSync(path.join(AGENT_WORKSPACE, ".git"))) {
+    return null;
+  }
+
+  const sync = { branch, syncedAt: new Date().toISOString() };
+  try {
+    let base = null;
+    if (MAIN_WORKSPACE) {
+      const mainBranch = git("-C", MAIN_WORKSPACE, "rev-parse", "--abbrev-ref", "HEAD");
+      git("fetch", "--quiet", MAIN_WORKSPACE, mainBranch);
+      base = git("rev-parse", "FETCH_HEAD");
+      sync.mainBranch = mainBranch;
+      sync.base = base;
+    }
+
+    let current = null;
+    try {
+      current = git("symbolic-ref", "--short", "HEAD");
+    } catch (e) {
+      // Detached HEAD (fresh worktree)
+    }
+    if (current !== branch) {
+      let exists = true;
+      try {
+        git("rev-parse", "--verify", "--quiet", `refs/heads/${branch}`);
+      } catch (e) {
+        exists = false;
+      }
+      if (exists) {
+        git("checkout", branch);
+      } else {
+        git("checkout", "-b", branch, ...(base ? [base] : []));
+      }
+    }
+
+    sync.rebased = false;
+    if (base) {
+      let upToDate = true;
+      try {
+        git("merge-base", "--is-ancestor", base, "HEAD");
+      } catch (e) {
+        upToDate = false;
+      }
+      if (!upToDate) {
+        try {
+          git("rebase", base);
+          sync.rebased = true;
+        } catch (e) {
+          try { git("rebase", "--abort"); } catch (abortError) { /* nothing to abort */ }
+          sync.error = `Rebase onto ${sync.mainBranch} failed and was aborted: ${e.message.split("\n")[0]}`;
+        }
+      }
+    }
+  } catch (e) {
+    sync.error = e.message.split("\n")[0];
+  }
+
+  try {
+    sync.head = git("rev-parse", "HEAD");
+  } catch (e) {
+    sync.head = null;
+  }
+  return sync;
+}
+
+// Leave a task the PM stopped: commit whatever is uncommitted on its branch
+// as WIP, then detach so whoever takes the task next can check the branch
+// out. Returns what was saved, or null if no task was stopped.
+function leaveStoppedTask() {
+  if (!stopRequest) {
+    return null;
+  }
+  const stopped = { ...stopRequest, branch: currentTask.branch, wipCommit: null };
+  stopRequest = null;
+  currentTask = { id: TASK_ID, branch: null };
+
+  if (!fs.existsSync(path.join(AGENT_WORKSPACE, ".git"))) {
+    releaseTaskHolds(MESSAGES_DIR, AGENT_ID);
+    return stopped;
+  }
+  try {
+    if (git("status", "--porcelain")) {
+      git("add", "-A");
+      let identity = [];
+      try {
+        git("config", "user.email");
+      } catch (e) {
+        identity = ["-c", `user.name=${AGENT_ID}`, "-c", `user.email=${AGENT_ID}@orchestrator.local`];
+      }
+      git(...identity, "commit", "--quiet", "--no-verify", "-m",
+        `WIP on ${stopped.taskId}: stopped by the PM (${stopped.action})`);
+      stopped.wipCommit = git("rev-parse", "HEAD");
+      annotateTask(MESSAGES_DIR, stopped.taskId, {
+        wip: { agentId: AGENT_ID, commit: stopped.wipCommit, at: new Date().toISOString() },
+      });
+    }
+    git("checkout", "--quiet", "--detach");
+    // The branch is free: the task can go to its next agent
+    releaseTaskHolds(MESSAGES_DIR, AGENT_ID);
+  } catch (e) {
+    stopped.error = e.message.split("\n")[0];
+  }
+  return stopped;
+}
+
+// Best-effort HEAD of the agent's working copy
+function detectCommitSha() {
+  try {
+    return git("rev-parse", "HEAD");
+  } catch (e) {
+    return null;
+  }
+}
+
+// Handoff artifacts are stored per task so the PM and web UI can review
+// them after the outbox message has been handled
+function handoffFile(taskId) {
+  return path.join(HANDOFFS_DIR, `${taskId.replace(/[^A-Za-z0-9._-]/g, "_")}.json`);
+}
+
+function saveHandoff(handoff) {
+  fs.mkdirSync(HANDOFFS_DIR, { recursive: true });
+  const filePath = handoffFile(handoff.taskId);
+  writeJson(filePath, handoff);
+  return filePath;
+}
+
+// Format an inbox message for get_messages
+function formatMessage(m) {
+  if (m.type === "directive") {
+    return `DIRECTIVE from ${m.from}: ${m.message}`;
+  }
+  if (m.type === "agent_question") {
+    return `Question from ${m.from} (id: ${m.id}): ${m.message}\n` +
+      `Answer with send_to_agent(to="${m.from}", reply_to="${m.id}", message=...)`;
+  }
+  if (m.replyTo && m.from !== "pm" && m.from !== "user") {
+    return `Reply from ${m.from}: ${m.answer}`;
+  }
+  return `From ${m.from}: ${m.message || m.answer}`;
+}
+
+// Remember a directive that stops the current task or the agent
+function noteDirective(m) {
+  if (m.directive?.action === "shutdown") {
+    shutdownRequested = true;
+  } else if (m.directive?.taskId && m.directive.taskId === currentTask.id) {
+    stopRequest = m.directive;
+  }
+}
+
+// Take this agent's unread directives from the inbox. They are shown with
+// the response to whatever tool the agent calls next.
+function takeDirectives() {
+  const directives = updateJson(INBOX_FILE, inbox => {
+    const readAt = new Date().toISOString();
+    const mine = inbox.messages.filter(m =>
+      m.type === "directive" && m.to === AGENT_ID && !m.read && !m.vetoed);
+    for (const m of mine) {
+      m.read = true;
+      m.readAt = readAt;
+    }
+    return mine.map(m => ({ ...m }));
+  });
+  directives.forEach(noteDirective);
+  return directives;
+}
+
+// Live agents in the pool other than this one
+function listPeers() {
+  const pool = readJson(AGENT_POOL_FILE);
+  return Object.entries(pool.agents)
+    .filter(([agentId, info]) => agentId !== AGENT_ID && !["terminated", "dead"].includes(info.status) && info.health !== "dead")
+    .map(([agentId, info]) => ({ id: agentId, ...info }));
+}
+
+// Resolve an agent id or a role to live peers (working agents first)
+function resolvePeers(target) {
+  const peers = listPeers();
+  const byId = peers.find(p => p.id === target);
+  if (byId) {
+    return [byId];
+  }
+  return peers
+    .filter(p => p.role === target)
+    .sort((a, b) => (b.status === "active") - (a.status === "active"));
+}
+
+// A message sent to this agent by a peer (from its inbox, or the outbox
+// copy every peer message has), or null
+function findPeerMessage(messageId) {
+  return readJson(INBOX_FILE).messages.find(m => m.id === messageId && m.to === AGENT_ID) ||
+    readJson(OUTBOX_FILE).messages.find(m => m.id === messageId && m.to === AGENT_ID) ||
+    null;
+}
+
+// Send a message to another agent. It is delivered straight to the
+// recipient's inbox and mirrored in the outbox so the PM sees (and can
+// veto) all peer traffic.
+function sendToAgent(recipientId, text, { type = "agent_message", replyTo = null } = {}) {
+  const messageId = crypto.randomUUID();
+  const timestamp = new Date().toISOString();
+  const threadId = replyTo ? resolveThreadId(MESSAGES_DIR, replyTo) : messageId;
+
+  updateJson(OUTBOX_FILE, outbox => {
+    outbox.messages.push({
+      id: messageId,
+      threadId: threadId,
+      from: AGENT_ID,
+      task: currentTask.id,
+      to: recipientId,
+      type: type,
+      message: text,
+      replyTo: replyTo,
+      timestamp: timestamp,
+      status: "pending"
+    });
+  });
+
+  updateJson(INBOX_FILE, inbox => {
+    inbox.messages.push({
+      id: messageId,
+      threadId: threadId,
+      from: AGENT_ID,
+      to: recipientId,
+      type: type,
+      message: text,
+      ...(replyTo && { replyTo: replyTo, answer: text }),
+      timestamp: timestamp,
+      read: false
+    });
+  });
+
+  return messageId;
+}
+
 // Create MCP server
 const server = new Server(
   {
@@ -220,7 +585,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             priority: {
               type: "string",
               enum: ["low", "normal", "high", "blocking"],
-              description: "Priority level. Use 'blocking' if you cannot proceed without an answer."
+              description: "Priority level. Use 'blocking' if you cannot proceed without an answer. Higher priorities wait longer; if the PM does not answer, the question is re-sent and then escalated to the user."
+            },
+            thread_id: {
+              type: "string",
+              description: "Optional thread ID from an earlier ask_pm response, to ask a follow-up in the same conversation"
             }
           },
           required: ["question"]
@@ -279,6 +648,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               enum: ["info", "warning", "error", "success"],
               description: "Type of notification"
+            },
+            thread_id: {
+              type: "string",
+              description: "Optional thread ID to attach this notification to an existing conversation"
             }
           },
           required: ["message"]
@@ -286,7 +659,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "task_complete",
-        description: "Report that your current task is complete. Call this when you've finished the assigned work. You'll then enter standby mode waiting for a new assignment from the PM.",
+        description: "Report that your current task is complete. Call this when you've finished the assigned work, with a structured handoff (tests run, commit, open TODOs, risks, follow-ups) for the PM's review. You'll then enter standby mode waiting for a new assignment from the PM.",
         inputSchema: {
           type: "object",
           properties: {
@@ -298,11 +671,116 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "array",
               items: { type: "string" },
               description: "List of files you created or modified"
+            },
+            tests: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  command: { type: "string", description: "Test command you ran (e.g., 'npm test')" },
+                  result: { type: "string", enum: ["passed", "failed", "skipped"] },
+                  output: { type: "string", description: "Optional short excerpt of the output" }
+                },
+                required: ["command", "result"]
+              },
+              description: "Test commands run and their results"
+            },
+            commit_sha: {
+              type: "string",
+              description: "Commit SHA of your work on the task branch (defaults to the current HEAD)"
+            },
+            todos: {
+              type: "array",
+              items: { type: "string" },
+              description: "Work left open (TODOs)"
+            },
+            risks: {
+              type: "array",
+              items: { type: "string" },
+              description: "Known risks or limitations of the change"
+            },
+            follow_ups: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  title: { type: "string" },
+                  description: { type: "string" }
+                },
+                required: ["title"]
+              },
+              description: "Suggested follow-up tasks"
             }
           },
           required: ["summary"]
         }
       },
+      {
+        name: "get_thread",
+        description: "Show the full conversation a message belongs to (questions, answers and follow-ups in order). Use this to recall earlier answers before asking a follow-up.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            thread_id: {
+              type: "string",
+              description: "Thread ID (or the ID of any message in the thread)"
+            }
+          },
+          required: ["thread_id"]
+        }
+      },
+      {
+        name: "list_peers",
+        description: "List the other agents in the pool (id, role, status, capabilities, current task). Use this to find who to contact with ask_agent or send_to_agent.",
+        inputSchema: {
+          type: "object",
+          properties: {}
+        }
+      },
+      {
+        name: "ask_agent",
+        description: "Ask another agent a question and wait for its answer (e.g., ask the backend agent for an API contract). Address the agent by its ID or by role; a role resolves to one live agent with that role. The PM can see this exchange and may veto it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            to: {
+              type: "string",
+              description: "Agent ID (from list_peers) or role (e.g., 'backend')"
+            },
+            question: {
+              type: "string",
+              description: "Your question for the other agent. Be specific."
+            },
+            context: {
+              type: "string",
+              description: "Optional additional context"
+            }
+          },
+          required: ["to", "question"]
+        }
+      },
+      {
+        name: "send_to_agent",
+        description: "Send a message to another agent without waiting. Address by agent ID or by role (a role delivers to every live agent with that role). Use reply_to to answer a question another agent asked you - the answer goes to the agent that asked. The PM can see this message.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            to: {
+              type: "string",
+              description: "Agent ID (from list_peers) or role"
+            },
+            message: {
+              type: "string",
+              description: "The message (or answer) to send"
+            },
+            reply_to: {
+              type: "string",
+              description: "ID of the question you are answering (shown by get_messages)"
+            }
+          },
+          required: ["to", "message"]
+        }
+      },
       {
         name: "await_assignment",
         description: "Enter standby mode and wait for the PM to assign you a new task. This blocks until a new task is assigned or timeout (10 min). Use this after completing a task to stay available for more work.",
@@ -321,39 +799,62 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
   };
 });
 
+// Tools that don't carry pending directives: get_messages lists them
+// itself, and await_assignment starts the agent on something new
+const DIRECTIVE_FREE_TOOLS = ["get_messages", "await_assignment"];
+
 // Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  beginToolCall();
+  try {
+    const result = await handleToolCall(request);
+    if (!DIRECTIVE_FREE_TOOLS.includes(request.params.name)) {
+      const directives = takeDirectives();
+      if (directives.length > 0) {
+        result.content.push({ type: "text", text: "\n" + directives.map(formatMessage).join("\n\n") });
+      }
+    }
+    return result;
+  } finally {
+    endToolCall();
+  }
+});
+
+async function handleToolCall(request) {
   const { name, arguments: args } = request.params;
 
   switch (name) {
     case "ask_pm": {
-      const { question, context, priority = "normal" } = args;
+      const { question, context, priority = "normal", thread_id } = args;
       const fullQuestion = context ? `${question}\n\nContext:\n${context}` : question;
+      const threadId = thread_id ? resolveThreadId(MESSAGES_DIR, thread_id) : null;
 
-      updateStatus("blocked", { waiting_for: "pm", question: question });
-
-      const messageId = sendMessage("pm", fullQuestion, priority);
-
-      // Wait for response (up to 5 minutes)
-      const response = await waitForResponse(messageId, 300000);
+      const { response, stage, messageId } = await askPm(fullQuestion, question, priority, threadId);
+      const threadNote = `\n\n(Thread: ${threadId || messageId} - pass as thread_id to ask a follow-up)`;
 
       if (response) {
-        updateStatus("in_progress", { resumed_after: "pm_response" });
+        const fromUser = response.from === "user";
+        updateStatus("in_progress", {
+          resumed_after: fromUser ? "user_response" : "pm_response",
+          stage: stage
+        });
         return {
           content: [
             {
               type: "text",
-              text: `PM Response:\n${response.answer}`
+              text: (fromUser
+                ? `User Response (the PM was unresponsive):\n${response.answer}`
+                : `PM Response:\n${response.answer}`) + threadNote
             }
           ]
         };
       } else {
-        updateStatus("in_progress", { note: "pm_timeout" });
+        updateStatus("in_progress", { note: "pm_timeout", stage: stage });
         return {
           content: [
             {
               type: "text",
-              text: "No response received from PM within timeout. Proceeding with best judgment."
+              text: "No response received from the PM or the user within timeout. Proceeding with best judgment." + threadNote
             }
           ]
         };
@@ -376,31 +877,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "get_messages": {
       const { unreadOnly = true } = args;
-      const inbox = readJsonFile(INBOX_FILE);
 
-      let messages = inbox.messages.filter(m => m.to === AGENT_ID || m.to === "all");
+      const messages = updateJson(INBOX_FILE, inbox => {
+        let mine = inbox.messages.filter(m => (m.to === AGENT_ID || m.to === "all") && !m.vetoed);
 
-      if (unreadOnly) {
-        messages = messages.filter(m => !m.read);
-      }
+        if (unreadOnly) {
+          mine = mine.filter(m => !m.read);
+        }
 
-      // Mark as read
-      if (messages.length > 0) {
-        inbox.messages = inbox.messages.map(m => {
-          if (messages.find(msg => msg.id === m.id)) {
-            return { ...m, read: true };
+        // Snapshot before marking as read (readAt is the read receipt
+        // the PM sees for broadcasts)
+        const result = mine.map(m => ({ ...m }));
+        const readAt = new Date().toISOString();
+        for (const m of mine) {
+          if (!m.read && m.to === AGENT_ID) {
+            m.readAt = readAt;
           }
-          return m;
-        });
-        writeJsonFile(INBOX_FILE, inbox);
-      }
+          m.read = true;
+        }
+        return result;
+      });
+      messages.forEach(noteDirective);
 
       return {
         content: [
           {
             type: "text",
             text: messages.length > 0
-              ? `You have ${messages.length} message(s):\n\n${messages.map(m => `From ${m.from}: ${m.message || m.answer}`).join('\n\n')}`
+              ? `You have ${messages.length} message(s):\n\n${messages.map(formatMessage).join('\n\n')}`
               : "No new messages."
           }
         ]
@@ -408,21 +912,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     case "notify_pm": {
-      const { message, type = "info" } = args;
-      const outbox = readJsonFile(OUTBOX_FILE);
-
-      outbox.messages.push({
-        id: crypto.randomUUID(),
-        from: AGENT_ID,
-        task: TASK_ID,
-        to: "pm",
-        type: "notification",
-        notificationType: type,
-        message: message,
-        timestamp: new Date().toISOString()
-      });
+      const { message, type = "info", thread_id } = args;
+      const notificationId = crypto.randomUUID();
+      const threadId = thread_id ? resolveThreadId(MESSAGES_DIR, thread_id) : notificationId;
 
-      writeJsonFile(OUTBOX_FILE, outbox);
+      updateJson(OUTBOX_FILE, outbox => {
+        outbox.messages.push({
+          id: notificationId,
+          threadId: threadId,
+          from: AGENT_ID,
+          task: currentTask.id,
+          to: "pm",
+          type: "notification",
+          notificationType: type,
+          message: message,
+          timestamp: new Date().toISOString()
+        });
+      });
 
       return {
         content: [
@@ -435,52 +941,240 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     case "task_complete": {
-      const { summary, files_changed = [] } = args;
+      const {
+        summary,
+        files_changed = [],
+        tests = [],
+        commit_sha,
+        todos = [],
+        risks = [],
+        follow_ups = []
+      } = args;
 
-      // Notify PM of completion
-      const outbox = readJsonFile(OUTBOX_FILE);
-      outbox.messages.push({
-        id: crypto.randomUUID(),
-        from: AGENT_ID,
-        task: TASK_ID,
-        to: "pm",
-        type: "task_complete",
+      // The PM may have stopped this task since the agent last looked
+      const directives = takeDirectives();
+      if (stopRequest) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Task ${currentTask.id} was stopped by the PM before you completed it, so no handoff was recorded.\n\n` +
+                directives.map(formatMessage).join("\n\n") +
+                (directives.length > 0 ? "\n\n" : "") +
+                `Call await_assignment() to continue.`
+            }
+          ]
+        };
+      }
+
+      // Store the structured handoff for this task
+      const handoff = {
+        taskId: currentTask.id,
+        agentId: AGENT_ID,
+        branch: currentTask.branch,
+        commitSha: commit_sha || detectCommitSha(),
         summary: summary,
         filesChanged: files_changed,
-        timestamp: new Date().toISOString(),
-        status: "pending"  // Required for orchestrator to process
+        tests: tests,
+        todos: todos,
+        risks: risks,
+        followUps: follow_ups,
+        completedAt: new Date().toISOString()
+      };
+      const handoffPath = saveHandoff(handoff);
+
+      // Notify PM of completion
+      const completionId = crypto.randomUUID();
+      updateJson(OUTBOX_FILE, outbox => {
+        outbox.messages.push({
+          id: completionId,
+          threadId: completionId,
+          from: AGENT_ID,
+          task: currentTask.id,
+          to: "pm",
+          type: "task_complete",
+          summary: summary,
+          filesChanged: files_changed,
+          commitSha: handoff.commitSha,
+          handoffFile: handoffPath,
+          timestamp: new Date().toISOString(),
+          status: "pending"  // Required for orchestrator to process
+        });
       });
-      writeJsonFile(OUTBOX_FILE, outbox);
+
+      completeTask(MESSAGES_DIR, currentTask.id, { by: AGENT_ID, reason: summary });
 
       // Update status
       updateStatus("completed", { summary, files_changed });
-      updateAgentPool("completed", TASK_ID);
+      updateAgentPool("completed", currentTask.id);
 
       return {
         content: [
           {
             type: "text",
-            text: `Task ${TASK_ID} marked complete. Summary: ${summary}\nYou can now call await_assignment() to get a new task.`
+            text: `Task ${currentTask.id} marked complete. Summary: ${summary}\n` +
+              `Handoff saved (commit: ${handoff.commitSha || 'unknown'}, tests: ${tests.length}, TODOs: ${todos.length}, risks: ${risks.length}, follow-ups: ${follow_ups.length}).\n` +
+              `You can now call await_assignment() to get a new task.`
           }
         ]
       };
     }
 
+    case "get_thread": {
+      const { thread_id } = args;
+      const thread = getThread(MESSAGES_DIR, thread_id);
+
+      if (thread.messages.length === 0) {
+        return {
+          content: [{ type: "text", text: `No messages found for thread: ${thread_id}` }]
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `THREAD ${thread.threadId} (${thread.messages.length} messages)\n\n${formatThread(thread.messages)}`
+          }
+        ]
+      };
+    }
+
+    case "list_peers": {
+      const peers = listPeers();
+
+      if (peers.length === 0) {
+        return {
+          content: [{ type: "text", text: "No other agents in pool." }]
+        };
+      }
+
+      const lines = peers.map(p =>
+        `[${p.id}] role=${p.role} status=${p.status}` +
+        ` caps=[${(p.capabilities || []).join(', ')}]` +
+        (p.currentTask ? ` task=${p.currentTask}` : "")
+      );
+
+      return {
+        content: [{ type: "text", text: `PEERS (${peers.length}):\n${lines.join('\n')}` }]
+      };
+    }
+
+    case "ask_agent": {
+      const { to, question, context } = args;
+      const [peer] = resolvePeers(to);
+
+      if (!peer) {
+        return {
+          content: [{ type: "text", text: `No live agent matches '${to}'. Use list_peers to see who is available.` }]
+        };
+      }
+
+      const fullQuestion = context ? `${question}\n\nContext:\n${context}` : question;
+
+      updateStatus("blocked", { waiting_for: peer.id, question: question });
+
+      const messageId = sendToAgent(peer.id, fullQuestion, { type: "agent_question" });
+      const response = await waitForResponse(messageId, 300000);
+
+      if (response) {
+        // Consumed here, so don't show it again in get_messages
+        updateJson(INBOX_FILE, inbox => {
+          const delivered = inbox.messages.find(m => m.id === response.id);
+          if (delivered) delivered.read = true;
+        });
+        updateStatus("in_progress", { resumed_after: "agent_response" });
+        return {
+          content: [{ type: "text", text: `Response from ${response.from}:\n${response.answer}` }]
+        };
+      }
+
+      updateStatus("in_progress", { note: "agent_timeout" });
+      return {
+        content: [{ type: "text", text: `No response from ${peer.id} within timeout. Consider asking the PM instead.` }]
+      };
+    }
+
+    case "send_to_agent": {
+      const { to, message, reply_to } = args;
+
+      // A reply goes only to the agent that asked
+      if (reply_to) {
+        const asker = findPeerMessage(reply_to)?.from;
+        const peer = asker && listPeers().find(p => p.id === asker);
+        if (!peer) {
+          return {
+            content: [{ type: "text", text: asker
+              ? `${asker} asked ${reply_to}, but it is no longer live - your reply was not sent.`
+              : `No message ${reply_to} to reply to. Use get_messages to see the questions you were asked.` }]
+          };
+        }
+        sendToAgent(peer.id, message, { type: "agent_message", replyTo: reply_to });
+        return {
+          content: [{ type: "text", text: `Reply sent to ${peer.id}` }]
+        };
+      }
+
+      const peers = resolvePeers(to);
+
+      if (peers.length === 0) {
+        return {
+          content: [{ type: "text", text: `No live agent matches '${to}'. Use list_peers to see who is available.` }]
+        };
+      }
+
+      for (const peer of peers) {
+        sendToAgent(peer.id, message, { type: "agent_message" });
+      }
+
+      return {
+        content: [{ type: "text", text: `Message sent to ${peers.map(p => p.id).join(', ')}` }]
+      };
+    }
+
     case "await_assignment": {
       const { capabilities = [] } = args;
 
+      if (shutdownRequested) {
+        return {
+          content: [{ type: "text", text: "This agent is being shut down by the PM - do not wait for new work. Exit now." }]
+        };
+      }
+
+      // Save the work on a task the PM stopped before taking the next one
+      const stopped = leaveStoppedTask();
+      let stoppedNote = "";
+      if (stopped?.error) {
+        stoppedNote = `WARNING: could not save your work on ${stopped.taskId}: ${stopped.error}\n\n`;
+      } else if (stopped?.wipCommit) {
+        stoppedNote = `Your uncommitted work on ${stopped.taskId} was committed to ${stopped.branch} as ${stopped.wipCommit.slice(0, 10)}.\n\n`;
+      }
+
       // Register in pool with capabilities
       registerAgent(AGENT_ID.split('-')[0], capabilities);
 
       // Wait for assignment
-      const assignment = await waitForAssignment(600000); // 10 min timeout
+      const assignment = await waitForAssignment(capabilities, 600000); // 10 min timeout
 
       if (assignment) {
+        const sync = assignment.workspaceSync;
+        let syncNote = "";
+        if (sync?.error) {
+          syncNote = `\nWARNING: could not prepare the branch automatically: ${sync.error}\n` +
+            `Check \`git status\` and get onto ${assignment.branch} before making changes.\n`;
+        } else if (sync) {
+          syncNote = `\nYour workspace is on ${sync.branch} at ${sync.head?.slice(0, 10)}` +
+            (sync.rebased ? `, rebased onto the latest ${sync.mainBranch}` : "") + ".\n";
+        }
+        if (assignment.attempts > 1) {
+          syncNote += `\nThis is attempt ${assignment.attempts} of ${assignment.maxAttempts}: an earlier agent stopped ` +
+            `before finishing. Check the branch for work it already committed.\n`;
+        }
         return {
           content: [
             {
               type: "text",
-              text: `NEW ASSIGNMENT RECEIVED!\n\nTask ID: ${assignment.taskId}\nBranch: ${assignment.branch}\nType: ${assignment.type}\n\nDescription:\n${assignment.description}\n\nStart working on this task now.`
+              text: `${stoppedNote}NEW ASSIGNMENT RECEIVED!\n\nTask ID: ${assignment.taskId}\nBranch: ${assignment.branch}\nType: ${assignment.type}\nPriority: ${assignment.priority}\n${syncNote}\nDescription:\n${assignment.description}\n\nStart working on this task now.`
             }
           ]
         };
@@ -491,7 +1185,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: "No new assignment received within timeout. You may now exit gracefully."
+              text: `${stoppedNote}No new assignment received within timeout. You may now exit gracefully.`
             }
           ]
         };
@@ -501,13 +1195,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     default:
       throw new Error(`Unknown tool: ${name}`);
   }
-});
+}
 
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("Orchestrator Messaging MCP Server running");
+
+  // The agent owns this process over stdio - don't outlive it when it is
+  // killed (otherwise a blocked await_assignment keeps running for minutes)
+  process.stdin.on("end", () => process.exit(0));
 }
 
 main().catch(console.error);
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Agent
+ * Scripted stand-in for the Claude/Codex/Gemini CLIs. It starts the messaging
+ * MCP server the same way a real agent does and walks through a scenario
+ * file, so the pm-control -> messaging -> web UI pipeline can run offline.
+ *
+ * Usage: node agent.js [scenario]   (a path, or the name of a file in
+ *        scenarios/ such as "basic" or "idle"; default: basic)
+ *
+ * A scenario is { "steps": [...] } where each step is one of:
+ *   { "tool": "ask_pm", "args": {...}, "expect": "regex", "capture": { "answer": "regex" },
+ *     "timeoutMs": 60000 }
+ *   { "tool": "send_status", "args": {...}, "until": "regex", "intervalMs": 200 }
+ *     (repeat the call until the response matches)
+ *   { "commit": { "files": { "path": "content" }, "message": "..." } }
+ *   { "write": { "files": { "path": "content" } } }   (left uncommitted)
+ *   { "sleep": 500 }
+ *   { "exit": 0 }
+ *
+ * String values in args/files/messages can use {agentId}, {taskId},
+ * {branch}, {commitSha}, {lastResponse} (text of the previous tool call)
+ * and any name set by "capture" (first group of the regex in the response).
+ * await_assignment ending without an assignment stops the scenario.
+ */
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MESSAGING_SERVER = path.join(__dirname, "..", "messaging-server", "server.js");
+const DEFAULT_SCENARIO = path.join(__dirname, "scenarios", "basic.json");
+const DEFAULT_TOOL_TIMEOUT_MS = 15 * 60 * 1000;  // ask_pm/await_assignment block for minutes
+
+const AGENT_ID = process.env.ORCHESTRATOR_AGENT_ID || "mock-agent";
+
+function log(message) {
+  console.error(`[mock-agent ${AGENT_ID}] ${message}`);
+}
+
+// Helper to substitute {vars} in strings, recursively through objects/arrays
+function fill(value, vars) {
+  if (typeof value === "string") {
+    return value.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => fill(v, vars));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, vars)]));
+  }
+  return value;
+}
+
+function git(...args) {
+  return execFileSync("git", [
+    "-c", "user.name=Mock Agent",
+    "-c", `user.email=${AGENT_ID}@mock.local`,
+    ...args,
+  ], { encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+}
+
+function writeFiles(step, vars) {
+  const files = Object.keys(step.files || {});
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, fill(step.files[file], vars));
+  }
+  return files;
+}
+
+// Write the step's files and commit them (the messaging server has already
+// put the workspace on the assignment's branch)
+function commitFiles(step, vars) {
+  for (const file of writeFiles(step, vars)) {
+    git("add", file);
+  }
+  git("commit", "--allow-empty", "-m", fill(step.message || "Mock agent commit", vars));
+  return git("rev-parse", "HEAD");
+}
+
+async function callTool(client, step, vars) {
+  const args = fill(step.args || {}, vars);
+  const result = await client.callTool(
+    { name: step.tool, arguments: args },
+    undefined,
+    { timeout: step.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS }
+  );
+  const text = (result.content || []).map(c => c.text || "").join("\n");
+
+  if (result.isError) {
+    throw new Error(`${step.tool} failed: ${text}`);
+  }
+  if (step.expect && !new RegExp(step.expect).test(text)) {
+    throw new Error(`${step.tool} response did not match /${step.expect}/:\n${text}`);
+  }
+  return text;
+}
+
+async function runScenario(client, scenario) {
+  const vars = {
+    agentId: AGENT_ID,
+    taskId: process.env.ORCHESTRATOR_TASK_ID || "standby",
+    branch: "",
+    commitSha: "",
+    lastResponse: "",
+  };
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const label = step.tool || Object.keys(step)[0];
+    log(`step ${index + 1}/${scenario.steps.length}: ${label}`);
+
+    if (step.tool) {
+      let text = await callTool(client, step, vars);
+      while (step.until && !new RegExp(step.until).test(text)) {
+        await new Promise(resolve => setTimeout(resolve, step.intervalMs || 200));
+        text = await callTool(client, step, vars);
+      }
+      vars.lastResponse = text;
+      for (const [name, pattern] of Object.entries(step.capture || {})) {
+        const match = text.match(new RegExp(pattern));
+        vars[name] = match ? (match[1] ?? match[0]) : "";
+      }
+
+      if (step.tool === "await_assignment") {
+        const taskId = text.match(/Task ID: (.+)/);
+        if (!taskId) {
+          log("no assignment received - exiting");
+          return 0;
+        }
+        vars.taskId = taskId[1].trim();
+        vars.branch = (text.match(/Branch: (.+)/) || [])[1]?.trim() || "";
+      }
+    } else if (step.commit) {
+      vars.commitSha = commitFiles(step.commit, vars);
+      log(`committed ${vars.commitSha} on ${git("rev-parse", "--abbrev-ref", "HEAD")}`);
+    } else if (step.write) {
+      log(`wrote ${writeFiles(step.write, vars).join(", ")}`);
+    } else if (step.sleep) {
+      await new Promise(resolve => setTimeout(resolve, step.sleep));
+    } else if ("exit" in step) {
+      return step.exit;
+    } else {
+      throw new Error(`Unknown scenario step: ${JSON.stringify(step)}`);
+    }
+  }
+  return 0;
+}
+
+// Helper to resolve a scenario path or a bundled scenario name
+function resolveScenario(nameOrPath) {
+  if (!nameOrPath) return DEFAULT_SCENARIO;
+  const bundled = path.join(__dirname, "scenarios", `${nameOrPath}.json`);
+  return fs.existsSync(bundled) ? bundled : path.resolve(nameOrPath);
+}
+
+async function main() {
+  const scenarioFile = resolveScenario(process.argv[2] || process.env.MOCK_AGENT_SCENARIO);
+  const scenario = JSON.parse(fs.readFileSync(scenarioFile, "utf-8"));
+  log(`running scenario ${scenarioFile}`);
+
+  // Same env a real agent's MCP config would give the messaging server
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [MESSAGING_SERVER],
+    env: process.env,
+    stderr: "inherit",
+  });
+  const client = new Client({ name: "mock-agent", version: "1.0.0" });
+  await client.connect(transport);
+
+  // terminate_agent sends SIGTERM - take the messaging server down with us
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      log(`received ${signal} - exiting`);
+      client.close().finally(() => process.exit(0));
+    });
+  }
+
+  try {
+    return await runScenario(client, scenario);
+  } finally {
+    await client.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(e => {
+    log(`scenario failed: ${e.message}`);
+    process.exit(1);
+  });
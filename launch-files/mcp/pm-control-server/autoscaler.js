@@ -0,0 +1,157 @@
+/**
+ * Pool Autoscaler
+ * Decides when pm-control should grow or shrink the persistent agent pool:
+ * keep each backend between its min and max, spawn for ready tasks (from
+ * tasks.json, or queued with queue_task) that no standby (or starting)
+ * agent can take, and retire agents that sat in
+ * standby past the grace period. Pure functions - the server carries out
+ * the decisions and logs them.
+ */
+
+import { requiredCapabilities, planAssignments } from "./matcher.js";
+import { PRIORITIES } from "../shared/task-queue.js";
+
+// Parse AUTOSCALE_LIMITS ("claude:0-4,codex:1-3") into { claude: { min: 0, max: 4 }, ... }
+export function parseLimits(spec = "") {
+  const limits = {};
+  for (const part of spec.split(",").map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^([\w.-]+):(\d+)-(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid AUTOSCALE_LIMITS entry "${part}" (expected backend:min-max)`);
+    }
+    const [, backend, min, max] = match;
+    limits[backend] = { min: parseInt(min, 10), max: Math.max(parseInt(min, 10), parseInt(max, 10)) };
+  }
+  return limits;
+}
+
+// Task-queue entries still waiting for any agent, as tasks to plan for.
+// Their type is how they were queued, not a role, so it is left out.
+export function tasksFromQueue(entries) {
+  return entries
+    .filter(e => e.state === "queued")
+    .map(e => ({ id: e.taskId, capabilities: e.capabilities || [], priority: e.priority, queued: true }));
+}
+
+function isLive(agent) {
+  return agent.status !== "terminated" && agent.status !== "dead";
+}
+
+// Pick the first backend (task.agent first, then policy order) that has
+// room under its max and provides the capabilities the task needs
+function chooseBackend(task, { limits, backends, counts }) {
+  const needed = requiredCapabilities(task);
+  const candidates = task.agent ? [task.agent] : Object.keys(limits);
+  const reasons = [];
+
+  for (const name of candidates) {
+    const limit = limits[name];
+    if (!limit || !backends[name]) {
+      reasons.push(`${name} is not autoscaled`);
+      continue;
+    }
+    const has = backends[name].capabilities || [];
+    const missing = needed.filter(c => !has.includes(c));
+    if (missing.length > 0) {
+      reasons.push(`${name} lacks ${missing.join(", ")}`);
+      continue;
+    }
+    if ((counts[name] || 0) >= limit.max) {
+      reasons.push(`${name} is at its max of ${limit.max}`);
+      continue;
+    }
+    return { backend: name };
+  }
+  return { backend: null, reason: reasons.join("; ") || "no backends are autoscaled" };
+}
+
+// Work out this pass's decisions.
+//   agents      - listAgents() output (with statusSince/registeredAt)
+//   readyTasks  - tasks whose dependencies are done and that nobody works on
+//   queuedTasks - tasksFromQueue() of the task queue
+//   backends    - the backend registry
+//   policy      - { limits, maxAgents, idleGraceSeconds, role }
+// Returns { decisions: [{ action: "spawn"|"retire", ... }], holds: [...] }
+export function planScaling({ agents, readyTasks, queuedTasks = [], backends, policy, now = Date.now() }) {
+  const { limits, maxAgents, idleGraceSeconds, role } = policy;
+  const live = agents.filter(isLive);
+  const counts = {};
+  for (const agent of live) {
+    counts[agent.type] = (counts[agent.type] || 0) + 1;
+  }
+  let total = live.length;
+  const decisions = [];
+  const holds = [];
+
+  // Ready and queued tasks (most urgent first) that the agents already
+  // waiting (or still starting) can't cover
+  const rank = task => PRIORITIES[task.priority] ?? PRIORITIES.normal;
+  const demand = [...readyTasks, ...queuedTasks].sort((a, b) => rank(a) - rank(b));
+  const supply = live.filter(a => (a.status === "standby" || a.status === "starting") && a.health === "ok");
+  const { matches, unmatched } = planAssignments(demand, supply);
+
+  for (const { task } of unmatched) {
+    if (total >= maxAgents) {
+      holds.push({ taskId: task.id, reason: `MAX_PARALLEL_AGENTS (${maxAgents}) reached` });
+      continue;
+    }
+    const { backend, reason } = chooseBackend(task, { limits, backends, counts });
+    if (!backend) {
+      holds.push({ taskId: task.id, reason });
+      continue;
+    }
+    counts[backend] = (counts[backend] || 0) + 1;
+    total++;
+    const needed = requiredCapabilities(task);
+    decisions.push({
+      action: "spawn",
+      backend,
+      role: task.type || role,
+      taskId: task.id,
+      reason: `task ${task.id} is ${task.queued ? "queued" : "ready"} and no standby agent` +
+        (needed.length > 0 ? ` has ${needed.join(", ")}` : " is free"),
+    });
+  }
+
+  // Top backends up to their minimum
+  for (const [name, limit] of Object.entries(limits)) {
+    if (!backends[name]) continue;
+    while ((counts[name] || 0) < limit.min) {
+      if (total >= maxAgents) {
+        holds.push({ backend: name, reason: `below minimum of ${limit.min}, but MAX_PARALLEL_AGENTS (${maxAgents}) reached` });
+        break;
+      }
+      decisions.push({
+        action: "spawn",
+        backend: name,
+        role,
+        reason: `${name} is below its minimum (${counts[name] || 0}/${limit.min})`,
+      });
+      counts[name] = (counts[name] || 0) + 1;
+      total++;
+    }
+  }
+
+  // Retire agents idle past the grace period that no ready task needs,
+  // longest idle first, never taking a backend below its minimum
+  const needed = new Set(matches.map(m => m.agent.id));
+  const idle = live
+    .filter(a => a.status === "standby" && !needed.has(a.id))
+    .map(a => ({ agent: a, idleFor: (now - new Date(a.statusSince || a.registeredAt || now).getTime()) / 1000 }))
+    .filter(({ idleFor }) => idleFor > idleGraceSeconds)
+    .sort((a, b) => b.idleFor - a.idleFor);
+
+  for (const { agent, idleFor } of idle) {
+    const min = limits[agent.type]?.min || 0;
+    if ((counts[agent.type] || 0) <= min) continue;
+    counts[agent.type]--;
+    decisions.push({
+      action: "retire",
+      agentId: agent.id,
+      backend: agent.type,
+      reason: `idle in standby for ${Math.round(idleFor)}s (grace ${idleGraceSeconds}s)`,
+    });
+  }
+
+  return { decisions, holds };
+}
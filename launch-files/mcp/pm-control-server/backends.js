@@ -0,0 +1,157 @@
+/**
+ * Agent backend registry
+ * Describes how to launch each agent CLI, so new backends can be added
+ * by editing backends.json (or a file named by AGENT_BACKENDS_FILE)
+ * instead of the server.
+ *
+ * Each backend has:
+ *   command       - executable plus fixed leading arguments
+ *   commandEnv    - env var that overrides command when set (e.g. CLAUDE_CMD)
+ *                   (split like a shell would: quotes and backslashes work)
+ *   args          - argument template; {prompt}, {promptFile}, {workspace},
+ *                   {agentId}, {scenario} and {mcpDir} are substituted
+ *   prompt        - how the prompt is passed: "arg", "stdin" or "file" (written
+ *                   to .<agentId>-prompt.md next to the worktree, not in it)
+ *   env           - extra env vars for the agent (values are templated too)
+ *   capabilities  - defaults used when spawn_agent is given none
+ *   limits        - resource limits for its agents, e.g. { "timeoutSeconds": 3600,
+ *                   "maxMemoryMb": 4096, "maxToolCalls": 500 } (see limits.js)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BACKENDS_FILE = path.join(__dirname, "backends.json");
+const MCP_DIR = path.dirname(__dirname);
+const PROMPT_STYLES = ["arg", "stdin", "file"];
+
+function readBackendsFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Cannot load agent backends from ${filePath}: ${e.message}`);
+  }
+}
+
+function validateBackend(name, backend) {
+  if (!backend.command && !backend.commandEnv) {
+    throw new Error(`Agent backend '${name}' needs a command`);
+  }
+  const style = backend.prompt || "arg";
+  if (!PROMPT_STYLES.includes(style)) {
+    throw new Error(`Agent backend '${name}' has unknown prompt style '${style}'`);
+  }
+}
+
+// Built-in backends, with entries from AGENT_BACKENDS_FILE added on top
+// (an entry set to null removes a built-in backend)
+export function loadBackends() {
+  const backends = readBackendsFile(DEFAULT_BACKENDS_FILE);
+
+  const overrideFile = process.env.AGENT_BACKENDS_FILE;
+  if (overrideFile && fs.existsSync(overrideFile)) {
+    for (const [name, backend] of Object.entries(readBackendsFile(overrideFile))) {
+      if (backend === null) {
+        delete backends[name];
+      } else {
+        backends[name] = { ...backends[name], ...backend };
+      }
+    }
+  }
+
+  for (const [name, backend] of Object.entries(backends)) {
+    validateBackend(name, backend);
+  }
+  return backends;
+}
+
+// Helper to substitute {placeholders} in a template string
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+    key in vars ? String(vars[key]) : match
+  );
+}
+
+// Helper to split a command line into words the way a shell would:
+// whitespace separates words, quotes group them, backslash escapes
+export function splitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else word += ch;
+    } else if (ch === "\\" && quote !== "'" && i + 1 < line.length) {
+      word = (word ?? "") + line[++i];
+    } else if (quote === '"') {
+      if (ch === '"') quote = null;
+      else word += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      word = word ?? "";
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? "") + ch;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${line}`);
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// Look up a backend by agent type
+export function getBackend(type) {
+  const backends = loadBackends();
+  const backend = backends[type.toLowerCase()];
+  if (!backend) {
+    throw new Error(`Unknown agent type: ${type} (available: ${Object.keys(backends).join(", ")})`);
+  }
+  return backend;
+}
+
+// Resolve a backend into { cmd, args, env, stdin } for child_process.spawn.
+// vars must include prompt, workspace and agentId; scenario is optional.
+export function buildLaunch(backend, vars) {
+  const templateVars = { scenario: "", ...vars, mcpDir: MCP_DIR };
+  const style = backend.prompt || "arg";
+  if (style === "file") {
+    // Outside the worktree, so it never ends up in the agent's commits
+    templateVars.promptFile = path.join(path.dirname(vars.workspace), `.${vars.agentId}-prompt.md`);
+    fs.writeFileSync(templateVars.promptFile, vars.prompt);
+  }
+
+  // commandEnv (e.g. CLAUDE_CMD from config.sh) wins over the default command.
+  // Split before filling in, so substituted values stay single arguments.
+  const commandLine = (backend.commandEnv && process.env[backend.commandEnv]) || backend.command;
+  const [cmd, ...leadingArgs] = splitCommandLine(commandLine).map(word => fillTemplate(word, templateVars));
+  if (!cmd) {
+    throw new Error(`Empty command for agent backend (${backend.commandEnv || "command"})`);
+  }
+
+  const args = [
+    ...leadingArgs,
+    ...(backend.args || []).map(arg => fillTemplate(arg, templateVars)),
+  ];
+
+  const env = {};
+  for (const [key, value] of Object.entries(backend.env || {})) {
+    env[key] = fillTemplate(value, templateVars);
+  }
+
+  return {
+    cmd,
+    args,
+    env,
+    stdin: style === "stdin" ? vars.prompt : null,
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Agent Resource Limits
+ * Resolves the limits that apply to an agent (config.sh defaults, then its
+ * backend, then spawn_agent) and to the task it works on, measures what
+ * the agent uses, and reports the first limit it is over. pm-control's
+ * watchdog stops the agent on a violation.
+ *
+ *   timeoutSeconds  wall-clock time (since spawn, or since the task was accepted)
+ *   maxMemoryMb     resident memory of the agent's whole process group
+ *   maxToolCalls    messaging tool calls (in total, or for the task)
+ *
+ * 0 or a missing value means no limit.
+ */
+
+import fs from "fs";
+
+export const LIMIT_KEYS = ["timeoutSeconds", "maxMemoryMb", "maxToolCalls"];
+
+// Snake-case tool/tasks.json names for each limit
+const LIMIT_ALIASES = {
+  timeout_seconds: "timeoutSeconds",
+  max_memory_mb: "maxMemoryMb",
+  max_tool_calls: "maxToolCalls",
+};
+
+// Normalize a limits object (camelCase or snake_case keys); drops unknown
+// keys and anything that isn't a non-negative number
+export function normalizeLimits(limits = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(limits || {})) {
+    const name = LIMIT_ALIASES[key] || key;
+    if (!LIMIT_KEYS.includes(name) || value === null || value === undefined || value === "") continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid limit ${key}: ${value}`);
+    }
+    result[name] = number;
+  }
+  return result;
+}
+
+// Merge layers of limits; later layers win (0 in a later layer lifts a limit)
+export function resolveLimits(...layers) {
+  const result = {};
+  for (const layer of layers) {
+    Object.assign(result, normalizeLimits(layer));
+  }
+  for (const key of LIMIT_KEYS) {
+    if (!result[key]) delete result[key];
+  }
+  return result;
+}
+
+// Limits from config.sh (AGENT_MAX_RUNTIME, AGENT_MAX_MEMORY_MB, AGENT_MAX_TOOL_CALLS)
+export function limitsFromEnv(env = process.env) {
+  return normalizeLimits({
+    timeoutSeconds: env.AGENT_MAX_RUNTIME,
+    maxMemoryMb: env.AGENT_MAX_MEMORY_MB,
+    maxToolCalls: env.AGENT_MAX_TOOL_CALLS,
+  });
+}
+
+export function formatLimits(limits = {}) {
+  const parts = [];
+  if (limits.timeoutSeconds) parts.push(`${limits.timeoutSeconds}s`);
+  if (limits.maxMemoryMb) parts.push(`${limits.maxMemoryMb} MB`);
+  if (limits.maxToolCalls) parts.push(`${limits.maxToolCalls} tool calls`);
+  return parts.join(", ") || "none";
+}
+
+// Resident memory (MB) of every process in a process group. Agents are
+// spawned detached, so the group id is the agent's pid and covers the
+// MCP servers, shells and dev servers it started. Null without /proc.
+export function processGroupMemoryMb(pgid) {
+  let entries;
+  try {
+    entries = fs.readdirSync("/proc");
+  } catch (e) {
+    return null;
+  }
+
+  let kilobytes = 0;
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf-8");
+      // Fields after comm: state, ppid, pgrp, ...
+      const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+      if (fields[2] !== String(pgid)) continue;
+      const rss = fs.readFileSync(`/proc/${entry}/status`, "utf-8").match(/^VmRSS:\s+(\d+) kB/m);
+      if (rss) kilobytes += parseInt(rss[1], 10);
+    } catch (e) {
+      // The process exited while we were looking
+    }
+  }
+  return Math.round(kilobytes / 1024);
+}
+
+// The first limit the usage is over, as { limit, message }, or null.
+//   usage - { runtimeSeconds, memoryMb, toolCalls } (missing values aren't checked)
+//   scope - what the limits belong to, for the message ("agent", "task t5")
+export function findViolation(limits, usage, scope) {
+  if (limits.timeoutSeconds && usage.runtimeSeconds > limits.timeoutSeconds) {
+    return {
+      limit: "timeout",
+      message: `${scope} ran for ${Math.round(usage.runtimeSeconds)}s (limit ${limits.timeoutSeconds}s)`,
+    };
+  }
+  if (limits.maxMemoryMb && usage.memoryMb > limits.maxMemoryMb) {
+    return {
+      limit: "memory",
+      message: `${scope} used ${usage.memoryMb} MB of memory (limit ${limits.maxMemoryMb} MB)`,
+    };
+  }
+  if (limits.maxToolCalls && usage.toolCalls > limits.maxToolCalls) {
+    return {
+      limit: "tool_calls",
+      message: `${scope} made ${usage.toolCalls} tool calls (limit ${limits.maxToolCalls})`,
+    };
+  }
+  return null;
+}
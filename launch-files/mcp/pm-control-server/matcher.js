@@ -0,0 +1,125 @@
+/**
+ * Task Matcher
+ * Pairs ready tasks from tasks.json with standby agents by capability,
+ * backend type and role, and explains every score so the PM can see why an
+ * agent was (or wasn't) picked. Pure functions - reading the state files and
+ * making the assignments is up to the server.
+ */
+
+// Capabilities a task needs when it doesn't list its own, by task type
+// (the types the planner uses, see lib/pm.sh)
+export const TASK_TYPE_CAPABILITIES = {
+  research: ["research"],
+  setup: ["coding"],
+  implement: ["coding"],
+  test: ["testing"],
+  integrate: ["coding"],
+};
+
+// Statuses (tasks.json or marker files) that satisfy a dependency
+export const DONE_STATUSES = ["completed", "approved", "merged"];
+
+const SCORE_PER_CAPABILITY = 10;
+const SCORE_PREFERRED_BACKEND = 5;
+const SCORE_ROLE_MATCH = 3;
+const SCORE_PER_EXTRA_CAPABILITY = -1;
+
+export function requiredCapabilities(task) {
+  if (Array.isArray(task.capabilities)) return task.capabilities;
+  return TASK_TYPE_CAPABILITIES[task.type] || [];
+}
+
+// Split tasks into ready and blocked. isDone(task) / isTaken(task) come from
+// the caller, which knows about marker files and assignments.
+export function findReadyTasks(tasks, { isDone, isTaken }) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const ready = [];
+  const blocked = [];
+
+  for (const task of tasks) {
+    if (task.status === "failed" || isDone(task) || isTaken(task)) continue;
+
+    const waitingOn = (task.depends_on || []).filter(depId => {
+      const dep = byId.get(depId);
+      return !dep || !isDone(dep);
+    });
+    if (waitingOn.length > 0) {
+      blocked.push({ task, waitingOn });
+    } else {
+      ready.push(task);
+    }
+  }
+  return { ready, blocked };
+}
+
+// Score one agent for one task. Agents missing a required capability are
+// not eligible (score null); otherwise higher is better.
+export function scoreAgent(task, agent) {
+  const needed = requiredCapabilities(task);
+  const has = agent.capabilities || [];
+  const missing = needed.filter(c => !has.includes(c));
+  if (missing.length > 0) {
+    return { score: null, reasons: [`missing ${missing.join(", ")}`] };
+  }
+
+  let score = 0;
+  const reasons = [];
+  for (const capability of needed) {
+    score += SCORE_PER_CAPABILITY;
+    reasons.push(`${capability} +${SCORE_PER_CAPABILITY}`);
+  }
+  if (task.agent && task.agent === agent.type) {
+    score += SCORE_PREFERRED_BACKEND;
+    reasons.push(`preferred backend ${agent.type} +${SCORE_PREFERRED_BACKEND}`);
+  }
+  if (task.type && agent.role && agent.role.toLowerCase().includes(task.type.toLowerCase())) {
+    score += SCORE_ROLE_MATCH;
+    reasons.push(`role ${agent.role} +${SCORE_ROLE_MATCH}`);
+  }
+  // Prefer specialists, keeping generalists free for tasks only they can take
+  const extra = has.filter(c => !needed.includes(c)).length;
+  if (extra > 0) {
+    score += extra * SCORE_PER_EXTRA_CAPABILITY;
+    reasons.push(`${extra} unused ${extra === 1 ? "capability" : "capabilities"} ${extra * SCORE_PER_EXTRA_CAPABILITY}`);
+  }
+  return { score, reasons };
+}
+
+// Greedily give each ready task (in tasks.json order) the best-scoring
+// agent that is still free. Ties go to the agent idle the longest.
+export function planAssignments(readyTasks, standbyAgents) {
+  const free = [...standbyAgents].sort((a, b) =>
+    new Date(a.lastSeen || 0) - new Date(b.lastSeen || 0));
+  const matches = [];
+  const unmatched = [];
+
+  for (const task of readyTasks) {
+    const candidates = free
+      .map(agent => ({ agent, ...scoreAgent(task, agent) }))
+      .filter(c => c.score !== null)
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      const needed = requiredCapabilities(task);
+      unmatched.push({
+        task,
+        reason: free.length === 0
+          ? "no standby agents left"
+          : `no standby agent has ${needed.join(", ")}`,
+      });
+      continue;
+    }
+
+    const [best, ...others] = candidates;
+    free.splice(free.indexOf(best.agent), 1);
+    matches.push({
+      task,
+      agent: best.agent,
+      score: best.score,
+      reasons: best.reasons,
+      alternatives: others.map(c => ({ agentId: c.agent.id, score: c.score })),
+    });
+  }
+
+  return { matches, unmatched };
+}
@@ -14,7 +14,19 @@ import {
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
-import { spawn } from "child_process";
+import { spawn, execFileSync } from "child_process";
+import { readJson, updateJson } from "../shared/store.js";
+import { loadBackends, getBackend, buildLaunch } from "./backends.js";
+import { findReadyTasks, planAssignments, DONE_STATUSES } from "./matcher.js";
+import { parseLimits, planScaling, tasksFromQueue } from "./autoscaler.js";
+import {
+  normalizeLimits, resolveLimits, limitsFromEnv, formatLimits, processGroupMemoryMb, findViolation,
+} from "./limits.js";
+import {
+  taskQueueFile, listTasks, getTask, enqueueTask, cancelTask, reassignTask, setTaskPriority,
+  requeueAgentTasks, ACTIVE_STATES, PRIORITIES,
+} from "../shared/task-queue.js";
+import { AGENT_LOG_DIRNAME, openAgentLog, appendAgentLog, rotateAgentLog, readAgentLog } from "../shared/agent-logs.js";
 
 // Get directories from environment
 const STATUS_DIR = process.env.STATUS_DIR || "/tmp/orchestrator";
@@ -22,18 +34,66 @@ const MESSAGES_DIR = path.join(STATUS_DIR, "messages");
 const AGENTS_DIR = process.env.AGENTS_DIR || path.join(STATUS_DIR, "agents");
 const WORKSPACE = process.env.WORKSPACE || process.cwd();
 
-// Agent command templates (from environment or defaults)
-const CLAUDE_CMD = process.env.CLAUDE_CMD || "claude --dangerously-skip-permissions";
-const CODEX_CMD = process.env.CODEX_CMD || "codex --dangerously-skip-permissions";
-const GEMINI_CMD = process.env.GEMINI_CMD || "gemini";
+// Liveness thresholds (seconds since lastSeen, from config.sh)
+const AGENT_TIMEOUT = parseInt(process.env.AGENT_TIMEOUT || "300", 10);
+const AGENT_DEAD_TIMEOUT = parseInt(process.env.AGENT_DEAD_TIMEOUT || "900", 10);
+const REAPER_INTERVAL_MS = 30000;
+
+// Resource limits for every agent (AGENT_MAX_* in config.sh); backends.json,
+// spawn_agent and tasks can override them, see limits.js
+const AGENT_DEFAULT_LIMITS = limitsFromEnv();
+const LIMITS_CHECK_INTERVAL_MS = parseInt(process.env.AGENT_LIMIT_CHECK_INTERVAL || "5", 10) * 1000;
+
+// Graceful shutdown: time a working agent gets to wrap up after the stop
+// directive (AGENT_STOP_GRACE), then time between SIGTERM and SIGKILL
+const AGENT_STOP_GRACE_MS = parseInt(process.env.AGENT_STOP_GRACE || "30", 10) * 1000;
+const AGENT_KILL_GRACE_MS = 5000;
+
+// Attempts a task gets before it is failed instead of retried when its agent dies
+const TASK_MAX_ATTEMPTS = parseInt(process.env.TASK_MAX_ATTEMPTS || "3", 10);
+// Seconds a retried task waits before another agent can claim it (doubled per attempt)
+const TASK_RETRY_BACKOFF = parseInt(process.env.TASK_RETRY_BACKOFF || "30", 10);
+
+// Background passes (reaper, limit watchdog, matcher, autoscaler) run in
+// the PM's own pm-control. The dashboard starts a second one for the same
+// project with PM_CONTROL_BACKGROUND=false, which only runs the tools it is
+// asked to.
+const BACKGROUND = process.env.PM_CONTROL_BACKGROUND !== "false";
+
+// Background task matcher (AUTO_ASSIGN=true, or toggled with auto_assign)
+let autoAssignEnabled = process.env.AUTO_ASSIGN === "true";
+const AUTO_ASSIGN_INTERVAL_MS = parseInt(process.env.AUTO_ASSIGN_INTERVAL || "15", 10) * 1000;
+
+// Pool autoscaler (AUTOSCALE*, MAX_PARALLEL_AGENTS in config.sh)
+const AUTOSCALE_INTERVAL_MS = parseInt(process.env.AUTOSCALE_INTERVAL || "30", 10) * 1000;
+const AUTOSCALE_HISTORY = 100;
+const autoscalePolicy = {
+  enabled: process.env.AUTOSCALE === "true",
+  limits: {},
+  maxAgents: parseInt(process.env.MAX_PARALLEL_AGENTS || "20", 10),
+  idleGraceSeconds: parseInt(process.env.AUTOSCALE_IDLE_GRACE || "300", 10),
+  role: "worker",
+};
+try {
+  autoscalePolicy.limits = parseLimits(process.env.AUTOSCALE_LIMITS || "");
+} catch (e) {
+  console.error(`${e.message} - autoscaler will not spawn agents`);
+}
 
 // File paths
 const AGENT_POOL_FILE = path.join(MESSAGES_DIR, "agent_pool.json");
-const ASSIGNMENTS_FILE = path.join(MESSAGES_DIR, "assignments.json");
+const TASK_QUEUE_FILE = taskQueueFile(MESSAGES_DIR);
 const OUTBOX_FILE = path.join(MESSAGES_DIR, "outbox.json");
 const INBOX_FILE = path.join(MESSAGES_DIR, "inbox.json");
-
-// Track spawned agent processes
+const PROCESS_REGISTRY_FILE = path.join(MESSAGES_DIR, "agent_processes.json");
+const HANDOFFS_DIR = path.join(MESSAGES_DIR, "handoffs");
+const TASKS_FILE = path.join(STATUS_DIR, "tasks.json");
+const AUTOSCALER_FILE = path.join(MESSAGES_DIR, "autoscaler.json");
+
+// Track spawned agent processes. Mirrored to PROCESS_REGISTRY_FILE so a
+// restarted PM server can re-attach to agents it spawned earlier, and so
+// each pm-control of a project can find the agents the other one spawned;
+// re-attached entries have no ChildProcess handle (process: null).
 const agentProcesses = new Map();
 
 // Ensure directories exist
@@ -44,23 +104,173 @@ if (!fs.existsSync(AGENTS_DIR)) {
   fs.mkdirSync(AGENTS_DIR, { recursive: true });
 }
 
-// Helper to read JSON file safely
-function readJsonFile(filePath) {
+// Kernel start time of a process (field 22 of /proc/<pid>/stat). Together
+// with the pid it identifies a process even after the pid is reused.
+// Null if the process doesn't exist or /proc is unavailable.
+function readProcStartTime(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf-8");
+    // comm (field 2) can contain spaces - count fields from after its ')'
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    return fields[19];
+  } catch (e) {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
   try {
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Is the recorded process still the one we spawned?
+function isRegisteredProcessAlive(entry) {
+  if (entry.procStartTime) {
+    return readProcStartTime(entry.pid) === entry.procStartTime;
+  }
+  // Recorded without /proc (non-Linux) - the pid is all we have
+  return isProcessAlive(entry.pid);
+}
+
+function recordProcess(agentId, entry) {
+  const { process: _child, ...persisted } = entry;
+  updateJson(PROCESS_REGISTRY_FILE, registry => {
+    registry.agents[agentId] = persisted;
+  });
+}
+
+function forgetProcess(agentId) {
+  updateJson(PROCESS_REGISTRY_FILE, registry => {
+    delete registry.agents[agentId];
+  });
+}
+
+// Re-attach to registered agents this server isn't tracking yet: spawned
+// by a previous run of it, or by the dashboard's pm-control
+function reattachProcesses() {
+  const registry = readJson(PROCESS_REGISTRY_FILE);
+  const gone = [];
+  let attached = 0;
+
+  for (const [agentId, entry] of Object.entries(registry.agents)) {
+    if (agentProcesses.has(agentId)) continue;
+    if (isRegisteredProcessAlive(entry)) {
+      agentProcesses.set(agentId, { ...entry, process: null, reattached: true });
+      attached++;
+    } else {
+      gone.push(agentId);
     }
+  }
+
+  if (gone.length > 0) {
+    updateJson(PROCESS_REGISTRY_FILE, registry => {
+      for (const agentId of gone) delete registry.agents[agentId];
+    });
+  }
+  if (attached > 0 || gone.length > 0) {
+    console.error(`Re-attached ${attached} agent process(es), ${gone.length} no longer running`);
+  }
+}
+
+// An agent's process: tracked by this server, or else looked up in the
+// registry (another pm-control of the project spawned it). Null when it
+// isn't running.
+function findAgentProcess(agentId) {
+  const tracked = agentProcesses.get(agentId);
+  if (tracked) return tracked;
+  const entry = readJson(PROCESS_REGISTRY_FILE).agents[agentId];
+  return entry && isRegisteredProcessAlive(entry) ? { ...entry, process: null, reattached: true } : null;
+}
+
+// Drop re-attached processes that have since exited (there is no
+// 'exit' event for them); the reaper marks them dead in the pool
+function pruneProcesses() {
+  for (const [agentId, entry] of agentProcesses) {
+    if (entry.reattached && !isRegisteredProcessAlive(entry)) {
+      agentProcesses.delete(agentId);
+      forgetProcess(agentId);
+    }
+  }
+}
+
+// Helper to run git, returning trimmed stdout; errors carry git's own message
+function git(cwd, ...args) {
+  try {
+    return execFileSync("git", args, { cwd, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+  } catch (e) {
+    const detail = (e.stderr || e.message).toString().trim();
+    throw new Error(`git ${args.join(" ")}: ${detail}`);
+  }
+}
+
+// Agents get a worktree of the main workspace (shared object store, so it is
+// cheap even for big repos). It starts detached at the main HEAD; assign_task
+// checks out the task branch.
+function createAgentWorktree(agentId, agentWorkspace) {
+  try {
+    git(WORKSPACE, "rev-parse", "--git-dir");
+    git(WORKSPACE, "worktree", "add", "--detach", agentWorkspace, "HEAD");
+  } catch (e) {
+    throw new Error(`Cannot create a workspace for ${agentId}: ${WORKSPACE} must be a git repository with at least one commit (${e.message})`);
+  }
+}
+
+function branchExists(repoDir, branch) {
+  try {
+    git(repoDir, "rev-parse", "--verify", "--quiet", `refs/heads/${branch}`);
+    return true;
   } catch (e) {
-    // File might be being written
+    return false;
+  }
+}
+
+// Check out the task branch in the agent's worktree, creating it from the
+// main workspace HEAD if it doesn't exist yet. Returns the branch HEAD.
+function checkoutAssignedBranch(agentWorkspace, branch) {
+  if (branchExists(agentWorkspace, branch)) {
+    git(agentWorkspace, "checkout", branch);
+  } else {
+    git(agentWorkspace, "checkout", "-b", branch, git(WORKSPACE, "rev-parse", "HEAD"));
   }
-  return {};
+  return git(agentWorkspace, "rev-parse", "HEAD");
 }
 
-// Helper to write JSON file atomically
-function writeJsonFile(filePath, data) {
-  const tmpPath = filePath + ".tmp";
-  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
-  fs.renameSync(tmpPath, filePath);
+function isWorktree(dir) {
+  return fs.existsSync(path.join(dir, ".git"));
+}
+
+// Remove an agent's worktree. One with uncommitted changes is kept so no
+// work is lost, unless force says it has been saved elsewhere; the agent
+// log survives either way.
+function removeAgentWorktree(agentId, agentWorkspace, { force = false } = {}) {
+  if (!agentWorkspace || !isWorktree(agentWorkspace)) {
+    return { removed: false, reason: 'no worktree' };
+  }
+
+  if (!force && git(agentWorkspace, "status", "--porcelain")) {
+    return { removed: false, reason: 'uncommitted changes' };
+  }
+
+  // Move the log aside while the worktree goes away, then put it back
+  const logDir = path.join(agentWorkspace, AGENT_LOG_DIRNAME);
+  const parkedLogDir = path.join(AGENTS_DIR, `.${agentId}-logs`);
+  if (fs.existsSync(logDir)) {
+    fs.renameSync(logDir, parkedLogDir);
+  }
+  try {
+    git(WORKSPACE, "worktree", "remove", "--force", agentWorkspace);
+  } finally {
+    if (fs.existsSync(parkedLogDir)) {
+      fs.mkdirSync(agentWorkspace, { recursive: true });
+      fs.renameSync(parkedLogDir, logDir);
+    }
+  }
+  fs.rmSync(path.join(AGENTS_DIR, `.${agentId}-prompt.md`), { force: true });
+  return { removed: true };
 }
 
 // Generate agent ID
@@ -70,21 +280,18 @@ function generateAgentId(role, type) {
 }
 
 // Spawn a new persistent agent
-async function spawnAgent(role, type, capabilities = []) {
+async function spawnAgent(role, type, capabilities = [], scenario = null, limits = {}) {
+  const backend = getBackend(type);
+  if (capabilities.length === 0) {
+    capabilities = backend.capabilities || [];
+  }
+  const agentLimits = resolveLimits(AGENT_DEFAULT_LIMITS, backend.limits, limits);
+
   const agentId = generateAgentId(role, type);
   const agentWorkspace = path.join(AGENTS_DIR, agentId);
 
-  // Create agent workspace
-  fs.mkdirSync(agentWorkspace, { recursive: true });
-
-  // Clone the main workspace
-  try {
-    const { execSync } = await import("child_process");
-    execSync(`git clone "${WORKSPACE}" "${agentWorkspace}"`, { stdio: 'pipe' });
-  } catch (e) {
-    // If clone fails, just create the directory
-    console.error(`Warning: Could not clone workspace: ${e.message}`);
-  }
+  // Create the agent workspace as a worktree of the main workspace
+  createAgentWorktree(agentId, agentWorkspace);
 
   // Build the agent prompt
   const agentPrompt = `You are a persistent ${role} agent (ID: ${agentId}).
@@ -93,6 +300,8 @@ YOUR ROLE: ${role}
 YOUR CAPABILITIES: ${capabilities.join(', ') || 'general'}
 
 WORKING DIRECTORY: ${agentWorkspace}
+This is a git worktree of the main workspace. Each assignment puts it on the
+task's branch - commit your work there and don't switch branches yourself.
 
 YOU ARE A PERSISTENT AGENT:
 You do NOT exit after completing a task. Instead:
@@ -107,96 +316,124 @@ COMMUNICATION:
 - send_status(status, message) - Update PM on your progress
 - notify_pm(message, type) - Send notification to PM
 - get_messages() - Check for incoming messages
+- list_peers() - See the other agents in the pool
+- ask_agent(to, question) - Ask another agent (by ID or role) directly (blocks until response)
+- send_to_agent(to, message, reply_to?) - Message another agent, or answer its question
 
 LIFECYCLE:
-- task_complete(summary) - Report task done, include files you changed
+- task_complete(summary, ...) - Report task done with a handoff: files changed, tests run
+  (command + result), commit_sha, open todos, known risks, follow_ups
 - await_assignment(capabilities) - Enter standby, wait for next task
 
 You are now in STANDBY mode. Wait for your first assignment by calling await_assignment().
 Start by calling: await_assignment(${JSON.stringify(capabilities)})`;
 
-  // Determine command based on type
-  let cmd, args;
-  switch (type.toLowerCase()) {
-    case 'claude':
-      cmd = 'claude';
-      args = ['--dangerously-skip-permissions', '-p', agentPrompt];
-      break;
-    case 'codex':
-      cmd = 'codex';
-      args = ['--dangerously-skip-permissions', '-C', agentWorkspace, agentPrompt];
-      break;
-    case 'gemini':
-      cmd = 'gemini';
-      args = ['-p', agentPrompt];
-      break;
-    default:
-      throw new Error(`Unknown agent type: ${type}`);
-  }
+  // Build the command line from the backend definition
+  const launch = buildLaunch(backend, {
+    prompt: agentPrompt,
+    workspace: agentWorkspace,
+    agentId: agentId,
+    scenario: scenario || '',
+  });
+  const { cmd, args } = launch;
 
   // Set up environment for the agent
   const env = {
     ...process.env,
+    ...launch.env,
     ORCHESTRATOR_MESSAGES_DIR: MESSAGES_DIR,
     ORCHESTRATOR_AGENT_ID: agentId,
     ORCHESTRATOR_TASK_ID: 'standby',
+    ORCHESTRATOR_AGENT_WORKSPACE: agentWorkspace,
+    ORCHESTRATOR_MAIN_WORKSPACE: WORKSPACE,
   };
 
-  // Spawn the agent process
-  const agentProcess = spawn(cmd, args, {
-    cwd: agentWorkspace,
-    env: env,
-    stdio: ['pipe', 'pipe', 'pipe'],
-    detached: true,
-  });
+  // Spawn the agent process. Output goes straight to its log file, so it
+  // isn't lost (and the agent doesn't die on a broken pipe) if the PM exits.
+  const logFd = openAgentLog(agentWorkspace, `spawning ${agentId} (${type}): ${cmd}`);
+  let agentProcess;
+  try {
+    agentProcess = spawn(cmd, args, {
+      cwd: agentWorkspace,
+      env: env,
+      stdio: [launch.stdin !== null ? 'pipe' : 'ignore', logFd, logFd],
+      detached: true,
+    });
+  } finally {
+    fs.closeSync(logFd);
+  }
+
+  // Backends with prompt style "stdin" read the prompt from standard input
+  if (launch.stdin !== null) {
+    agentProcess.stdin.end(launch.stdin);
+  }
 
-  // Store process reference
-  agentProcesses.set(agentId, {
+  // Store process reference (and persist it, for re-attaching after a restart)
+  const processEntry = {
     process: agentProcess,
     pid: agentProcess.pid,
+    procStartTime: readProcStartTime(agentProcess.pid),
     role: role,
     type: type,
     workspace: agentWorkspace,
+    commandLine: [cmd, ...args],
+    limits: agentLimits,
     startedAt: new Date().toISOString(),
-  });
+  };
+  agentProcesses.set(agentId, processEntry);
+  if (agentProcess.pid) {
+    recordProcess(agentId, processEntry);
+  }
 
   // Register in agent pool
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  pool.agents = pool.agents || {};
-  pool.agents[agentId] = {
-    role: role,
-    type: type,
-    capabilities: capabilities,
-    status: 'starting',
-    currentTask: null,
-    workspace: agentWorkspace,
-    pid: agentProcess.pid,
-    registeredAt: new Date().toISOString(),
-    lastSeen: new Date().toISOString(),
-  };
-  writeJsonFile(AGENT_POOL_FILE, pool);
+  updateJson(AGENT_POOL_FILE, pool => {
+    pool.agents[agentId] = {
+      role: role,
+      type: type,
+      capabilities: capabilities,
+      status: 'starting',
+      currentTask: null,
+      workspace: agentWorkspace,
+      pid: agentProcess.pid,
+      procStartTime: processEntry.procStartTime,
+      limits: agentLimits,
+      registeredAt: new Date().toISOString(),
+      lastSeen: new Date().toISOString(),
+    };
+  });
 
   // Handle process events
-  agentProcess.on('exit', (code) => {
-    console.error(`Agent ${agentId} exited with code ${code}`);
+  agentProcess.on('error', (err) => {
+    // Spawn failures (e.g. the backend's command is not installed) emit no 'exit'
+    console.error(`Agent ${agentId} failed to start: ${err.message}`);
+    appendAgentLog(agentWorkspace, `failed to start: ${err.message}`);
     agentProcesses.delete(agentId);
-
-    // Update pool status
-    const pool = readJsonFile(AGENT_POOL_FILE);
-    if (pool.agents && pool.agents[agentId]) {
-      pool.agents[agentId].status = 'terminated';
-      pool.agents[agentId].exitCode = code;
-      pool.agents[agentId].terminatedAt = new Date().toISOString();
-      writeJsonFile(AGENT_POOL_FILE, pool);
-    }
+    updateJson(AGENT_POOL_FILE, pool => {
+      if (pool.agents[agentId]) {
+        pool.agents[agentId].status = 'terminated';
+        pool.agents[agentId].error = err.message;
+        pool.agents[agentId].terminatedAt = new Date().toISOString();
+      }
+    });
   });
 
-  // Log stdout/stderr
-  agentProcess.stdout.on('data', (data) => {
-    console.error(`[${agentId}] ${data.toString()}`);
-  });
-  agentProcess.stderr.on('data', (data) => {
-    console.error(`[${agentId}] ${data.toString()}`);
+  agentProcess.on('exit', (code, signal) => {
+    const exit = code === null ? `killed by ${signal}` : `exited with code ${code}`;
+    console.error(`Agent ${agentId} ${exit}`);
+    appendAgentLog(agentWorkspace, exit);
+    agentProcesses.delete(agentId);
+    forgetProcess(agentId);
+    retryAgentTasks(agentId, processEntry.stopping || exit);
+
+    // Update pool status (keeping the reason it was stopped for, if any)
+    updateJson(AGENT_POOL_FILE, pool => {
+      if (pool.agents[agentId]) {
+        pool.agents[agentId].status = 'terminated';
+        pool.agents[agentId].exitCode = code;
+        pool.agents[agentId].exitReason = pool.agents[agentId].exitReason || exit;
+        pool.agents[agentId].terminatedAt = new Date().toISOString();
+      }
+    });
   });
 
   // Unref so the PM can exit independently
@@ -206,44 +443,249 @@ Start by calling: await_assignment(${JSON.stringify(capabilities)})`;
     agentId: agentId,
     pid: agentProcess.pid,
     workspace: agentWorkspace,
+    limits: agentLimits,
     status: 'starting',
   };
 }
 
-// Assign a task to an agent
-function assignTask(agentId, taskId, branch, description) {
-  const assignments = readJsonFile(ASSIGNMENTS_FILE);
-  assignments.pending = assignments.pending || [];
+// Put an agent's worktree on a task branch before it sees the assignment
+// (throws e.g. when the branch is checked out by another agent)
+function prepareAgentBranch(agentId, branch) {
+  const workspace = readJson(AGENT_POOL_FILE).agents[agentId]?.workspace;
+  if (workspace && isWorktree(workspace)) {
+    return checkoutAssignedBranch(workspace, branch);
+  }
+  return undefined;
+}
 
-  const assignment = {
-    id: crypto.randomUUID(),
-    agentId: agentId,
-    taskId: taskId,
-    branch: branch || `feature/${taskId}`,
-    type: 'assigned',
-    description: description,
-    assignedAt: new Date().toISOString(),
-  };
+// Detach an agent's worktree from its task branch, so the next agent to
+// take the task can check it out (the files on disk stay as they are)
+function releaseAgentBranch(agentId) {
+  const workspace = readJson(AGENT_POOL_FILE).agents[agentId]?.workspace;
+  if (!workspace || !isWorktree(workspace)) return;
+  try {
+    git(workspace, 'checkout', '--quiet', '--detach');
+  } catch (e) {
+    console.error(`Could not release the branch of ${agentId}: ${e.message}`);
+  }
+}
+
+function markAgentAssigned(agentId, taskId) {
+  updateJson(AGENT_POOL_FILE, pool => {
+    if (pool.agents[agentId]) {
+      pool.agents[agentId].status = 'assigned';
+      pool.agents[agentId].currentTask = taskId;
+      pool.agents[agentId].lastSeen = new Date().toISOString();
+    }
+  });
+}
 
-  assignments.pending.push(assignment);
-  writeJsonFile(ASSIGNMENTS_FILE, assignments);
+// An agent whose reservation was withdrawn before it picked the task up is
+// still waiting in await_assignment
+function markAgentStandby(agentId) {
+  updateJson(AGENT_POOL_FILE, pool => {
+    const agent = pool.agents[agentId];
+    if (agent && agent.status === 'assigned') {
+      agent.status = 'standby';
+      agent.currentTask = null;
+    }
+  });
+}
 
-  // Update pool status
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  if (pool.agents && pool.agents[agentId]) {
-    pool.agents[agentId].status = 'assigned';
-    pool.agents[agentId].currentTask = taskId;
-    pool.agents[agentId].lastSeen = new Date().toISOString();
-    writeJsonFile(AGENT_POOL_FILE, pool);
+// Assign a task to an agent (extra fields are stored on the queue entry)
+function assignTask(agentId, taskId, branch, description, extra = {}) {
+  const existing = getTask(MESSAGES_DIR, taskId);
+  if (existing && ACTIVE_STATES.includes(existing.state)) {
+    throw new Error(`task is already ${existing.state}${existing.agentId ? ` (${existing.agentId})` : ''} - use reassign_task or cancel_task`);
   }
 
+  branch = branch || `feature/${taskId}`;
+  const baseCommit = prepareAgentBranch(agentId, branch);
+  const assignment = enqueueTask(MESSAGES_DIR, {
+    taskId, description, branch, agentId,
+    maxAttempts: TASK_MAX_ATTEMPTS,
+    ...(baseCommit ? { baseCommit } : {}),
+    ...extra,
+  });
+  markAgentAssigned(agentId, taskId);
+
   return assignment;
 }
 
+// Helper to post a notification for the PM into the outbox
+function notifyPm(message, notificationType = 'info') {
+  const notificationId = crypto.randomUUID();
+  updateJson(OUTBOX_FILE, outbox => {
+    outbox.messages.push({
+      id: notificationId,
+      threadId: notificationId,
+      from: 'pm-control',
+      to: 'pm',
+      type: 'notification',
+      notificationType: notificationType,
+      message: message,
+      timestamp: new Date().toISOString(),
+    });
+  });
+}
+
+// Helper to send one agent a directive through its inbox. A structured
+// directive ({ action, taskId, ... }) lets its messaging server act on it.
+function sendDirective(agentId, message, directive = null) {
+  const directiveId = crypto.randomUUID();
+  updateJson(INBOX_FILE, inbox => {
+    inbox.messages.push({
+      id: directiveId,
+      threadId: directiveId,
+      from: 'pm',
+      to: agentId,
+      type: 'directive',
+      message: message,
+      ...(directive ? { directive } : {}),
+      timestamp: new Date().toISOString(),
+      read: false,
+    });
+  });
+  return directiveId;
+}
+
+// Tell an agent to stop the task it is working on. Its messaging server
+// shows this on the agent's next tool call, and when the agent returns to
+// await_assignment it commits any work in progress and frees the branch.
+function sendStopDirective(agentId, taskId, { action, reason = '', next = null }) {
+  const why = reason ? `: ${reason}` : '';
+  const then = next
+    ? `Then call await_assignment() - task ${next} is waiting for you.`
+    : 'Then call await_assignment() for your next task.';
+  const message = {
+    cancel: `Task ${taskId} has been cancelled by the PM${why}.`,
+    reassign: `Task ${taskId} has been reassigned by the PM${why}.`,
+    redirect: `The PM has redirected you from task ${taskId} to task ${next}${why}.`,
+  }[action] + ` Stop working on ${taskId} now: commit your work in progress on its branch ` +
+    `(anything left uncommitted is committed for you as WIP). ${then}`;
+
+  return sendDirective(agentId, message, { action, taskId, ...(next ? { nextTaskId: next } : {}) });
+}
+
+// An agent died or was stopped: retry its tasks elsewhere, or fail the ones
+// out of attempts (the PM is told either way)
+function retryAgentTasks(agentId, reason) {
+  const { retried, failed, released } = requeueAgentTasks(MESSAGES_DIR, agentId, { reason, backoffSeconds: TASK_RETRY_BACKOFF });
+  if (retried.length === 0 && failed.length === 0 && released.length === 0) {
+    return;
+  }
+  releaseAgentBranch(agentId);
+  if (retried.length === 0 && failed.length === 0) {
+    return;
+  }
+
+  const lines = [
+    ...retried.map(t => `${t.taskId} back in the queue (attempt ${t.attempts} of ${t.maxAttempts} used)` +
+      (t.retryAt ? `, can be picked up again from ${t.retryAt}` : '')),
+    ...failed.map(t => `${t.taskId} FAILED after ${t.attempts} attempts`),
+  ];
+  const message = `${agentId} stopped (${reason}):\n  ` + lines.join('\n  ');
+  console.error(message);
+  notifyPm(message, failed.length > 0 ? 'error' : 'warning');
+}
+
+// Cancel a task; an agent already working on it is told to stop
+function cancelQueuedTask(taskId, reason = '') {
+  const entry = cancelTask(MESSAGES_DIR, taskId, { reason: reason || undefined });
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.state === 'assigned') {
+    markAgentStandby(entry.agentId);
+  } else if (entry.state === 'accepted') {
+    sendStopDirective(entry.agentId, taskId, { action: 'cancel', reason });
+  }
+  return entry;
+}
+
+// Move a task to another agent (or back to the queue when agentId is null)
+function reassignQueuedTask(taskId, agentId = null, reason = '') {
+  const current = getTask(MESSAGES_DIR, taskId);
+  if (!current || !ACTIVE_STATES.includes(current.state)) {
+    throw new Error(`Task ${taskId} is not queued or in progress`);
+  }
+  if (agentId && agentId === current.agentId) {
+    throw new Error(`Task ${taskId} is already with ${agentId}`);
+  }
+
+  // The new agent needs the branch, so take it off the previous agent first.
+  // An agent already working on it keeps it until it has saved its work
+  // (the task is held till then); the new agent checks the branch out when
+  // it accepts.
+  const wasAccepted = current.state === 'accepted';
+  if (current.agentId && !wasAccepted) {
+    releaseAgentBranch(current.agentId);
+  }
+  if (agentId && !wasAccepted) {
+    prepareAgentBranch(agentId, current.branch);
+  }
+
+  const result = reassignTask(MESSAGES_DIR, taskId, agentId, { reason: reason || undefined });
+  if (result.previousAgentId) {
+    if (result.wasAccepted) {
+      sendStopDirective(result.previousAgentId, taskId, { action: 'reassign', reason });
+    } else {
+      markAgentStandby(result.previousAgentId);
+    }
+  }
+  if (agentId) {
+    markAgentAssigned(agentId, taskId);
+  }
+  return result;
+}
+
+// Stop the task an agent is working on, putting the task back in the queue
+// (requeue) or cancelling it. With next ({ taskId, description, ... }) the
+// agent is redirected: next is reserved for it and it picks it up once it
+// has stopped. Returns { entry, next }.
+function stopAssignment(agentId, { reason = '', requeue = false, next = null } = {}) {
+  const [entry] = listTasks(MESSAGES_DIR, { agentId, states: ['accepted'] });
+  if (!entry) {
+    throw new Error(`${agentId} is not working on a task`);
+  }
+  if (next) {
+    const existing = getTask(MESSAGES_DIR, next.taskId);
+    if (existing && ACTIVE_STATES.includes(existing.state)) {
+      throw new Error(`task ${next.taskId} is already ${existing.state}${existing.agentId ? ` (${existing.agentId})` : ''}`);
+    }
+    if (next.priority && !(next.priority in PRIORITIES)) {
+      throw new Error(`unknown priority "${next.priority}"`);
+    }
+  }
+
+  const action = next ? 'redirect' : 'cancel';
+  const stopReason = reason || (next ? `redirected to ${next.taskId}` : 'assignment cancelled');
+  if (requeue) {
+    reassignTask(MESSAGES_DIR, entry.taskId, null, { reason: stopReason });
+  } else {
+    cancelTask(MESSAGES_DIR, entry.taskId, { reason: stopReason });
+  }
+
+  // The agent's worktree is still on the old branch; it checks out the new
+  // one when it accepts
+  let queued = null;
+  if (next) {
+    queued = enqueueTask(MESSAGES_DIR, {
+      ...next,
+      agentId,
+      maxAttempts: TASK_MAX_ATTEMPTS,
+    });
+  }
+
+  sendStopDirective(agentId, entry.taskId, { action, reason, next: next?.taskId });
+  return { entry, next: queued };
+}
+
 // List all agents
 function listAgents(statusFilter = null) {
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  const agents = pool.agents || {};
+  const pool = readJson(AGENT_POOL_FILE);
+  const agents = pool.agents;
 
   const result = [];
   for (const [agentId, info] of Object.entries(agents)) {
@@ -258,88 +700,664 @@ function listAgents(statusFilter = null) {
       currentTask: info.currentTask,
       capabilities: info.capabilities || [],
       lastSeen: info.lastSeen,
+      statusSince: info.statusSince,
+      registeredAt: info.registeredAt,
+      health: info.health || 'ok',
     });
   }
 
   return result;
 }
 
-// Terminate an agent
-function terminateAgent(agentId) {
-  const agentInfo = agentProcesses.get(agentId);
+// What is known about an agent's process: 'running', 'gone', or 'unknown'
+// when no pid was recorded. The pid is checked together with its kernel
+// start time (from the process registry, or the pool entry), so a reused
+// pid never passes for the agent.
+function agentProcessState(agentId, info, registry) {
+  const entry = agentProcesses.get(agentId) || registry.agents[agentId] ||
+    (info.pid ? { pid: info.pid, procStartTime: info.procStartTime } : null);
+  if (!entry) return 'unknown';
+  return isAgentProcessRunning(entry) ? 'running' : 'gone';
+}
+
+// Mark agents dead once their process is confirmed gone (even if this
+// process didn't spawn them), and put their tasks back in the queue. A
+// missing heartbeat only sets the health flag: the messaging server only
+// beats during tool calls, so an agent can work silently for a long time.
+// It is flagged dead only when there is no process to check.
+function reapAgents() {
+  const now = Date.now();
+  const registry = readJson(PROCESS_REGISTRY_FILE);
+  const changes = [];
+  const died = [];
+
+  updateJson(AGENT_POOL_FILE, pool => {
+    for (const [agentId, info] of Object.entries(pool.agents)) {
+      if (info.status === 'terminated' || info.status === 'dead') continue;
+
+      const processState = agentProcessState(agentId, info, registry);
+      if (processState === 'gone') {
+        info.health = 'dead';
+        info.statusBeforeDeath = info.status;
+        info.status = 'dead';
+        info.diedAt = new Date().toISOString();
+        info.deathReason = 'process_exited';
+        died.push([agentId, info.deathReason]);
+        changes.push(`${agentId} -> dead`);
+        continue;
+      }
+
+      const silentFor = (now - new Date(info.lastSeen || info.registeredAt || 0).getTime()) / 1000;
+      let health = 'ok';
+      if (silentFor > AGENT_DEAD_TIMEOUT && processState === 'unknown') {
+        health = 'dead';
+      } else if (silentFor > AGENT_TIMEOUT) {
+        health = 'unresponsive';
+      }
+      if (health === (info.health || 'ok')) continue;
+
+      info.health = health;
+      changes.push(`${agentId} -> ${health}`);
+    }
+  });
+
+  if (changes.length > 0) {
+    console.error(`Agent liveness: ${changes.join(', ')}`);
+  }
+  for (const [agentId, reason] of died) {
+    retryAgentTasks(agentId, `dead: ${reason}`);
+  }
+}
+
+// Helper to format time since an ISO timestamp
+function formatAge(timestamp) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (Number.isNaN(seconds)) return 'unknown';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// Is a spawned or re-attached agent process still running? Re-attached
+// processes have no handle - only trust the pid if it is still the process
+// we spawned, never a stranger that reused it.
+function isAgentProcessRunning(entry) {
+  if (!entry) return false;
+  if (entry.process) {
+    return entry.process.exitCode === null && entry.process.signalCode === null;
+  }
+  return isRegisteredProcessAlive(entry);
+}
+
+// Helper to wait until an agent process exits; resolves false on timeout
+async function waitForAgentExit(entry, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (isAgentProcessRunning(entry)) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+// Commit whatever is uncommitted in an agent's worktree to wip/<agentId>,
+// on top of its HEAD. Uses a separate index, so the worktree's own index,
+// HEAD and branch are left alone. Returns { branch, commit, files } or
+// null when the tree is clean.
+function saveAgentWip(agentId, workspace, note) {
+  if (!workspace || !isWorktree(workspace)) return null;
+  const changes = git(workspace, "status", "--porcelain", "--untracked-files=all");
+  if (!changes) return null;
+
+  const branch = `wip/${agentId}`;
+  const indexFile = path.join(AGENTS_DIR, `.${agentId}-wip-index`);
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+  try {
+    git(workspace, "config", "user.email");
+  } catch (e) {
+    Object.assign(env, {
+      GIT_AUTHOR_NAME: "pm-control", GIT_AUTHOR_EMAIL: "pm-control@orchestrator.local",
+      GIT_COMMITTER_NAME: "pm-control", GIT_COMMITTER_EMAIL: "pm-control@orchestrator.local",
+    });
+  }
+  const run = (...args) => execFileSync("git", args, { cwd: workspace, env, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+
+  try {
+    const head = run("rev-parse", "HEAD");
+    run("read-tree", head);
+    run("add", "-A");
+    const tree = run("write-tree");
+    const commit = run("commit-tree", tree, "-p", head, "-m", `WIP from ${agentId}: uncommitted work saved at shutdown (${note})`);
+    run("update-ref", `refs/heads/${branch}`, commit);
+    return { branch, commit, files: changes.split("\n").map(line => line.slice(3)) };
+  } catch (e) {
+    throw new Error(`could not save uncommitted work to ${branch}: ${(e.stderr || e.message).toString().trim()}`);
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
 
-  if (agentInfo && agentInfo.process) {
+// Signal an agent's whole process group (it was spawned detached, so the
+// group id is its pid and covers the MCP servers and tools it started)
+function signalAgentGroup(entry, signal) {
+  try {
+    process.kill(-entry.pid, signal);
+  } catch (e) {
     try {
-      process.kill(agentInfo.pid, 'SIGTERM');
-    } catch (e) {
-      // Process might already be dead
+      process.kill(entry.pid, signal);
+    } catch (inner) {
+      // Already gone
     }
   }
+}
 
-  // Update pool
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  if (pool.agents && pool.agents[agentId]) {
-    pool.agents[agentId].status = 'terminated';
-    pool.agents[agentId].terminatedAt = new Date().toISOString();
-    writeJsonFile(AGENT_POOL_FILE, pool);
+// Terminate an agent gracefully: send it a stop directive and give a
+// working agent graceMs to commit and exit, save anything still
+// uncommitted to wip/<agentId>, then SIGTERM and finally SIGKILL its
+// process group. Returns what happened, including the saved work.
+async function terminateAgent(agentId, { note = 'terminated by the PM', graceMs = AGENT_STOP_GRACE_MS } = {}) {
+  const agentInfo = findAgentProcess(agentId);
+  const agent = readJson(AGENT_POOL_FILE).agents[agentId];
+  const workspace = agent?.workspace || agentInfo?.workspace;
+  let stopped = 'not running';
+
+  // Recorded first: the process may exit (and be logged) at any point from here
+  updateJson(AGENT_POOL_FILE, pool => {
+    if (pool.agents[agentId]) {
+      pool.agents[agentId].exitReason = pool.agents[agentId].exitReason || note;
+    }
+  });
+
+  if (isAgentProcessRunning(agentInfo)) {
+    agentInfo.stopping = note;
+    appendAgentLog(agentInfo.workspace, note);
+
+    // Only an agent in the middle of a task has anything to wrap up
+    if (graceMs > 0 && agent?.status === 'active') {
+      sendDirective(agentId, `SHUTDOWN: the PM is stopping this agent (${note}). Commit your work in progress now ` +
+        `and exit - do not call await_assignment() again. Anything left uncommitted after ${Math.round(graceMs / 1000)}s ` +
+        `is saved to wip/${agentId}.`, { action: 'shutdown' });
+      if (await waitForAgentExit(agentInfo, graceMs)) {
+        stopped = 'exited after the stop directive';
+      }
+    }
+  }
+
+  let wip = null;
+  let wipError = null;
+  try {
+    wip = saveAgentWip(agentId, workspace, note);
+  } catch (e) {
+    wipError = e.message;
+    console.error(`Terminating ${agentId}: ${e.message}`);
+  }
+  if (wip) {
+    appendAgentLog(workspace, `saved ${wip.files.length} uncommitted file(s) to ${wip.branch} (${wip.commit.slice(0, 10)})`);
+  }
+
+  if (isAgentProcessRunning(agentInfo)) {
+    signalAgentGroup(agentInfo, 'SIGTERM');
+    stopped = 'SIGTERM';
+    if (!await waitForAgentExit(agentInfo, AGENT_KILL_GRACE_MS)) {
+      appendAgentLog(agentInfo.workspace, `still running ${AGENT_KILL_GRACE_MS / 1000}s after SIGTERM - sending SIGKILL`);
+      signalAgentGroup(agentInfo, 'SIGKILL');
+      stopped = 'SIGKILL';
+    }
+  }
+
+  // Clean up the worktree (uncommitted work is safe once it is in wip/)
+  let cleanup;
+  try {
+    cleanup = removeAgentWorktree(agentId, workspace, { force: !!wip });
+  } catch (e) {
+    cleanup = { removed: false, reason: e.message };
   }
 
+  // Update pool
+  updateJson(AGENT_POOL_FILE, pool => {
+    if (pool.agents[agentId]) {
+      pool.agents[agentId].status = 'terminated';
+      pool.agents[agentId].terminatedAt = new Date().toISOString();
+      pool.agents[agentId].worktreeRemoved = cleanup.removed;
+      if (wip) pool.agents[agentId].wip = wip;
+    }
+  });
+
   agentProcesses.delete(agentId);
+  forgetProcess(agentId);
+  retryAgentTasks(agentId, wip ? `${note}; uncommitted work saved to ${wip.branch}` : note);
+
+  return { terminated: agentId, workspace, stopped, wip, wipError, cleanup };
+}
+
+// Helper to describe a terminateAgent result for the PM
+function describeTermination(result) {
+  const lines = [`Agent ${result.terminated} has been terminated (${result.stopped}).`];
+  if (result.wip) {
+    lines.push(`Uncommitted work saved to ${result.wip.branch} at ${result.wip.commit.slice(0, 10)}: ${result.wip.files.join(', ')}`);
+  } else if (result.wipError) {
+    lines.push(`WARNING: ${result.wipError}`);
+  }
+  if (result.cleanup.removed) {
+    lines.push('Worktree removed.');
+  } else if (result.cleanup.reason !== 'no worktree') {
+    lines.push(`Worktree kept at ${result.workspace} (${result.cleanup.reason}).`);
+  }
+  return lines.join('\n');
+}
+
+// Watchdog: stop agents that are over their own limits or the limits of
+// the task they are working on
+function enforceLimits() {
+  const pool = readJson(AGENT_POOL_FILE);
+  const tasks = listTasks(MESSAGES_DIR, { states: ['accepted'] });
+  const now = Date.now();
+
+  for (const [agentId, entry] of agentProcesses) {
+    const agent = pool.agents[agentId];
+    if (!agent || agent.status === 'terminated' || entry.stopping) continue;
+
+    const agentLimits = entry.limits || {};
+    const task = tasks.find(t => t.agentId === agentId);
+    const taskLimits = task?.limits || {};
+    const memoryMb = agentLimits.maxMemoryMb || taskLimits.maxMemoryMb ? processGroupMemoryMb(entry.pid) : null;
+
+    const violation =
+      findViolation(agentLimits, {
+        runtimeSeconds: (now - new Date(entry.startedAt).getTime()) / 1000,
+        memoryMb,
+        toolCalls: agent.toolCalls || 0,
+      }, 'agent') ||
+      (task && findViolation(taskLimits, {
+        runtimeSeconds: (now - new Date(task.acceptedAt).getTime()) / 1000,
+        memoryMb,
+        toolCalls: agent.taskToolCalls || 0,
+      }, `task ${task.taskId}`));
+
+    if (violation) {
+      stopForLimit(agentId, violation).catch(e => console.error(`Stopping ${agentId} failed: ${e.message}`));
+    }
+  }
+}
+
+// Stop an agent for a limit violation right away (no grace period - it is
+// over its limits already) and record why in the pool as its exitReason
+async function stopForLimit(agentId, violation) {
+  const reason = `${violation.limit} limit exceeded: ${violation.message}`;
+  console.error(`Stopping ${agentId}: ${reason}`);
+  updateJson(AGENT_POOL_FILE, pool => {
+    if (pool.agents[agentId]) {
+      pool.agents[agentId].exitReason = reason;
+      pool.agents[agentId].limitViolation = violation.limit;
+    }
+  });
 
-  return { terminated: agentId };
+  const result = await terminateAgent(agentId, { note: `stopped by pm-control: ${reason}`, graceMs: 0 });
+  notifyPm(`${agentId} was stopped: ${reason}` +
+    (result.wip ? `\nUncommitted work saved to ${result.wip.branch}.` : ''), 'warning');
 }
 
-// Broadcast message to all agents
-function broadcastMessage(message, type = 'info') {
-  const pool = readJsonFile(AGENT_POOL_FILE);
-  const agents = pool.agents || {};
+// Recent output of an agent from its log file
+function getAgentOutput(agentId, { lines = 50, grep = null, rotated = false } = {}) {
+  const pool = readJson(AGENT_POOL_FILE);
+  const workspace = pool.agents[agentId]?.workspace || findAgentProcess(agentId)?.workspace;
+  if (!workspace) {
+    return null;
+  }
+  // The PM's grep is a regular expression
+  return readAgentLog(workspace, { lines, pattern: grep ? new RegExp(grep, "i") : null, rotated });
+}
 
-  const inbox = readJsonFile(INBOX_FILE);
-  inbox.messages = inbox.messages || [];
+// Live agents a broadcast goes to. Each filter that is given must match
+// (any of its values): roles, capabilities, backend types, agent ids.
+// Explicitly named agents that can't receive it are reported as skipped.
+function selectRecipients({ roles = [], capabilities = [], backends = [], agentIds = [] } = {}) {
+  const agents = readJson(AGENT_POOL_FILE).agents;
+  const lower = values => values.map(v => v.toLowerCase());
+  const wantRoles = lower(roles);
+  const wantBackends = lower(backends);
+
+  const skipped = agentIds
+    .filter(id => !agents[id] || ['terminated', 'dead'].includes(agents[id].status))
+    .map(id => ({ agentId: id, reason: agents[id] ? agents[id].status : 'unknown agent' }));
+
+  const recipients = Object.entries(agents)
+    .filter(([, info]) => !['terminated', 'dead'].includes(info.status) && info.health !== 'dead')
+    .filter(([id]) => agentIds.length === 0 || agentIds.includes(id))
+    .filter(([, info]) => wantRoles.length === 0 || wantRoles.includes((info.role || '').toLowerCase()))
+    .filter(([, info]) => wantBackends.length === 0 || wantBackends.includes((info.type || '').toLowerCase()))
+    .filter(([, info]) => capabilities.length === 0 || capabilities.some(c => (info.capabilities || []).includes(c)))
+    .map(([id]) => id);
+
+  return { recipients, skipped };
+}
 
+// Send a message to every live agent matching the target (all of them
+// when no target is given). Each recipient gets its own inbox copy, whose
+// readAt is set when its agent reads it.
+function broadcastMessage(message, type = 'info', target = {}) {
+  const { recipients, skipped } = selectRecipients(target);
   const broadcastId = crypto.randomUUID();
+  const timestamp = new Date().toISOString();
+
+  if (recipients.length > 0) {
+    updateJson(INBOX_FILE, inbox => {
+      for (const agentId of recipients) {
+        inbox.messages.push({
+          id: crypto.randomUUID(),
+          threadId: broadcastId,
+          broadcastId: broadcastId,
+          from: 'pm',
+          to: agentId,
+          type: type,
+          message: message,
+          timestamp: timestamp,
+          read: false,
+        });
+      }
+    });
+  }
 
-  for (const agentId of Object.keys(agents)) {
-    if (agents[agentId].status === 'active' || agents[agentId].status === 'standby') {
+  return { broadcastId, recipients, skipped };
+}
+
+// Delivery and read receipts for a broadcast (the latest one if no id)
+function getBroadcastReceipts(broadcastId = null) {
+  const messages = readJson(INBOX_FILE).messages.filter(m => m.broadcastId);
+  if (!broadcastId) {
+    broadcastId = messages.reduce((latest, m) => (!latest || m.timestamp > latest.timestamp ? m : latest), null)?.broadcastId;
+  }
+  const copies = messages.filter(m => m.broadcastId === broadcastId);
+  if (copies.length === 0) {
+    return null;
+  }
+
+  const agents = readJson(AGENT_POOL_FILE).agents;
+  return {
+    broadcastId,
+    type: copies[0].type,
+    message: copies[0].message,
+    sentAt: copies[0].timestamp,
+    receipts: copies.map(m => ({
+      agentId: m.to,
+      readAt: m.read ? (m.readAt || null) : null,
+      read: !!m.read,
+      agentStatus: agents[m.to]?.status || 'unknown',
+    })),
+  };
+}
+
+// Veto an agent-to-agent message. Unread messages are hidden from the
+// recipient; a vetoed question is answered on the PM's behalf so the
+// asking agent stops waiting.
+function vetoMessage(messageId, reason = '') {
+  const original = updateJson(OUTBOX_FILE, outbox => {
+    const message = outbox.messages.find(m => m.id === messageId);
+    if (!message || message.to === 'pm' || message.to === 'user') {
+      return null;
+    }
+    message.status = 'vetoed';
+    message.vetoReason = reason;
+    message.vetoedAt = new Date().toISOString();
+    return { ...message };
+  });
+
+  if (!original) {
+    return null;
+  }
+
+  let alreadyRead = false;
+  updateJson(INBOX_FILE, inbox => {
+    const delivered = inbox.messages.find(m => m.id === messageId);
+    if (delivered) {
+      alreadyRead = !!delivered.read;
+      delivered.vetoed = true;
+    }
+
+    if (original.type === 'agent_question') {
       inbox.messages.push({
         id: crypto.randomUUID(),
-        broadcastId: broadcastId,
+        threadId: original.threadId || messageId,
+        replyTo: messageId,
         from: 'pm',
-        to: agentId,
-        type: type,
-        message: message,
+        to: original.from,
+        answer: `The PM vetoed your question to ${original.to}.${reason ? ` Reason: ${reason}` : ''}`,
         timestamp: new Date().toISOString(),
         read: false,
       });
     }
-  }
-
-  writeJsonFile(INBOX_FILE, inbox);
+  });
 
-  return { broadcastId: broadcastId, recipientCount: Object.keys(agents).length };
+  return { message: original, alreadyRead: alreadyRead };
 }
 
 // Get agent status details
 function getAgentStatus(agentId) {
-  const pool = readJsonFile(AGENT_POOL_FILE);
+  const pool = readJson(AGENT_POOL_FILE);
 
-  if (!pool.agents || !pool.agents[agentId]) {
+  if (!pool.agents[agentId]) {
     return null;
   }
 
   const agent = pool.agents[agentId];
 
   // Check if process is still running
-  const processInfo = agentProcesses.get(agentId);
-  const isRunning = processInfo && processInfo.process && !processInfo.process.killed;
+  const processInfo = findAgentProcess(agentId);
+  const isRunning = !!processInfo && (processInfo.process
+    ? !processInfo.process.killed
+    : isRegisteredProcessAlive(processInfo));
 
   return {
     ...agent,
     processRunning: isRunning,
+    processReattached: !!processInfo?.reattached,
     pid: processInfo?.pid || agent.pid,
   };
 }
 
+// Helper to check for a task's marker files in STATUS_DIR
+// (<id>.status while running, <id>.completed etc. when done - see lib/dispatch.sh)
+function hasTaskMarker(taskId, ...markers) {
+  return markers.some(marker => fs.existsSync(path.join(STATUS_DIR, `${taskId}.${marker}`)));
+}
+
+function hasHandoff(taskId) {
+  return fs.existsSync(path.join(HANDOFFS_DIR, `${taskId.replace(/[^A-Za-z0-9._-]/g, "_")}.json`));
+}
+
+// Tasks from tasks.json split into ready (dependencies done, nobody on
+// them) and blocked
+function readTaskQueue() {
+  const { tasks = [] } = readJson(TASKS_FILE, { tasks: [] });
+
+  // Tasks already in the queue (waiting, reserved or being worked on)
+  const takenTaskIds = new Set(listTasks(MESSAGES_DIR, { states: ACTIVE_STATES }).map(t => t.taskId));
+
+  // Most urgent first (stable, so tasks.json order breaks ties)
+  const byPriority = [...tasks].sort((a, b) =>
+    (PRIORITIES[a.priority] ?? PRIORITIES.normal) - (PRIORITIES[b.priority] ?? PRIORITIES.normal));
+
+  return findReadyTasks(byPriority, {
+    isDone: task => DONE_STATUSES.includes(task.status) || hasTaskMarker(task.id, ...DONE_STATUSES),
+    // A handoff means the work is done and waiting for review
+    isTaken: task => task.status === 'running' || takenTaskIds.has(task.id) ||
+      hasTaskMarker(task.id, 'status') || hasHandoff(task.id),
+  });
+}
+
+// Match ready tasks to standby agents, and assign them unless dryRun.
+// Returns the plan with the score breakdown for every match.
+function autoAssign({ dryRun = false } = {}) {
+  reapAgents();
+  const agents = listAgents();
+  const { ready, blocked } = readTaskQueue();
+  const standby = agents.filter(a => a.status === 'standby' && a.health === 'ok');
+  const plan = { ...planAssignments(ready, standby), blocked, assigned: [], failed: [] };
+
+  if (dryRun) {
+    return plan;
+  }
+
+  for (const match of plan.matches) {
+    const { task, agent } = match;
+    try {
+      const assignment = assignTask(agent.id, task.id, task.branch, task.description || task.title || task.id, {
+        type: task.type || 'assigned',
+        priority: task.priority || 'normal',
+        limits: normalizeLimits(task.limits),
+        match: { score: match.score, reasons: match.reasons, autoAssigned: true },
+      });
+      // Same in-progress marker dispatch.sh writes, so it doesn't dispatch the task again
+      fs.writeFileSync(path.join(STATUS_DIR, `${task.id}.status`),
+        `task: ${task.id}\nagent: ${agent.id}\nbranch: ${assignment.branch}\nstarted: ${assignment.queuedAt}\nstatus: assigned_to_pool\n`);
+      plan.assigned.push(match);
+    } catch (e) {
+      plan.failed.push({ ...match, error: e.message });
+    }
+  }
+  return plan;
+}
+
+// Helper to describe an auto_assign plan for the PM
+function formatMatchPlan(plan, dryRun) {
+  let output = "";
+  const matches = dryRun ? plan.matches : plan.assigned;
+
+  if (matches.length > 0) {
+    output += dryRun ? "WOULD ASSIGN:\n" : "ASSIGNED:\n";
+    for (const match of matches) {
+      output += `  ${match.task.id} -> ${match.agent.id} (score ${match.score}: ${match.reasons.join(', ') || 'no requirements'})\n`;
+      if (match.alternatives.length > 0) {
+        output += `    Other candidates: ${match.alternatives.map(a => `${a.agentId} (${a.score})`).join(', ')}\n`;
+      }
+    }
+  }
+  if (plan.failed.length > 0) {
+    output += "FAILED:\n";
+    for (const match of plan.failed) {
+      output += `  ${match.task.id} -> ${match.agent.id}: ${match.error}\n`;
+    }
+  }
+  if (plan.unmatched.length > 0) {
+    output += "READY BUT UNMATCHED:\n";
+    for (const { task, reason } of plan.unmatched) {
+      output += `  ${task.id}: ${reason}\n`;
+    }
+  }
+  if (plan.blocked.length > 0) {
+    output += "BLOCKED:\n";
+    for (const { task, waitingOn } of plan.blocked) {
+      output += `  ${task.id}: waiting on ${waitingOn.join(', ')}\n`;
+    }
+  }
+  return output || "No pending tasks.\n";
+}
+
+// One background matcher pass; assignments are reported to the PM as a notification
+function runAutoAssign() {
+  const plan = autoAssign();
+  if (plan.assigned.length === 0 && plan.failed.length === 0) {
+    return;
+  }
+
+  const message = `Auto-assigned ${plan.assigned.length} task(s)\n` + formatMatchPlan(plan, false);
+  console.error(message);
+  notifyPm(message);
+}
+
+// Helper to describe the autoscaler limits for the PM and the logs
+function formatAutoscalePolicy() {
+  const limits = Object.entries(autoscalePolicy.limits)
+    .map(([backend, { min, max }]) => `${backend} ${min}-${max}`)
+    .join(', ');
+  return `Limits: ${limits || 'none (set AUTOSCALE_LIMITS)'} | ` +
+    `max ${autoscalePolicy.maxAgents} agents | idle grace ${autoscalePolicy.idleGraceSeconds}s`;
+}
+
+function describeScalingDecision(decision) {
+  const text = decision.action === 'spawn'
+    ? `spawn ${decision.backend}${decision.agentId ? ` (${decision.agentId})` : ''}: ${decision.reason}`
+    : `retire ${decision.agentId}: ${decision.reason}`;
+  return decision.error ? `${text} - FAILED: ${decision.error}` : text;
+}
+
+// Record the autoscaler's state for the dashboard (decisions are appended)
+function recordAutoscalerState(run = null, decisions = []) {
+  updateJson(AUTOSCALER_FILE, state => {
+    state.enabled = autoscalePolicy.enabled;
+    state.policy = {
+      limits: autoscalePolicy.limits,
+      maxAgents: autoscalePolicy.maxAgents,
+      idleGraceSeconds: autoscalePolicy.idleGraceSeconds,
+      intervalSeconds: AUTOSCALE_INTERVAL_MS / 1000,
+    };
+    if (run) state.lastRun = run;
+    state.decisions = [...state.decisions, ...decisions].slice(-AUTOSCALE_HISTORY);
+  });
+}
+
+// Passes run one at a time: a spawn can outlast the interval, and two
+// overlapping passes would both spawn for the same queue depth
+let autoscaleQueue = Promise.resolve();
+
+function autoscale(options) {
+  const pass = autoscaleQueue.then(() => autoscalePass(options));
+  autoscaleQueue = pass.catch(() => {});
+  return pass;
+}
+
+// One autoscaler pass: plan (see autoscaler.js), then spawn/retire unless dryRun
+async function autoscalePass({ dryRun = false } = {}) {
+  reapAgents();
+  const agents = listAgents();
+  const { ready } = readTaskQueue();
+  const plan = planScaling({
+    agents,
+    readyTasks: ready,
+    queuedTasks: tasksFromQueue(listTasks(MESSAGES_DIR, { states: ['queued'] })),
+    backends: loadBackends(),
+    policy: autoscalePolicy,
+  });
+
+  if (dryRun) {
+    return plan;
+  }
+
+  for (const decision of plan.decisions) {
+    decision.at = new Date().toISOString();
+    try {
+      if (decision.action === 'spawn') {
+        decision.agentId = (await spawnAgent(decision.role, decision.backend)).agentId;
+      } else {
+        await terminateAgent(decision.agentId, { note: `retired by the autoscaler: ${decision.reason}` });
+      }
+    } catch (e) {
+      decision.error = e.message;
+    }
+    console.error(`Autoscaler: ${describeScalingDecision(decision)}`);
+  }
+
+  recordAutoscalerState({
+    at: new Date().toISOString(),
+    readyTasks: ready.length,
+    liveAgents: agents.filter(a => a.status !== 'terminated' && a.status !== 'dead').length,
+    holds: plan.holds,
+  }, plan.decisions);
+  return plan;
+}
+
+// Input schema for the limits of an agent or a task (see limits.js)
+function limitsSchema(appliesTo) {
+  return {
+    type: "object",
+    description: `Resource limits for ${appliesTo}`,
+    properties: {
+      timeout_seconds: { type: "number", description: "Wall-clock time limit in seconds" },
+      max_memory_mb: { type: "number", description: "Memory limit for the agent's processes in MB" },
+      max_tool_calls: { type: "number", description: "Maximum number of messaging tool calls" }
+    }
+  };
+}
+
 // Create MCP server
 const server = new Server(
   {
@@ -355,6 +1373,9 @@ const server = new Server(
 
 // Define available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
+  // Re-read on every listing so backends added to the config show up without a restart
+  const backends = loadBackends();
+
   return {
     tools: [
       {
@@ -369,14 +1390,20 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             type: {
               type: "string",
-              enum: ["claude", "codex", "gemini"],
-              description: "The AI model to use for this agent"
+              enum: Object.keys(backends),
+              description: "The agent backend to use: " +
+                Object.entries(backends).map(([name, b]) => `${name} (${b.description || b.command})`).join(", ")
             },
             capabilities: {
               type: "array",
               items: { type: "string" },
               description: "List of capabilities (e.g., ['coding', 'testing', 'research', 'visual-qa'])"
-            }
+            },
+            scenario: {
+              type: "string",
+              description: "Scenario file for the mock backend (ignored by other backends)"
+            },
+            limits: limitsSchema("the agent, overriding config.sh and the backend's (0 lifts a limit)")
           },
           required: ["role", "type"]
         }
@@ -402,11 +1429,222 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             description: {
               type: "string",
               description: "Detailed description of what the agent should do"
+            },
+            priority: {
+              type: "string",
+              enum: Object.keys(PRIORITIES),
+              description: "Task priority (default: normal)"
+            },
+            limits: limitsSchema("the agent while it works on this task (timeout and tool calls count from when it accepts)")
+          },
+          required: ["agent_id", "task_id", "description"]
+        }
+      },
+      {
+        name: "queue_task",
+        description: "Queue a task for whichever standby agent with the required capabilities picks it up first. Higher-priority tasks are picked up first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "Unique identifier for this task"
+            },
+            description: {
+              type: "string",
+              description: "Detailed description of what the agent should do"
+            },
+            branch: {
+              type: "string",
+              description: "Git branch name for this task (optional, defaults to feature/task_id)"
+            },
+            priority: {
+              type: "string",
+              enum: Object.keys(PRIORITIES),
+              description: "Task priority (default: normal)"
+            },
+            limits: limitsSchema("the agent while it works on this task (timeout and tool calls count from when it accepts)"),
+            capabilities: {
+              type: "array",
+              items: { type: "string" },
+              description: "Capabilities an agent needs to take the task (default: any agent)"
+            }
+          },
+          required: ["task_id", "description"]
+        }
+      },
+      {
+        name: "cancel_task",
+        description: "Cancel a queued, assigned or in-progress task. An agent already working on it is told to stop.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "The task to cancel"
+            },
+            reason: {
+              type: "string",
+              description: "Why it is cancelled (recorded in the task history and sent to the agent)"
+            }
+          },
+          required: ["task_id"]
+        }
+      },
+      {
+        name: "reassign_task",
+        description: "Move a queued, assigned or in-progress task to another agent, or back to the queue. An agent already working on it is told to stop.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "The task to move"
+            },
+            agent_id: {
+              type: "string",
+              description: "The agent to give it to (omit to put it back in the queue)"
+            },
+            reason: {
+              type: "string",
+              description: "Why it is moved (recorded in the task history)"
+            }
+          },
+          required: ["task_id"]
+        }
+      },
+      {
+        name: "cancel_assignment",
+        description: "Stop the task an agent is working on. The agent sees the directive on its next tool call, commits its work in progress on the task branch and returns to await_assignment.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            agent_id: {
+              type: "string",
+              description: "The agent to stop"
+            },
+            reason: {
+              type: "string",
+              description: "Why (sent to the agent and recorded in the task history)"
+            },
+            requeue: {
+              type: "boolean",
+              description: "Put the task back in the queue for another agent instead of cancelling it (default: false)"
+            }
+          },
+          required: ["agent_id"]
+        }
+      },
+      {
+        name: "redirect_assignment",
+        description: "Move an agent off the task it is working on and onto a new one. It commits its work in progress, then picks up the new task from await_assignment. The old task goes back in the queue unless requeue_current is false.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            agent_id: {
+              type: "string",
+              description: "The agent to redirect"
+            },
+            task_id: {
+              type: "string",
+              description: "The new task"
+            },
+            description: {
+              type: "string",
+              description: "Detailed description of what the agent should do"
+            },
+            branch: {
+              type: "string",
+              description: "Git branch name for the new task (optional, defaults to feature/task_id)"
+            },
+            priority: {
+              type: "string",
+              enum: Object.keys(PRIORITIES),
+              description: "Priority of the new task (default: normal)"
+            },
+            limits: limitsSchema("the agent while it works on the new task"),
+            reason: {
+              type: "string",
+              description: "Why (sent to the agent and recorded in the task history)"
+            },
+            requeue_current: {
+              type: "boolean",
+              description: "Put the current task back in the queue (default: true); false cancels it"
             }
           },
           required: ["agent_id", "task_id", "description"]
         }
       },
+      {
+        name: "set_task_priority",
+        description: "Change the priority of a queued, assigned or in-progress task.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "The task to reprioritize"
+            },
+            priority: {
+              type: "string",
+              enum: Object.keys(PRIORITIES),
+              description: "The new priority"
+            }
+          },
+          required: ["task_id", "priority"]
+        }
+      },
+      {
+        name: "get_task_queue",
+        description: "Show the task queue by state, or one task's full history of state changes.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
+              type: "string",
+              description: "Show this task's details and history"
+            },
+            include_finished: {
+              type: "boolean",
+              description: "Also list completed, cancelled and failed tasks (default: false)"
+            }
+          }
+        }
+      },
+      {
+        name: "auto_assign",
+        description: "Match ready tasks from tasks.json (all depends_on done, not yet assigned) to standby agents by capabilities, backend type and role, and assign them. Returns the score behind each match. Can also switch the background matcher on or off.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dry_run: {
+              type: "boolean",
+              description: "Only show what would be assigned (default: false)"
+            },
+            background: {
+              type: "boolean",
+              description: `Turn the background matcher (runs every ${AUTO_ASSIGN_INTERVAL_MS / 1000}s) on or off`
+            }
+          }
+        }
+      },
+      {
+        name: "autoscale",
+        description: "Run one pool autoscaler pass now: spawn agents for ready tasks no standby agent can take, top backends up to their minimum, retire agents idle past the grace period (within AUTOSCALE_LIMITS and MAX_PARALLEL_AGENTS). Can also switch the background autoscaler on or off.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dry_run: {
+              type: "boolean",
+              description: "Only show what would be done (default: false)"
+            },
+            enabled: {
+              type: "boolean",
+              description: `Turn the background autoscaler (runs every ${AUTOSCALE_INTERVAL_MS / 1000}s) on or off`
+            }
+          }
+        }
+      },
       {
         name: "list_agents",
         description: "List all agents in the pool with their current status.",
@@ -415,7 +1653,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             status: {
               type: "string",
-              enum: ["all", "active", "standby", "terminated"],
+              enum: ["all", "active", "standby", "assigned", "dead", "terminated"],
               description: "Filter by status (default: all)"
             }
           }
@@ -435,15 +1673,45 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["agent_id"]
         }
       },
+      {
+        name: "get_agent_output",
+        description: "Read an agent's recent output (stdout/stderr) from its log file. Use it to see what an agent is doing or why it failed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            agent_id: {
+              type: "string",
+              description: "The ID of the agent"
+            },
+            lines: {
+              type: "number",
+              description: "Number of lines from the end to return (default: 50)"
+            },
+            grep: {
+              type: "string",
+              description: "Only return lines matching this regular expression (case-insensitive)"
+            },
+            include_rotated: {
+              type: "boolean",
+              description: "Also search older, rotated log files (default: false)"
+            }
+          },
+          required: ["agent_id"]
+        }
+      },
       {
         name: "terminate_agent",
-        description: "Terminate a specific agent. The agent process will be killed.",
+        description: "Terminate a specific agent. A working agent is told to commit and stop and gets a grace period; anything still uncommitted is saved to a wip/<agent_id> branch before its processes are killed.",
         inputSchema: {
           type: "object",
           properties: {
             agent_id: {
               type: "string",
               description: "The ID of the agent to terminate"
+            },
+            grace_seconds: {
+              type: "number",
+              description: "How long a working agent gets to wrap up (default: AGENT_STOP_GRACE from config.sh; 0 stops it right away)"
             }
           },
           required: ["agent_id"]
@@ -451,7 +1719,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "broadcast_message",
-        description: "Send a message to all active agents.",
+        description: "Send a message to every live agent, or to the ones matching a target. Each filter given must match (any of its values). Directives are shown to agents on their next tool call. Check who has read it with get_broadcast_receipts.",
         inputSchema: {
           type: "object",
           properties: {
@@ -463,20 +1731,75 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               enum: ["info", "warning", "urgent", "directive"],
               description: "Type of message (default: info)"
+            },
+            roles: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only agents with one of these roles"
+            },
+            capabilities: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only agents with at least one of these capabilities"
+            },
+            backends: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only agents of these backend types (e.g. ['claude', 'codex'])"
+            },
+            agent_ids: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only these agents"
             }
           },
           required: ["message"]
         }
       },
+      {
+        name: "get_broadcast_receipts",
+        description: "Show which recipients of a broadcast have read it and which haven't yet.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            broadcast_id: {
+              type: "string",
+              description: "The broadcast to check (default: the latest one)"
+            }
+          }
+        }
+      },
+      {
+        name: "veto_message",
+        description: "Veto an agent-to-agent message (ask_agent/send_to_agent traffic shown in the outbox). The recipient will not see it if unread, and a vetoed question is answered with your reason.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            message_id: {
+              type: "string",
+              description: "The ID of the outbox message to veto"
+            },
+            reason: {
+              type: "string",
+              description: "Why the message is vetoed (sent back to the sender for questions)"
+            }
+          },
+          required: ["message_id"]
+        }
+      },
       {
         name: "terminate_all",
-        description: "Terminate all agents in the pool. Use with caution.",
+        description: "Terminate all agents in the pool, each the same way as terminate_agent (uncommitted work is saved to wip/<agent_id> branches). Use with caution.",
         inputSchema: {
           type: "object",
           properties: {
             confirm: {
               type: "boolean",
               description: "Must be true to confirm termination of all agents"
+            },
+            grace_seconds: {
+              type: "number",
+              description: "How long working agents get to wrap up (default: AGENT_STOP_GRACE from config.sh)"
             }
           },
           required: ["confirm"]
@@ -492,15 +1815,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   switch (name) {
     case "spawn_agent": {
-      const { role, type, capabilities = [] } = args;
+      const { role, type, capabilities = [], scenario, limits = {} } = args;
 
       try {
-        const result = await spawnAgent(role, type, capabilities);
+        const result = await spawnAgent(role, type, capabilities, scenario, normalizeLimits(limits));
         return {
           content: [
             {
               type: "text",
-              text: `Agent spawned successfully!\n\nAgent ID: ${result.agentId}\nPID: ${result.pid}\nWorkspace: ${result.workspace}\nStatus: ${result.status}\n\nThe agent is starting up and will enter standby mode. Use assign_task() to give it work.`
+              text: `Agent spawned successfully!\n\nAgent ID: ${result.agentId}\nPID: ${result.pid}\nWorkspace: ${result.workspace}\nStatus: ${result.status}\nLimits: ${formatLimits(result.limits)}\n\nThe agent is starting up and will enter standby mode. Use assign_task() to give it work.`
             }
           ]
         };
@@ -517,7 +1840,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     case "assign_task": {
-      const { agent_id, task_id, branch, description } = args;
+      const { agent_id, task_id, branch, description, priority = "normal", limits = {} } = args;
 
       const agent = getAgentStatus(agent_id);
       if (!agent) {
@@ -532,18 +1855,300 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      const assignment = assignTask(agent_id, task_id, branch, description);
+      let assignment;
+      try {
+        assignment = assignTask(agent_id, task_id, branch, description, { priority, limits: normalizeLimits(limits) });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to assign ${task_id} to ${agent_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Task assigned!\n\nAssignment ID: ${assignment.id}\nAgent: ${agent_id}\nTask: ${task_id}\nBranch: ${assignment.branch}\n\nThe agent will pick up this assignment as soon as it is in standby.`
+          }
+        ]
+      };
+    }
+
+    case "queue_task": {
+      const { task_id, description, branch, priority = "normal", capabilities = [], limits = {} } = args;
+
+      let entry;
+      try {
+        entry = enqueueTask(MESSAGES_DIR, {
+          taskId: task_id, description, branch, priority, capabilities,
+          limits: normalizeLimits(limits),
+          maxAttempts: TASK_MAX_ATTEMPTS,
+        });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to queue ${task_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      const waiting = listTasks(MESSAGES_DIR, { states: ["queued"] });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Task queued!\n\nTask: ${task_id}\nBranch: ${entry.branch}\nPriority: ${priority}\n` +
+              `Needs: ${capabilities.join(', ') || 'any agent'}\n` +
+              `Position: ${waiting.findIndex(t => t.taskId === task_id) + 1} of ${waiting.length}\n\n` +
+              `The first standby agent that can take it will pick it up.`
+          }
+        ]
+      };
+    }
+
+    case "cancel_task": {
+      const { task_id, reason = "" } = args;
+      const entry = cancelQueuedTask(task_id, reason);
+
+      if (!entry) {
+        return {
+          content: [{ type: "text", text: `Task ${task_id} is not queued or in progress.` }]
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Task ${task_id} cancelled (was ${entry.state}${entry.agentId ? `, ${entry.agentId}` : ''}).` +
+              (entry.state === 'accepted' ? `\n${entry.agentId} has been told to stop working on it.` : '')
+          }
+        ]
+      };
+    }
+
+    case "reassign_task": {
+      const { task_id, agent_id, reason = "" } = args;
+
+      if (agent_id) {
+        const agent = getAgentStatus(agent_id);
+        if (!agent) {
+          return {
+            content: [{ type: "text", text: `Agent not found: ${agent_id}` }]
+          };
+        }
+        if (agent.status !== 'standby' && agent.status !== 'starting') {
+          return {
+            content: [{ type: "text", text: `Agent ${agent_id} is not available (status: ${agent.status}). Only standby agents can receive assignments.` }]
+          };
+        }
+      }
+
+      let result;
+      try {
+        result = reassignQueuedTask(task_id, agent_id || null, reason);
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to reassign ${task_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Task ${task_id} ${agent_id ? `reassigned to ${agent_id}` : 'returned to the queue'}` +
+              (result.previousAgentId ? ` (was ${result.previousAgentId})` : '') + '.' +
+              (result.wasAccepted ? `\n${result.previousAgentId} has been told to stop working on it; ` +
+                `the task can be picked up once it has let go of the branch.` : '')
+          }
+        ]
+      };
+    }
+
+    case "cancel_assignment":
+    case "redirect_assignment": {
+      const { agent_id, task_id, description, branch, priority = "normal", limits = {}, reason = "" } = args;
+      const redirect = name === "redirect_assignment";
+      const requeue = redirect ? args.requeue_current !== false : args.requeue === true;
+
+      let result;
+      try {
+        result = stopAssignment(agent_id, {
+          reason,
+          requeue,
+          next: redirect ? { taskId: task_id, description, branch, priority, limits: normalizeLimits(limits) } : null,
+        });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to ${redirect ? 'redirect' : 'cancel'} ${agent_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      const stopped = result.entry.taskId;
+      return {
+        content: [
+          {
+            type: "text",
+            text: (redirect
+              ? `${agent_id} redirected from ${stopped} to ${task_id} (branch ${result.next.branch}).\n`
+              : `Assignment of ${stopped} to ${agent_id} cancelled.\n`) +
+              `${stopped} is ${requeue ? 'back in the queue' : 'cancelled'}.\n\n` +
+              `${agent_id} will see the directive on its next tool call, commit its work in progress on ` +
+              `${result.entry.branch} and return to await_assignment` +
+              (redirect ? `, where ${task_id} is reserved for it.` : '.')
+          }
+        ]
+      };
+    }
+
+    case "set_task_priority": {
+      const { task_id, priority } = args;
+
+      let entry;
+      try {
+        entry = setTaskPriority(MESSAGES_DIR, task_id, priority);
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to reprioritize ${task_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: `Task ${task_id} is now ${entry.priority} priority (${entry.state}).` }]
+      };
+    }
+
+    case "get_task_queue": {
+      const { task_id, include_finished = false } = args;
+
+      if (task_id) {
+        const entry = getTask(MESSAGES_DIR, task_id);
+        if (!entry) {
+          return {
+            content: [{ type: "text", text: `Task ${task_id} has never been queued.` }]
+          };
+        }
+        const history = entry.history.map(h => h.priority
+          ? `  ${h.at}  priority ${h.priority.from} -> ${h.priority.to} (${h.by})`
+          : `  ${h.at}  ${h.from} -> ${h.to} (${h.by})${h.reason ? `: ${h.reason}` : ''}`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `TASK ${task_id}\n` +
+                `State: ${entry.state}${entry.agentId ? ` (${entry.agentId})` : ''}\n` +
+                `Priority: ${entry.priority}\n` +
+                `Branch: ${entry.branch}\n` +
+                `Needs: ${(entry.capabilities || []).join(', ') || 'any agent'}\n` +
+                `Attempts: ${entry.attempts} of ${entry.maxAttempts}\n` +
+                (entry.state === 'queued' && entry.retryAt > new Date().toISOString() ? `Retry after: ${entry.retryAt}\n` : '') +
+                `Limits: ${formatLimits(entry.limits)}\n\n` +
+                `HISTORY:\n${history.join('\n')}`
+            }
+          ]
+        };
+      }
+
+      const states = include_finished ? [...ACTIVE_STATES, "completed", "cancelled", "failed"] : ACTIVE_STATES;
+      const entries = listTasks(MESSAGES_DIR, { states });
+      if (entries.length === 0) {
+        return {
+          content: [{ type: "text", text: "The task queue is empty." }]
+        };
+      }
+
+      let output = "TASK QUEUE\n" + "=".repeat(60) + "\n\n";
+      for (const state of states) {
+        const inState = entries.filter(e => e.state === state);
+        if (inState.length === 0) continue;
+        output += `${state.toUpperCase()} (${inState.length}):\n`;
+        for (const entry of inState) {
+          output += `  [${entry.taskId}] ${entry.priority}` +
+            (entry.agentId ? ` | ${entry.agentId}` : ` | needs ${(entry.capabilities || []).join(', ') || 'any agent'}`) +
+            ` | attempts ${entry.attempts}/${entry.maxAttempts}` +
+            ` | since ${formatAge(entry.updatedAt)} ago\n`;
+        }
+        output += "\n";
+      }
+      return {
+        content: [{ type: "text", text: output }]
+      };
+    }
+
+    case "auto_assign": {
+      const { dry_run = false, background } = args;
+
+      if (background !== undefined) {
+        autoAssignEnabled = background;
+      }
+
+      let plan;
+      try {
+        plan = autoAssign({ dryRun: dry_run });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Auto-assign failed: ${e.message}` }],
+          isError: true
+        };
+      }
 
       return {
         content: [
           {
             type: "text",
-            text: `Task assigned!\n\nAssignment ID: ${assignment.id}\nAgent: ${agent_id}\nTask: ${task_id}\nBranch: ${assignment.branch}\n\nThe agent will pick up this assignment on its next poll cycle.`
+            text: `AUTO-ASSIGN${dry_run ? " (dry run)" : ""}\n` + "=".repeat(60) + "\n\n" +
+              formatMatchPlan(plan, dry_run) +
+              `\nBackground matcher: ${autoAssignEnabled ? "on" : "off"}`
           }
         ]
       };
     }
 
+    case "autoscale": {
+      const { dry_run = false, enabled } = args;
+
+      if (enabled !== undefined) {
+        autoscalePolicy.enabled = enabled;
+        recordAutoscalerState();
+      }
+
+      let plan;
+      try {
+        plan = await autoscale({ dryRun: dry_run });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Autoscaler pass failed: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      let output = `AUTOSCALER${dry_run ? " (dry run)" : ""}\n` + "=".repeat(60) + "\n" +
+        `Background autoscaler: ${autoscalePolicy.enabled ? "on" : "off"}\n` +
+        formatAutoscalePolicy() + "\n\n";
+      if (plan.decisions.length === 0) {
+        output += "No changes to the pool.\n";
+      } else {
+        output += dry_run ? "WOULD:\n" : "CHANGES:\n";
+        for (const decision of plan.decisions) {
+          output += `  ${describeScalingDecision(decision)}\n`;
+        }
+      }
+      if (plan.holds.length > 0) {
+        output += "NOT SCALING:\n";
+        for (const hold of plan.holds) {
+          output += `  ${hold.taskId || hold.backend}: ${hold.reason}\n`;
+        }
+      }
+
+      return {
+        content: [{ type: "text", text: output }]
+      };
+    }
+
     case "list_agents": {
       const { status = "all" } = args;
       const filter = status === "all" ? null : status;
@@ -573,7 +2178,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           if (agent.currentTask) {
             output += `    Current Task: ${agent.currentTask}\n`;
           }
-          output += `    Last Seen: ${agent.lastSeen}\n`;
+          output += `    Last Seen: ${agent.lastSeen} (${formatAge(agent.lastSeen)} ago)\n`;
+          if (agent.health !== 'ok') {
+            output += `    Health: ${agent.health.toUpperCase()}\n`;
+          }
           output += "\n";
         }
       }
@@ -599,50 +2207,150 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             type: "text",
             text: `AGENT: ${agent_id}\n` +
               `Status: ${agent.status}\n` +
+              `Health: ${agent.health || 'ok'}` +
+              (agent.deathReason ? ` (${agent.deathReason})` : '') + `\n` +
               `Role: ${agent.role}\n` +
               `Type: ${agent.type}\n` +
               `Capabilities: ${(agent.capabilities || []).join(', ')}\n` +
               `Current Task: ${agent.currentTask || 'none'}\n` +
+              `Limits: ${formatLimits(agent.limits)}\n` +
+              `Tool Calls: ${agent.toolCalls || 0}${agent.currentTask ? ` (${agent.taskToolCalls || 0} on this task)` : ''}\n` +
+              (agent.exitReason ? `Exit Reason: ${agent.exitReason}\n` : '') +
               `Workspace: ${agent.workspace}\n` +
               `PID: ${agent.pid || 'unknown'}\n` +
-              `Process Running: ${agent.processRunning ? 'yes' : 'no'}\n` +
+              `Process Running: ${agent.processRunning ? 'yes' : 'no'}${agent.processReattached ? ' (re-attached after restart)' : ''}\n` +
               `Registered: ${agent.registeredAt}\n` +
-              `Last Seen: ${agent.lastSeen}`
+              `Last Seen: ${agent.lastSeen} (${formatAge(agent.lastSeen)} ago)`
           }
         ]
       };
     }
 
-    case "terminate_agent": {
-      const { agent_id } = args;
-      const result = terminateAgent(agent_id);
+    case "get_agent_output": {
+      const { agent_id, lines = 50, grep, include_rotated = false } = args;
+
+      let output;
+      try {
+        output = getAgentOutput(agent_id, { lines, grep, rotated: include_rotated });
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Failed to read output of ${agent_id}: ${e.message}` }],
+          isError: true
+        };
+      }
+
+      if (!output) {
+        return {
+          content: [{ type: "text", text: `Agent not found: ${agent_id}` }]
+        };
+      }
+      if (!output.exists) {
+        return {
+          content: [{ type: "text", text: `No output logged yet for ${agent_id} (${output.logFile})` }]
+        };
+      }
 
+      const header = grep
+        ? `OUTPUT OF ${agent_id} matching /${grep}/ (last ${output.lines.length} lines)`
+        : `OUTPUT OF ${agent_id} (last ${output.lines.length} lines)`;
       return {
         content: [
           {
             type: "text",
-            text: `Agent ${result.terminated} has been terminated.`
+            text: `${header}\nLog: ${output.logFile}\n${"=".repeat(60)}\n` +
+              (output.lines.join("\n") || "(no matching lines)")
           }
         ]
       };
     }
 
+    case "terminate_agent": {
+      const { agent_id, grace_seconds } = args;
+      const result = await terminateAgent(agent_id, {
+        ...(grace_seconds !== undefined ? { graceMs: grace_seconds * 1000 } : {}),
+      });
+
+      return {
+        content: [{ type: "text", text: describeTermination(result) }]
+      };
+    }
+
     case "broadcast_message": {
-      const { message, type = "info" } = args;
-      const result = broadcastMessage(message, type);
+      const { message, type = "info", roles = [], capabilities = [], backends = [], agent_ids = [] } = args;
+      const result = broadcastMessage(message, type, { roles, capabilities, backends, agentIds: agent_ids });
+
+      const skipped = result.skipped.length > 0
+        ? `\nSkipped: ${result.skipped.map(s => `${s.agentId} (${s.reason})`).join(', ')}`
+        : '';
+      if (result.recipients.length === 0) {
+        return {
+          content: [{ type: "text", text: `No live agent matches the target - nothing was sent.${skipped}` }]
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Broadcast sent!\n\nBroadcast ID: ${result.broadcastId}\n` +
+              `Delivered to ${result.recipients.length} agent(s): ${result.recipients.join(', ')}${skipped}\n` +
+              `Type: ${type}\nMessage: ${message}\n\n` +
+              `Use get_broadcast_receipts("${result.broadcastId}") to see who has read it.`
+          }
+        ]
+      };
+    }
+
+    case "get_broadcast_receipts": {
+      const { broadcast_id } = args;
+      const result = getBroadcastReceipts(broadcast_id || null);
+
+      if (!result) {
+        return {
+          content: [{ type: "text", text: broadcast_id ? `Broadcast not found: ${broadcast_id}` : "No broadcasts sent yet." }]
+        };
+      }
+
+      const read = result.receipts.filter(r => r.read);
+      const unread = result.receipts.filter(r => !r.read);
+      let output = `BROADCAST ${result.broadcastId} (${result.type}, sent ${formatAge(result.sentAt)} ago)\n` +
+        `${result.message}\n\n` +
+        `READ (${read.length}/${result.receipts.length}):\n` +
+        (read.map(r => `  ${r.agentId}${r.readAt ? ` - ${formatAge(r.readAt)} ago` : ''}`).join('\n') || '  none') + '\n';
+      if (unread.length > 0) {
+        output += `\nNOT READ YET (${unread.length}):\n` +
+          unread.map(r => `  ${r.agentId} (${r.agentStatus})`).join('\n') + '\n';
+      }
+      return {
+        content: [{ type: "text", text: output }]
+      };
+    }
+
+    case "veto_message": {
+      const { message_id, reason = "" } = args;
+      const result = vetoMessage(message_id, reason);
+
+      if (!result) {
+        return {
+          content: [{ type: "text", text: `No agent-to-agent message found with ID: ${message_id}` }]
+        };
+      }
 
       return {
         content: [
           {
             type: "text",
-            text: `Broadcast sent!\n\nBroadcast ID: ${result.broadcastId}\nRecipients: ${result.recipientCount} agents\nType: ${type}\nMessage: ${message}`
+            text: `Message vetoed: ${result.message.from} -> ${result.message.to}\n` +
+              (result.alreadyRead
+                ? "Note: the recipient had already read it."
+                : "The recipient will not see it.")
           }
         ]
       };
     }
 
     case "terminate_all": {
-      const { confirm } = args;
+      const { confirm, grace_seconds } = args;
 
       if (!confirm) {
         return {
@@ -650,21 +2358,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      const agents = listAgents();
-      let terminated = 0;
-
-      for (const agent of agents) {
-        if (agent.status !== 'terminated') {
-          terminateAgent(agent.id);
-          terminated++;
-        }
-      }
+      // All at once, so the grace periods run side by side
+      const agents = listAgents().filter(agent => agent.status !== 'terminated');
+      const results = await Promise.all(agents.map(agent => terminateAgent(agent.id, {
+        ...(grace_seconds !== undefined ? { graceMs: grace_seconds * 1000 } : {}),
+      })));
 
+      const saved = results.filter(r => r.wip);
       return {
         content: [
           {
             type: "text",
-            text: `Terminated ${terminated} agents.`
+            text: `Terminated ${results.length} agents.` +
+              (saved.length > 0
+                ? `\n\nUncommitted work saved:\n` + saved.map(r => `  ${r.wip.branch} (${r.wip.files.length} file(s))`).join('\n')
+                : '') +
+              (results.some(r => r.wipError)
+                ? `\n\nWARNINGS:\n` + results.filter(r => r.wipError).map(r => `  ${r.terminated}: ${r.wipError}`).join('\n')
+                : '')
           }
         ]
       };
@@ -676,7 +2387,61 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 });
 
 // Start server
+// Reaper, matcher, limit watchdog and autoscaler (the PM's pm-control only)
+function startBackgroundPasses() {
+  reattachProcesses();
+
+  setInterval(() => {
+    try {
+      pruneProcesses();
+      // Picks up agents spawned from the dashboard, for the reaper and the watchdog
+      reattachProcesses();
+      reapAgents();
+      for (const entry of agentProcesses.values()) {
+        rotateAgentLog(entry.workspace);
+      }
+    } catch (e) {
+      console.error(`Agent reaper failed: ${e.message}`);
+    }
+  }, REAPER_INTERVAL_MS).unref();
+
+  setInterval(() => {
+    if (!autoAssignEnabled) return;
+    try {
+      runAutoAssign();
+    } catch (e) {
+      console.error(`Auto-assign failed: ${e.message}`);
+    }
+  }, AUTO_ASSIGN_INTERVAL_MS).unref();
+
+  setInterval(() => {
+    try {
+      enforceLimits();
+    } catch (e) {
+      console.error(`Limit check failed: ${e.message}`);
+    }
+  }, LIMITS_CHECK_INTERVAL_MS).unref();
+
+  recordAutoscalerState();
+  // The next pass is scheduled once this one has finished
+  const scheduleAutoscale = () => setTimeout(async () => {
+    if (autoscalePolicy.enabled) {
+      try {
+        await autoscale();
+      } catch (e) {
+        console.error(`Autoscaler pass failed: ${e.message}`);
+      }
+    }
+    scheduleAutoscale();
+  }, AUTOSCALE_INTERVAL_MS).unref();
+  scheduleAutoscale();
+}
+
 async function main() {
+  if (BACKGROUND) {
+    startBackgroundPasses();
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("PM Control MCP Server running");
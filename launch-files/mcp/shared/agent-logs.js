@@ -0,0 +1,126 @@
+/**
+ * Per-agent output logs
+ * Each spawned agent writes stdout/stderr straight into
+ * <agent workspace>/.agent-logs/output.log, so its output outlives the PM
+ * server that spawned it. Logs are rotated copy-truncate style (the agent
+ * keeps its append-mode descriptor) into output.log.1 .. output.log.N.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+export const AGENT_LOG_DIRNAME = ".agent-logs";
+const LOG_FILENAME = "output.log";
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_KEEP = 3;
+
+export function agentLogFile(workspace) {
+  return path.join(workspace, AGENT_LOG_DIRNAME, LOG_FILENAME);
+}
+
+// Keep the logs out of the agent's commits when the workspace is a git
+// clone or worktree (worktrees share the main repository's exclude file)
+function excludeFromGit(workspace) {
+  // Not a git workspace (don't let rev-parse find an enclosing repository)
+  if (!fs.existsSync(path.join(workspace, ".git"))) return;
+
+  let excludeFile;
+  try {
+    excludeFile = path.resolve(workspace, execFileSync("git", ["rev-parse", "--git-path", "info/exclude"], {
+      cwd: workspace,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim());
+  } catch (e) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+
+  const entry = `/${AGENT_LOG_DIRNAME}/`;
+  const current = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, "utf-8") : "";
+  if (!current.split("\n").includes(entry)) {
+    fs.appendFileSync(excludeFile, (current && !current.endsWith("\n") ? "\n" : "") + entry + "\n");
+  }
+}
+
+// Open the log for a new agent process. Returns an append-mode fd to hand
+// to spawn() as stdout/stderr; the caller closes it once spawned.
+export function openAgentLog(workspace, header) {
+  const logFile = agentLogFile(workspace);
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  excludeFromGit(workspace);
+
+  const fd = fs.openSync(logFile, "a");
+  if (header) {
+    fs.writeSync(fd, `=== ${new Date().toISOString()} ${header} ===\n`);
+  }
+  return fd;
+}
+
+// Append an orchestrator note (spawn/exit/terminate) to the log
+export function appendAgentLog(workspace, note) {
+  try {
+    fs.appendFileSync(agentLogFile(workspace), `=== ${new Date().toISOString()} ${note} ===\n`);
+  } catch (e) {
+    // Workspace removed - nothing to record into
+  }
+}
+
+// Rotate once the log exceeds maxBytes. Copy + truncate rather than rename,
+// because the agent process still holds the original file open.
+export function rotateAgentLog(workspace, { maxBytes = DEFAULT_MAX_BYTES, keep = DEFAULT_KEEP } = {}) {
+  const logFile = agentLogFile(workspace);
+  let size;
+  try {
+    size = fs.statSync(logFile).size;
+  } catch (e) {
+    return false;
+  }
+  if (size <= maxBytes) return false;
+
+  for (let i = keep - 1; i >= 1; i--) {
+    const from = `${logFile}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${logFile}.${i + 1}`);
+  }
+  fs.copyFileSync(logFile, `${logFile}.1`);
+  fs.truncateSync(logFile, 0);
+  return true;
+}
+
+// Last `lines` lines of the log, optionally only those containing `grep`
+// (plain text, case-insensitive) or matching `pattern` (a RegExp, for
+// trusted callers only). With rotated=true the rotated files are searched
+// too, oldest first.
+export function readAgentLog(workspace, { lines = 100, grep = null, pattern = null, rotated = false } = {}) {
+  const logFile = agentLogFile(workspace);
+  const files = [logFile];
+  if (rotated) {
+    for (let i = 1; fs.existsSync(`${logFile}.${i}`); i++) {
+      files.unshift(`${logFile}.${i}`);
+    }
+  }
+
+  let all = [];
+  for (const file of files) {
+    try {
+      all = all.concat(fs.readFileSync(file, "utf-8").split("\n"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+  if (all.length > 0 && all[all.length - 1] === "") all.pop();
+
+  if (grep) {
+    const needle = grep.toLowerCase();
+    all = all.filter(line => line.toLowerCase().includes(needle));
+  }
+  if (pattern) {
+    all = all.filter(line => pattern.test(line));
+  }
+  return {
+    logFile,
+    exists: fs.existsSync(logFile),
+    lines: lines > 0 ? all.slice(-lines) : all,
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Orchestrator JSON Store
+ * Lock-safe read-modify-write access to the shared state files
+ * (outbox.json, inbox.json, status.json, agent_pool.json, ...)
+ *
+ * Every writer takes an advisory lock (<file>.lock, created with O_EXCL)
+ * before reading, so concurrent agents never overwrite each other's changes.
+ * Writes go to a unique temp file and are renamed into place, so readers
+ * never see a partially written file and don't need the lock.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+const LOCK_TIMEOUT_MS = 10000;  // give up acquiring a lock after this long
+const LOCK_STALE_MS = 30000;    // a lock older than this is considered abandoned
+const LOCK_RETRY_MS = 15;
+
+// Default contents for the known state files (mirrors init_messaging in lib/messages.sh)
+export const DEFAULTS = {
+  "outbox.json": { messages: [] },
+  "inbox.json": { messages: [] },
+  "status.json": { agents: {} },
+  "agent_pool.json": { agents: {} },
+  "task_queue.json": { tasks: [] },
+  "agent_processes.json": { agents: {} },
+  "autoscaler.json": { enabled: false, policy: null, lastRun: null, decisions: [] },
+};
+
+export class StoreError extends Error {
+  constructor(message, filePath) {
+    super(message);
+    this.name = "StoreError";
+    this.filePath = filePath;
+  }
+}
+
+export class LockTimeoutError extends StoreError {
+  constructor(filePath) {
+    super(`Timed out waiting for lock on ${filePath}`, filePath);
+    this.name = "LockTimeoutError";
+  }
+}
+
+export class CorruptFileError extends StoreError {
+  constructor(filePath, cause) {
+    super(`Cannot parse ${filePath}: ${cause.message}`, filePath);
+    this.name = "CorruptFileError";
+    this.cause = cause;
+  }
+}
+
+// Locks held by this process: lockPath -> depth (so nested updates don't deadlock)
+const heldLocks = new Map();
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function defaultsFor(filePath) {
+  return DEFAULTS[path.basename(filePath)] || {};
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+// A lock is stale if it is too old or its owner on this host has exited
+function isLockStale(lockPath) {
+  try {
+    const stat = fs.statSync(lockPath);
+    if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      return true;
+    }
+    const owner = JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+    return owner.host === os.hostname() && !isProcessAlive(owner.pid);
+  } catch (e) {
+    // Lock vanished or is still being written - not ours to break
+    return false;
+  }
+}
+
+// Move the stale lock aside first so only one breaker wins the race
+function breakLock(lockPath) {
+  const aside = `${lockPath}.stale-${crypto.randomUUID()}`;
+  try {
+    fs.renameSync(lockPath, aside);
+    fs.unlinkSync(aside);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+}
+
+function acquireLock(filePath) {
+  const lockPath = filePath + ".lock";
+  const depth = heldLocks.get(lockPath);
+  if (depth) {
+    heldLocks.set(lockPath, depth + 1);
+    return lockPath;
+  }
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        acquiredAt: new Date().toISOString()
+      }));
+      fs.closeSync(fd);
+      heldLocks.set(lockPath, 1);
+      return lockPath;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    if (isLockStale(lockPath)) {
+      breakLock(lockPath);
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new LockTimeoutError(filePath);
+    }
+    sleepSync(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+  }
+}
+
+function releaseLock(lockPath) {
+  const depth = heldLocks.get(lockPath);
+  if (depth > 1) {
+    heldLocks.set(lockPath, depth - 1);
+    return;
+  }
+  heldLocks.delete(lockPath);
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+}
+
+// Keep a corrupt file for inspection instead of overwriting it
+function quarantine(filePath) {
+  const backup = `${filePath}.corrupt-${Date.now()}`;
+  fs.renameSync(filePath, backup);
+  return backup;
+}
+
+// Run fn while holding the advisory lock for filePath
+export function withFileLock(filePath, fn) {
+  const lockPath = acquireLock(filePath);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+// Read a JSON state file. Missing files yield the defaults; unparsable
+// files throw CorruptFileError rather than silently looking empty.
+export function readJson(filePath, defaults = defaultsFor(filePath)) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return structuredClone(defaults);
+    throw e;
+  }
+
+  try {
+    return { ...structuredClone(defaults), ...JSON.parse(content) };
+  } catch (e) {
+    throw new CorruptFileError(filePath, e);
+  }
+}
+
+// Write a JSON file atomically (unique temp file + fsync + rename)
+export function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID().split("-")[0]}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Replace the whole file under the lock
+export function writeJson(filePath, data) {
+  withFileLock(filePath, () => writeJsonAtomic(filePath, data));
+}
+
+// Locked read-modify-write. The mutator edits the data in place and may
+// return a value, which is passed through. Nothing is written if the data
+// is unchanged. A corrupt file is moved aside and logged, then rebuilt
+// from the defaults.
+export function updateJson(filePath, mutator, defaults = defaultsFor(filePath)) {
+  return withFileLock(filePath, () => {
+    let data;
+    try {
+      data = readJson(filePath, defaults);
+    } catch (e) {
+      if (!(e instanceof CorruptFileError)) throw e;
+      const backup = quarantine(filePath);
+      console.error(`[store] ${e.message} - moved to ${backup}`);
+      data = structuredClone(defaults);
+    }
+
+    const before = JSON.stringify(data);
+    const result = mutator(data);
+    if (JSON.stringify(data) !== before) {
+      writeJsonAtomic(filePath, data);
+    }
+    return result;
+  });
+}
@@ -0,0 +1,249 @@
+/**
+ * Task queue
+ * One entry per task in task_queue.json, shared by pm-control (which queues,
+ * assigns, cancels and retries) and the agents' messaging servers (which
+ * claim and complete). Every state change is appended to the entry's
+ * history.
+ *
+ *   queued    waiting for any standby agent with the required capabilities
+ *   assigned  reserved for one agent, not yet picked up
+ *   accepted  an agent is working on it
+ *   completed | cancelled | failed   (failed = retries used up)
+ *
+ * A task taken off an agent mid-work is `heldBy` that agent until it has
+ * detached its worktree from the task branch; nobody can claim it till then.
+ * A task retried after its agent died waits until `retryAt` (a backoff that
+ * doubles with each attempt) before another agent can claim it.
+ */
+
+import path from "path";
+import crypto from "crypto";
+import { readJson, updateJson } from "./store.js";
+
+export const TASK_QUEUE_FILENAME = "task_queue.json";
+
+// Lower rank is served first
+export const PRIORITIES = { urgent: 0, high: 1, normal: 2, low: 3 };
+export const ACTIVE_STATES = ["queued", "assigned", "accepted"];
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+export class TaskQueueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TaskQueueError";
+  }
+}
+
+export function taskQueueFile(messagesDir) {
+  return path.join(messagesDir, TASK_QUEUE_FILENAME);
+}
+
+function rankOf(entry) {
+  return PRIORITIES[entry.priority] ?? PRIORITIES.normal;
+}
+
+// Highest priority first, then oldest
+function byPriority(a, b) {
+  return rankOf(a) - rankOf(b) || (a.queuedAt || "").localeCompare(b.queuedAt || "");
+}
+
+function checkPriority(priority) {
+  if (!(priority in PRIORITIES)) {
+    throw new TaskQueueError(`Unknown priority "${priority}" (use ${Object.keys(PRIORITIES).join(", ")})`);
+  }
+}
+
+// Move an entry to a new state and record it
+function transition(entry, state, { by, reason } = {}) {
+  const at = new Date().toISOString();
+  entry.history.push({ from: entry.state, to: state, at, by, ...(reason ? { reason } : {}) });
+  entry.state = state;
+  entry.updatedAt = at;
+}
+
+function activeEntry(queue, taskId) {
+  return queue.tasks.find(e => e.taskId === taskId && ACTIVE_STATES.includes(e.state));
+}
+
+// Entries, highest priority first. Filter by taskId, agentId or states.
+export function listTasks(messagesDir, { taskId, agentId, states } = {}) {
+  return readJson(taskQueueFile(messagesDir)).tasks
+    .filter(e => !taskId || e.taskId === taskId)
+    .filter(e => !agentId || e.agentId === agentId)
+    .filter(e => !states || states.includes(e.state))
+    .sort(byPriority);
+}
+
+export function getTask(messagesDir, taskId) {
+  return readJson(taskQueueFile(messagesDir)).tasks.find(e => e.taskId === taskId) || null;
+}
+
+// Queue a task, for one agent (agentId) or for whoever can take it.
+// A finished task can be queued again; its history carries on.
+export function enqueueTask(messagesDir, {
+  taskId, description, branch, type = "assigned", priority = "normal",
+  capabilities = [], agentId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, by = "pm", ...extra
+}) {
+  checkPriority(priority);
+
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    if (activeEntry(queue, taskId)) {
+      throw new TaskQueueError(`Task ${taskId} is already ${activeEntry(queue, taskId).state} - use reassign_task or cancel_task`);
+    }
+
+    let entry = queue.tasks.find(e => e.taskId === taskId);
+    if (!entry) {
+      entry = { id: crypto.randomUUID(), taskId, state: "new", history: [] };
+      queue.tasks.push(entry);
+    }
+    delete entry.retryAt;
+    Object.assign(entry, extra, {
+      agentId,
+      branch: branch || `feature/${taskId}`,
+      type,
+      description,
+      priority,
+      capabilities,
+      attempts: 0,
+      maxAttempts,
+      queuedAt: new Date().toISOString(),
+    });
+    transition(entry, agentId ? "assigned" : "queued", { by, reason: agentId ? `assigned to ${agentId}` : undefined });
+    return { ...entry };
+  });
+}
+
+// Claim the next task for an agent: one reserved for it, else the
+// highest-priority queued task it has the capabilities for
+export function claimNextTask(messagesDir, agentId, capabilities = []) {
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const now = new Date().toISOString();
+    // A held task's branch is still checked out by the agent it was taken from
+    const candidates = queue.tasks.filter(e => !e.heldBy && (
+      (e.state === "assigned" && e.agentId === agentId) ||
+      (e.state === "queued" && !(e.retryAt > now) && (e.capabilities || []).every(c => capabilities.includes(c)))));
+    if (candidates.length === 0) return null;
+
+    // Reserved tasks first, then by priority
+    candidates.sort((a, b) => (a.state === "assigned" ? 0 : 1) - (b.state === "assigned" ? 0 : 1) || byPriority(a, b));
+    const entry = candidates[0];
+    entry.agentId = agentId;
+    entry.attempts = (entry.attempts || 0) + 1;
+    entry.acceptedAt = new Date().toISOString();
+    transition(entry, "accepted", { by: agentId, reason: `attempt ${entry.attempts}` });
+    return { ...entry };
+  });
+}
+
+// Merge extra fields (e.g. workspaceSync) into a task's entry
+export function annotateTask(messagesDir, taskId, fields) {
+  updateJson(taskQueueFile(messagesDir), queue => {
+    const entry = queue.tasks.find(e => e.taskId === taskId);
+    if (entry) Object.assign(entry, fields);
+  });
+}
+
+export function completeTask(messagesDir, taskId, { by, reason } = {}) {
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const entry = queue.tasks.find(e => e.taskId === taskId && e.state === "accepted");
+    if (!entry) return null;
+    entry.completedAt = new Date().toISOString();
+    transition(entry, "completed", { by, reason });
+    return { ...entry };
+  });
+}
+
+// Cancel a task that is queued, assigned or being worked on. Returns the
+// entry as it was before (so the caller can tell its agent), or null.
+export function cancelTask(messagesDir, taskId, { by = "pm", reason } = {}) {
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const entry = activeEntry(queue, taskId);
+    if (!entry) return null;
+    const before = { ...entry };
+    transition(entry, "cancelled", { by, reason });
+    return before;
+  });
+}
+
+// Hand an active task to another agent, or back to the queue (agentId null).
+// Returns { entry, previousAgentId, wasAccepted }.
+export function reassignTask(messagesDir, taskId, agentId = null, { by = "pm", reason } = {}) {
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const entry = activeEntry(queue, taskId);
+    if (!entry) {
+      throw new TaskQueueError(`Task ${taskId} is not queued or in progress`);
+    }
+    const previousAgentId = entry.agentId;
+    const wasAccepted = entry.state === "accepted";
+    // Nobody can claim it until the previous agent has let go of the branch
+    // (releaseTaskHolds)
+    if (wasAccepted && previousAgentId) {
+      entry.heldBy = previousAgentId;
+    }
+    entry.agentId = agentId;
+    transition(entry, agentId ? "assigned" : "queued", {
+      by,
+      reason: reason || (agentId ? `reassigned to ${agentId}` : "returned to the queue"),
+    });
+    return { entry: { ...entry }, previousAgentId, wasAccepted };
+  });
+}
+
+export function setTaskPriority(messagesDir, taskId, priority, { by = "pm" } = {}) {
+  checkPriority(priority);
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const entry = activeEntry(queue, taskId);
+    if (!entry) {
+      throw new TaskQueueError(`Task ${taskId} is not queued or in progress`);
+    }
+    entry.history.push({ priority: { from: entry.priority, to: priority }, at: new Date().toISOString(), by });
+    entry.priority = priority;
+    return { ...entry };
+  });
+}
+
+// An agent has released a task's branch (or is gone): tasks taken from it
+// can be claimed again. Returns their task ids.
+export function releaseTaskHolds(messagesDir, agentId) {
+  return updateJson(taskQueueFile(messagesDir), queue => releaseHolds(queue, agentId));
+}
+
+function releaseHolds(queue, agentId) {
+  const released = [];
+  for (const entry of queue.tasks) {
+    if (entry.heldBy === agentId) {
+      delete entry.heldBy;
+      released.push(entry.taskId);
+    }
+  }
+  return released;
+}
+
+// An agent is gone: put its reserved and in-progress tasks back in the
+// queue, or fail those that have used up their attempts, and release the
+// tasks that were waiting for it to let go of their branch. An in-progress
+// task waits backoffSeconds (doubled for each attempt it has had) first.
+export function requeueAgentTasks(messagesDir, agentId, { by = "pm-control", reason, backoffSeconds = 0 } = {}) {
+  return updateJson(taskQueueFile(messagesDir), queue => {
+    const retried = [];
+    const failed = [];
+    const released = releaseHolds(queue, agentId);
+    for (const entry of queue.tasks) {
+      if (entry.agentId !== agentId || !["assigned", "accepted"].includes(entry.state)) continue;
+
+      if (entry.state === "accepted" && entry.attempts >= entry.maxAttempts) {
+        transition(entry, "failed", { by, reason: `${reason}; gave up after ${entry.attempts} attempts` });
+        failed.push({ ...entry });
+      } else {
+        if (entry.state === "accepted" && backoffSeconds > 0) {
+          const delayMs = backoffSeconds * 1000 * 2 ** Math.max(0, entry.attempts - 1);
+          entry.retryAt = new Date(Date.now() + delayMs).toISOString();
+        }
+        entry.agentId = null;
+        transition(entry, "queued", { by, reason });
+        retried.push({ ...entry });
+      }
+    }
+    return { retried, failed, released };
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * Conversation threads over the outbox/inbox message files
+ * Every message carries a threadId; a new conversation uses the id of its
+ * first message, and replies and follow-ups inherit the thread.
+ */
+
+import path from "path";
+import { readJson } from "./store.js";
+
+// Thread of a message, following replyTo for messages written before threadId existed
+function threadIdOf(message, byId, seen = new Set()) {
+  if (message.threadId) return message.threadId;
+  const parent = message.replyTo && byId.get(message.replyTo);
+  if (parent && !seen.has(parent.id)) {
+    seen.add(message.id);
+    return threadIdOf(parent, byId, seen);
+  }
+  return message.id;
+}
+
+// All messages from both files, keyed by id. Peer messages are stored in
+// both files with the same id; the outbox copy (with its status) wins.
+function loadMessages(messagesDir) {
+  const outbox = readJson(path.join(messagesDir, "outbox.json"));
+  const inbox = readJson(path.join(messagesDir, "inbox.json"));
+
+  const byId = new Map();
+  for (const m of inbox.messages) byId.set(m.id, m);
+  for (const m of outbox.messages) byId.set(m.id, m);
+  return byId;
+}
+
+// Resolve the thread a message belongs to (accepts a thread id or any message id)
+export function resolveThreadId(messagesDir, id) {
+  const byId = loadMessages(messagesDir);
+  const message = byId.get(id);
+  return message ? threadIdOf(message, byId) : id;
+}
+
+// Messages in a thread, oldest first. Accepts a thread id or any message id in it.
+export function getThread(messagesDir, id) {
+  const byId = loadMessages(messagesDir);
+  const start = byId.get(id);
+  const threadId = start ? threadIdOf(start, byId) : id;
+
+  const messages = [...byId.values()]
+    .filter(m => threadIdOf(m, byId) === threadId)
+    .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+
+  return { threadId, messages };
+}
+
+// Plain-text transcript of a thread for prompts and tool output
+export function formatThread(messages) {
+  return messages.map(m => {
+    const text = m.question || m.message || m.answer || m.summary || "";
+    return `[${m.timestamp}] ${m.from} -> ${m.to || "agent"}: ${text}`;
+  }).join("\n");
+}
@@ -0,0 +1,75 @@
+/**
+ * Change notifications for the shared state files
+ * Lets blocked tools wake up as soon as a file they wait on is rewritten,
+ * instead of re-reading it on a tight polling loop.
+ *
+ * The parent directory is watched rather than the file itself, because
+ * atomic writes replace the file (new inode) on every update. A slow poll
+ * runs alongside as a safety net; if fs.watch is unavailable (or
+ * ORCHESTRATOR_WATCH_MODE=poll) the poll runs at the old fast interval.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const POLL_INTERVAL_MS = 1000;         // polling fallback when watching is unavailable
+const SAFETY_POLL_INTERVAL_MS = 15000; // catches events fs.watch may drop
+const FORCE_POLLING = process.env.ORCHESTRATOR_WATCH_MODE === "poll";
+
+// Resolve with the first truthy value returned by check(), re-checking
+// whenever filePath changes. Resolves null after timeoutMs.
+export function waitForChange(filePath, check, timeoutMs) {
+  return new Promise(resolve => {
+    const dir = path.dirname(filePath);
+    const basename = path.basename(filePath);
+    let watcher = null;
+    let poller = null;
+    let timer = null;
+    let done = false;
+
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearInterval(poller);
+      if (watcher) watcher.close();
+      resolve(value);
+    };
+
+    const probe = () => {
+      if (done) return;
+      try {
+        const value = check();
+        if (value) finish(value);
+      } catch (e) {
+        console.error(`Error checking ${filePath}: ${e.message}`);
+      }
+    };
+
+    const startPolling = (intervalMs) => {
+      clearInterval(poller);
+      poller = setInterval(probe, intervalMs);
+    };
+
+    if (!FORCE_POLLING) {
+      try {
+        watcher = fs.watch(dir, (eventType, filename) => {
+          // filename can be missing on some platforms - re-check to be safe
+          if (!filename || filename === basename) probe();
+        });
+        watcher.on("error", (e) => {
+          console.error(`Watch on ${dir} failed (${e.message}), falling back to polling`);
+          watcher.close();
+          watcher = null;
+          startPolling(POLL_INTERVAL_MS);
+        });
+      } catch (e) {
+        watcher = null;
+      }
+    }
+
+    startPolling(watcher ? SAFETY_POLL_INTERVAL_MS : POLL_INTERVAL_MS);
+    timer = setTimeout(() => finish(null), timeoutMs);
+    probe();
+  });
+}
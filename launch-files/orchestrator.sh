@@ -320,15 +320,17 @@ create_project() {
     mkdir -p "$PROJECTS_DIR"
     mkdir -p "$WORKSPACE" "$AGENTS_DIR" "$STATUS_DIR" "$LOGS_DIR"
 
-    # Save project metadata
-    cat > "$PROJECT_DIR/project.json" << EOF
-{
-    "name": "$project_name",
-    "description": "$description",
-    "created": "$(date -Iseconds)",
-    "status": "active"
-}
-EOF
+    # Save project metadata (python escapes quotes in the description)
+    PROJECT_NAME="$project_name" DESCRIPTION="$description" CREATED="$(date -Iseconds)" \
+        python3 -c "
+import json, os
+json.dump({
+    'name': os.environ['PROJECT_NAME'],
+    'description': os.environ['DESCRIPTION'],
+    'created': os.environ['CREATED'],
+    'status': 'active',
+}, open('$PROJECT_DIR/project.json', 'w'), indent=4)
+"
 
     echo "$project_name"
 }
@@ -521,6 +523,10 @@ try:
             f.write(f"status: completed\n")
             f.write(f"summary: {summary}\n")
             f.write(f"files: {files_str}\n")
+            if c.get('commit'):
+                f.write(f"commit: {c['commit']}\n")
+            if c.get('handoff'):
+                f.write(f"handoff: {c['handoff']}\n")
 
         # Remove status file
         if os.path.exists(status_file):
@@ -801,6 +807,23 @@ case "${1:-}" in
     resume)
         resume_project "$2"
         ;;
+    create)
+        # Create a project without starting it (the web UI starts it with resume)
+        if [ -z "$2" ]; then
+            echo "Usage: $0 create \"Project description\""
+            exit 1
+        fi
+        create_project "$2"
+        ;;
+    merge)
+        # Merge a project's approved branches once, outside the main loop
+        if [ -z "$2" ] || [ ! -d "$PROJECTS_DIR/$2" ]; then
+            echo "Usage: $0 merge <project-name>"
+            exit 1
+        fi
+        set_project_paths "$2"
+        merge_approved_branches
+        ;;
     list)
         list_projects
         ;;
@@ -867,7 +890,9 @@ case "${1:-}" in
         echo ""
         echo -e "${BOLD}Commands:${NC}"
         echo "  start \"desc\"           Start a new project"
+        echo "  create \"desc\"          Create a project without starting it"
         echo "  resume [project]        Resume a project (interactive if no name)"
+        echo "  merge <project>         Merge the project's approved branches"
         echo "  list                    List all projects"
         echo "  status [project]        Show project status (list all if no name)"
         echo "  logs <project>          View latest session log"
@@ -1,10 +1,19 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
+import Login from './components/Login';
 import { useOrchestrator } from './context/OrchestratorContext';
 
 function App() {
-  const { connected, loading, error } = useOrchestrator();
+  const { connected, loading, error, user, authChecked } = useOrchestrator();
+
+  if (!authChecked) {
+    return <div className="min-h-screen bg-orchestrator-darker" />;
+  }
+
+  if (!user) {
+    return <Login />;
+  }
 
   if (error) {
     return (
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useOrchestrator } from '../context/OrchestratorContext';
+
+const MAX_LINES = 2000;
+
+function InfoRow({ label, value, mono, className = 'text-gray-300' }) {
+  if (!value && value !== 0) return null;
+  return (
+    <div className="flex gap-2 text-xs">
+      <span className="w-24 text-gray-500">{label}</span>
+      <span className={`${className} truncate ${mono ? 'font-mono' : ''}`} title={String(value)}>{value}</span>
+    </div>
+  );
+}
+
+// Resource limits pm-control enforces for the agent (see limits.js)
+function formatLimits(limits) {
+  if (!limits) return null;
+  const parts = [];
+  if (limits.timeoutSeconds) parts.push(`${limits.timeoutSeconds}s`);
+  if (limits.maxMemoryMb) parts.push(`${limits.maxMemoryMb} MB`);
+  if (limits.maxToolCalls) parts.push(`${limits.maxToolCalls} tool calls`);
+  return parts.join(' · ') || 'none';
+}
+
+export default function AgentDetail({ agentId, onClose }) {
+  const { pool, agents, fetchAgentLogs, subscribeAgentLogs } = useOrchestrator();
+  const [lines, setLines] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [appliedFilter, setAppliedFilter] = useState('');
+  const [error, setError] = useState(null);
+  const [follow, setFollow] = useState(true);
+  const logRef = useRef(null);
+
+  const agent = { ...pool[agentId], ...agents[agentId] };
+
+  // Initial tail, then live output appended as it arrives
+  useEffect(() => {
+    let cancelled = false;
+    let partial = '';
+    const needle = appliedFilter.toLowerCase();
+
+    fetchAgentLogs(agentId, { grep: appliedFilter }).then(data => {
+      if (cancelled) return;
+      setError(data.error || (data.exists === false ? 'No output logged yet' : null));
+      setLines(data.lines || []);
+    });
+
+    const unsubscribe = subscribeAgentLogs(agentId, (chunk) => {
+      const text = partial + chunk;
+      const complete = text.split('\n');
+      partial = complete.pop();
+      const fresh = needle ? complete.filter(line => line.toLowerCase().includes(needle)) : complete;
+      if (fresh.length > 0) {
+        setError(null);
+        setLines(prev => [...prev, ...fresh].slice(-MAX_LINES));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [agentId, appliedFilter, fetchAgentLogs, subscribeAgentLogs]);
+
+  useEffect(() => {
+    if (follow && logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [lines, follow]);
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white">{agentId}</h2>
+          <div className="text-sm text-gray-400">
+            {agent.role || 'agent'} · {agent.type || 'unknown'} · {agent.status || 'unknown'}
+            {agent.health && agent.health !== 'ok' && (
+              <span className="ml-2 text-yellow-400">({agent.health})</span>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 text-sm text-gray-300 bg-gray-800 hover:bg-gray-700 rounded"
+        >
+          Back to tasks
+        </button>
+      </div>
+
+      {/* Details */}
+      <div className="mb-4 p-3 bg-gray-800/50 rounded space-y-1">
+        <InfoRow label="Current task" value={agent.currentTask} />
+        <InfoRow label="Capabilities" value={agent.capabilities?.join(', ')} />
+        <InfoRow label="PID" value={agent.pid} mono />
+        <InfoRow label="Workspace" value={agent.workspace} mono />
+        <InfoRow label="Last seen" value={agent.lastSeen && new Date(agent.lastSeen).toLocaleString()} />
+        <InfoRow label="Limits" value={formatLimits(agent.limits)} />
+        <InfoRow label="Tool calls" value={agent.toolCalls} mono />
+        <InfoRow label="Exit code" value={agent.exitCode} mono />
+        <InfoRow
+          label="Exit reason"
+          value={agent.exitReason}
+          className={agent.limitViolation ? 'text-red-400' : 'text-gray-300'}
+        />
+        <InfoRow
+          label="Saved work"
+          value={agent.wip && `${agent.wip.branch} (${agent.wip.files.length} uncommitted file${agent.wip.files.length === 1 ? '' : 's'})`}
+          mono
+        />
+      </div>
+
+      {/* Log controls */}
+      <form
+        className="flex items-center gap-2 mb-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setAppliedFilter(filter.trim());
+        }}
+      >
+        <input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter output"
+          maxLength={200}
+          className="flex-1 px-2 py-1 text-sm bg-gray-900 border border-gray-700 rounded text-gray-200 focus:outline-none focus:border-blue-500"
+        />
+        <button type="submit" className="px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 rounded text-white">
+          Filter
+        </button>
+        <label className="flex items-center gap-1 text-xs text-gray-400">
+          <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} />
+          Follow
+        </label>
+      </form>
+
+      {/* Output */}
+      <div
+        ref={logRef}
+        className="flex-1 min-h-[300px] overflow-auto p-3 bg-black/60 rounded font-mono text-xs text-gray-300 whitespace-pre-wrap"
+      >
+        {error && lines.length === 0 ? (
+          <div className="text-gray-500">{error}</div>
+        ) : (
+          lines.map((line, i) => (
+            <div key={i} className={line.startsWith('=== ') ? 'text-blue-400' : ''}>
+              {line}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -9,14 +9,35 @@ const STATUS_COLORS = {
   completed: { bg: 'bg-gray-500', text: 'text-gray-400', label: 'Completed' },
   terminated: { bg: 'bg-red-500', text: 'text-red-400', label: 'Terminated' },
   assigned: { bg: 'bg-orange-500', text: 'text-orange-400', label: 'Assigned' },
+  blocked: { bg: 'bg-red-500', text: 'text-red-400', label: 'Blocked' },
+  dead: { bg: 'bg-gray-600', text: 'text-red-500', label: 'Dead' },
 };
 
-function AgentCard({ id, agent }) {
-  const status = agent.status || 'unknown';
+// Liveness reported by the pm-control reaper in agent_pool.json
+// (dead agents are shown through their status instead)
+const HEALTH_BADGES = {
+  unresponsive: { className: 'bg-yellow-900/50 text-yellow-400', label: 'No heartbeat' },
+};
+
+// ask_pm stages reported in status.json
+const WAIT_STAGE_LABELS = {
+  waiting_pm: 'Waiting for PM',
+  repinged_pm: 'Re-pinged PM',
+  escalated_user: 'Escalated to user',
+};
+
+function AgentCard({ id, agent, onSelect }) {
+  // status.json can still say active after the reaper declared the agent dead
+  const status = agent.health === 'dead' ? 'dead' : (agent.status || 'unknown');
+  const health = HEALTH_BADGES[agent.health];
   const statusConfig = STATUS_COLORS[status] || { bg: 'bg-gray-500', text: 'text-gray-400', label: status };
 
   return (
-    <div className="flex items-center gap-3 p-2 hover:bg-gray-800 rounded transition-colors">
+    <div
+      onClick={() => onSelect?.(id)}
+      className="flex items-center gap-3 p-2 hover:bg-gray-800 rounded transition-colors cursor-pointer"
+      title="Show details and output"
+    >
       {/* Status indicator */}
       <span className={`w-2 h-2 rounded-full ${statusConfig.bg} ${status === 'active' || status === 'running' ? 'animate-pulse' : ''}`} />
 
@@ -27,12 +48,33 @@ function AgentCard({ id, agent }) {
           <span className={`text-xs ${statusConfig.text}`}>
             {statusConfig.label}
           </span>
+          {health && (
+            <span
+              className={`px-1.5 py-0.5 text-xs rounded ${health.className}`}
+              title={agent.lastSeen ? `Last seen ${new Date(agent.lastSeen).toLocaleString()}` : undefined}
+            >
+              {health.label}
+            </span>
+          )}
         </div>
         {agent.currentTask && (
           <div className="text-xs text-gray-500 truncate">
             Task: {agent.currentTask}
           </div>
         )}
+        {status === 'terminated' && agent.exitReason && (
+          <div
+            className={`text-xs truncate ${agent.limitViolation ? 'text-red-400' : 'text-gray-500'}`}
+            title={agent.exitReason}
+          >
+            {agent.exitReason}
+          </div>
+        )}
+        {status === 'blocked' && WAIT_STAGE_LABELS[agent.details?.stage] && (
+          <div className="text-xs text-red-400 truncate">
+            {WAIT_STAGE_LABELS[agent.details.stage]}
+          </div>
+        )}
       </div>
 
       {/* Agent type badge */}
@@ -43,8 +85,48 @@ function AgentCard({ id, agent }) {
   );
 }
 
-export default function AgentPool() {
-  const { pool, agents } = useOrchestrator();
+// Pool autoscaler state from pm-control: policy, recent decisions and
+// the reasons it is holding back (limits reached, no capable backend)
+function AutoscalerStatus({ autoscaler }) {
+  const limits = Object.entries(autoscaler.policy?.limits || {})
+    .map(([backend, { min, max }]) => `${backend} ${min}-${max}`)
+    .join(', ');
+  const recent = autoscaler.decisions.slice(-3).reverse();
+  const holds = autoscaler.lastRun?.holds || [];
+
+  return (
+    <div className="px-4 py-2 border-t border-gray-800 text-xs space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-400">Autoscaler</span>
+        <span className={autoscaler.enabled ? 'text-green-400' : 'text-gray-500'}>
+          {autoscaler.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      {autoscaler.policy && (
+        <div className="text-gray-500 truncate" title={`Idle grace ${autoscaler.policy.idleGraceSeconds}s`}>
+          {limits || 'No limits set'} · max {autoscaler.policy.maxAgents}
+        </div>
+      )}
+      {recent.map((decision, i) => (
+        <div
+          key={`${decision.at}-${i}`}
+          className={`truncate ${decision.error ? 'text-red-400' : 'text-gray-400'}`}
+          title={decision.error || decision.reason}
+        >
+          {decision.action === 'spawn' ? '+' : '−'} {decision.agentId || decision.backend}: {decision.reason}
+        </div>
+      ))}
+      {holds.map((hold, i) => (
+        <div key={`hold-${i}`} className="text-yellow-500 truncate" title={hold.reason}>
+          Holding {hold.taskId || hold.backend}: {hold.reason}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function AgentPool({ onSelectAgent }) {
+  const { pool, agents, autoscaler } = useOrchestrator();
 
   // Merge pool and agents data
   const allAgents = { ...pool };
@@ -92,10 +174,12 @@ export default function AgentPool() {
           </div>
         ) : (
           agentList.map(([id, agent]) => (
-            <AgentCard key={id} id={id} agent={agent} />
+            <AgentCard key={id} id={id} agent={agent} onSelect={onSelectAgent} />
           ))
         )}
       </div>
+
+      {autoscaler && <AutoscalerStatus autoscaler={autoscaler} />}
     </div>
   );
 }
@@ -1,13 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useOrchestrator } from '../context/OrchestratorContext';
 import ProjectSelector from './ProjectSelector';
 import TaskBoard from './TaskBoard';
 import AgentPool from './AgentPool';
 import PMChat from './PMChat';
 import ActivityLog from './ActivityLog';
+import AgentDetail from './AgentDetail';
 
 export default function Dashboard() {
-  const { selectedProject, tasks, loading, messages, refreshData } = useOrchestrator();
+  const { selectedProject, tasks, loading, messages, refreshData, user, logout } = useOrchestrator();
+  const [selectedAgent, setSelectedAgent] = useState(null);
 
   // Calculate progress stats
   const totalTasks = tasks.length;
@@ -77,6 +79,18 @@ export default function Dashboard() {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
               </svg>
             </button>
+
+            {/* Signed-in user */}
+            <div className="flex items-center gap-2 pl-4 border-l border-gray-700 text-sm">
+              <span className="text-white">{user.name}</span>
+              <span className="px-1.5 py-0.5 bg-gray-800 text-gray-400 rounded text-xs">{user.role}</span>
+              <button
+                onClick={logout}
+                className="text-gray-400 hover:text-white text-xs"
+              >
+                Sign out
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -96,6 +110,8 @@ export default function Dashboard() {
                 <p className="text-gray-500">Select a project from the dropdown above</p>
               </div>
             </div>
+          ) : selectedAgent ? (
+            <AgentDetail agentId={selectedAgent} onClose={() => setSelectedAgent(null)} />
           ) : (
             <TaskBoard />
           )}
@@ -110,7 +126,7 @@ export default function Dashboard() {
 
           {/* Agent Pool */}
           <div className="h-48 border-b border-gray-800 overflow-hidden">
-            <AgentPool />
+            <AgentPool onSelectAgent={setSelectedAgent} />
           </div>
 
           {/* Activity Log */}
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { useOrchestrator } from '../context/OrchestratorContext';
+
+// Token sign-in; the server turns the token into a session cookie
+export default function Login() {
+  const { login } = useOrchestrator();
+  const [token, setToken] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+
+    setIsSubmitting(true);
+    const result = await login(token.trim());
+    if (!result.ok) {
+      setError(result.error);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-orchestrator-darker flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="w-80 bg-orchestrator-dark border border-gray-800 rounded-lg p-6 space-y-4">
+        <h1 className="text-xl font-bold text-white">Orchestrator</h1>
+        <p className="text-sm text-gray-400">
+          Sign in with your access token from <code className="text-gray-300">web-ui-users.json</code>.
+        </p>
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="Access token"
+          autoFocus
+          className="w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded text-sm text-white placeholder-gray-500 focus:outline-none focus:border-blue-500"
+          disabled={isSubmitting}
+        />
+        {error && <div className="text-xs text-red-400">{error}</div>}
+        <button
+          type="submit"
+          disabled={isSubmitting || !token.trim()}
+          className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 text-white text-sm rounded transition-colors"
+        >
+          {isSubmitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,10 +1,46 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { useOrchestrator } from '../context/OrchestratorContext';
 
-function MessageBubble({ message, onRespond }) {
+function senderLabel(entry) {
+  if (entry.from === 'user') return entry.respondedBy?.name || 'You';
+  if (entry.from === 'pm') return 'PM';
+  return entry.from || 'agent';
+}
+
+// One message in a thread: agents on the left, PM/user answers on the right
+function ConversationEntry({ entry }) {
+  const isReply = entry.from === 'pm' || entry.from === 'user';
+  const text = entry.question || entry.message || entry.answer || entry.summary;
+
+  return (
+    <div className={`flex ${isReply ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-[85%] rounded px-2 py-1.5 ${isReply ? 'bg-blue-900/40' : 'bg-gray-800'}`}>
+        <div className="text-[10px] text-gray-500 mb-0.5">{senderLabel(entry)}</div>
+        <div className="text-sm text-white whitespace-pre-wrap">{text}</div>
+      </div>
+    </div>
+  );
+}
+
+function ThreadCard({ thread, onRespond, canRespond }) {
+  const { fetchThread } = useOrchestrator();
   const [response, setResponse] = useState('');
   const [isResponding, setIsResponding] = useState(false);
   const [expanded, setExpanded] = useState(true);
+  const [conversation, setConversation] = useState(null);
+
+  // The message awaiting an answer (or the latest one once answered)
+  const message = thread.messages.find(m => !m.hasResponse) || thread.messages[thread.messages.length - 1];
+
+  // Load the full conversation (agent questions, PM answers, follow-ups)
+  useEffect(() => {
+    if (!expanded) return;
+    let cancelled = false;
+    fetchThread(thread.threadId).then(data => {
+      if (!cancelled && data) setConversation(data.messages);
+    });
+    return () => { cancelled = true; };
+  }, [expanded, thread.threadId, thread.messages.length, fetchThread]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -14,6 +50,8 @@ function MessageBubble({ message, onRespond }) {
     const success = await onRespond(message.id, response);
     if (success) {
       setResponse('');
+      const data = await fetchThread(thread.threadId);
+      if (data) setConversation(data.messages);
     }
     setIsResponding(false);
   };
@@ -38,6 +76,11 @@ function MessageBubble({ message, onRespond }) {
               BLOCKING
             </span>
           )}
+          {message.escalationReason === 'pm_unresponsive' && (
+            <span className="px-1.5 py-0.5 text-xs bg-orange-700 text-white rounded">
+              PM UNRESPONSIVE
+            </span>
+          )}
           {message.from && (
             <span className="text-xs text-gray-500">
               from {message.from}
@@ -63,13 +106,27 @@ function MessageBubble({ message, onRespond }) {
             </div>
           )}
 
-          {/* Question */}
-          <div className="text-sm text-white mb-3 whitespace-pre-wrap">
-            {message.question || message.message}
-          </div>
+          {/* Conversation */}
+          {conversation && conversation.length > 1 ? (
+            <div className="space-y-2 mb-3">
+              {conversation.map(entry => (
+                <ConversationEntry key={entry.id} entry={entry} />
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm text-white mb-3 whitespace-pre-wrap">
+              {message.question || message.message}
+            </div>
+          )}
+
+          {!message.hasResponse && !canRespond && (
+            <div className="text-xs text-gray-500">
+              Answering needs the responder role
+            </div>
+          )}
 
           {/* Response form */}
-          {!message.hasResponse && (
+          {!message.hasResponse && canRespond && (
             <form onSubmit={handleSubmit} className="space-y-2">
               <textarea
                 value={response}
@@ -116,7 +173,8 @@ function MessageBubble({ message, onRespond }) {
 }
 
 export default function PMChat() {
-  const { messages, respondToMessage } = useOrchestrator();
+  const { messages, respondToMessage, hasRole } = useOrchestrator();
+  const canRespond = hasRole('responder');
   const scrollRef = useRef(null);
 
   // Auto-scroll when new messages arrive
@@ -126,8 +184,25 @@ export default function PMChat() {
     }
   }, [messages.length]);
 
-  const pendingMessages = messages.filter(m => !m.hasResponse);
-  const respondedMessages = messages.filter(m => m.hasResponse);
+  // Group escalations into conversations
+  const threads = useMemo(() => {
+    const byThread = new Map();
+    for (const message of messages) {
+      const threadId = message.threadId || message.id;
+      if (!byThread.has(threadId)) {
+        byThread.set(threadId, { threadId, messages: [] });
+      }
+      byThread.get(threadId).messages.push(message);
+    }
+    for (const thread of byThread.values()) {
+      thread.messages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    }
+    return [...byThread.values()];
+  }, [messages]);
+
+  const pendingThreads = threads.filter(t => t.messages.some(m => !m.hasResponse));
+  const respondedThreads = threads.filter(t => t.messages.every(m => m.hasResponse));
+  const pendingCount = messages.filter(m => !m.hasResponse).length;
 
   return (
     <div className="h-full flex flex-col">
@@ -139,9 +214,9 @@ export default function PMChat() {
           </svg>
           PM Chat
         </h3>
-        {pendingMessages.length > 0 && (
+        {pendingCount > 0 && (
           <span className="px-2 py-0.5 bg-red-600 text-white text-xs rounded-full animate-pulse">
-            {pendingMessages.length}
+            {pendingCount}
           </span>
         )}
       </div>
@@ -160,17 +235,18 @@ export default function PMChat() {
           </div>
         ) : (
           <>
-            {/* Pending messages first */}
-            {pendingMessages.map(message => (
-              <MessageBubble
-                key={message.id}
-                message={message}
+            {/* Conversations waiting for an answer first */}
+            {pendingThreads.map(thread => (
+              <ThreadCard
+                key={thread.threadId}
+                thread={thread}
                 onRespond={respondToMessage}
+                canRespond={canRespond}
               />
             ))}
 
             {/* Separator if both types exist */}
-            {pendingMessages.length > 0 && respondedMessages.length > 0 && (
+            {pendingThreads.length > 0 && respondedThreads.length > 0 && (
               <div className="flex items-center gap-2 my-4 text-xs text-gray-600">
                 <div className="flex-1 h-px bg-gray-800" />
                 <span>Responded</span>
@@ -178,12 +254,13 @@ export default function PMChat() {
               </div>
             )}
 
-            {/* Responded messages */}
-            {respondedMessages.map(message => (
-              <MessageBubble
-                key={message.id}
-                message={message}
+            {/* Answered conversations */}
+            {respondedThreads.map(thread => (
+              <ThreadCard
+                key={thread.threadId}
+                thread={thread}
                 onRespond={respondToMessage}
+                canRespond={canRespond}
               />
             ))}
           </>
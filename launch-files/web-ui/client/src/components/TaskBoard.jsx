@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useOrchestrator } from '../context/OrchestratorContext';
 
 const STATUS_CONFIG = {
@@ -39,6 +39,88 @@ const STATUS_CONFIG = {
   },
 };
 
+const TEST_RESULT_ICONS = {
+  passed: { icon: '✓', color: 'text-green-400' },
+  failed: { icon: '✗', color: 'text-red-400' },
+  skipped: { icon: '–', color: 'text-gray-500' },
+};
+
+function HandoffList({ title, items, color = 'text-gray-300' }) {
+  if (!items?.length) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="text-gray-500 mb-1">{title}</div>
+      <ul className={`list-disc list-inside space-y-0.5 ${color}`}>
+        {items.map((item, i) => <li key={i}>{item}</li>)}
+      </ul>
+    </div>
+  );
+}
+
+function HandoffDetails({ taskId }) {
+  const { fetchHandoff } = useOrchestrator();
+  const [expanded, setExpanded] = useState(false);
+  const [handoff, setHandoff] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const toggle = async () => {
+    if (!expanded && !handoff) {
+      setLoading(true);
+      setHandoff(await fetchHandoff(taskId));
+      setLoading(false);
+    }
+    setExpanded(!expanded);
+  };
+
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-700 text-xs">
+      <button onClick={toggle} className="text-blue-400 hover:text-blue-300">
+        {expanded ? 'Hide handoff' : 'Show handoff'}
+      </button>
+
+      {expanded && loading && <div className="mt-2 text-gray-500">Loading...</div>}
+
+      {expanded && !loading && !handoff && (
+        <div className="mt-2 text-gray-500">Handoff not available</div>
+      )}
+
+      {expanded && handoff && (
+        <div className="mt-2 space-y-1">
+          {handoff.commitSha && (
+            <div className="text-gray-400">
+              Commit: <span className="font-mono text-gray-300">{handoff.commitSha.slice(0, 10)}</span>
+            </div>
+          )}
+
+          {handoff.tests?.length > 0 && (
+            <div className="mt-2">
+              <div className="text-gray-500 mb-1">Tests</div>
+              {handoff.tests.map((test, i) => {
+                const result = TEST_RESULT_ICONS[test.result] || TEST_RESULT_ICONS.skipped;
+                return (
+                  <div key={i} className="flex gap-2 font-mono">
+                    <span className={result.color}>{result.icon}</span>
+                    <span className="text-gray-300 break-all">{test.command}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <HandoffList title="Open TODOs" items={handoff.todos} />
+          <HandoffList title="Known risks" items={handoff.risks} color="text-yellow-400" />
+          <HandoffList
+            title="Suggested follow-ups"
+            items={handoff.followUps?.map(f => f.description ? `${f.title} - ${f.description}` : f.title)}
+            color="text-blue-300"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
 function TaskCard({ task }) {
   const status = task.currentStatus || task.status || 'pending';
   const config = STATUS_CONFIG[status] || STATUS_CONFIG.pending;
@@ -80,6 +162,8 @@ function TaskCard({ task }) {
           </span>
         </div>
       )}
+
+      {task.hasHandoff && <HandoffDetails taskId={task.id} />}
     </div>
   );
 }
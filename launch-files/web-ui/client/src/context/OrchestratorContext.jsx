@@ -1,15 +1,21 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import { useWebSocket } from '../hooks/useWebSocket';
 
 const OrchestratorContext = createContext(null);
 
+// Least to most privileged, as on the server
+const ROLES = ['viewer', 'responder', 'operator'];
+
 const initialState = {
+  user: null,
+  authChecked: false,
   connected: false,
   selectedProject: null,
   projects: [],
   tasks: [],
   agents: {},
   pool: {},
+  autoscaler: null,
   messages: [],
   logs: [],
   loading: true,
@@ -18,6 +24,9 @@ const initialState = {
 
 function reducer(state, action) {
   switch (action.type) {
+    case 'SET_USER':
+      return { ...state, user: action.payload, authChecked: true };
+
     case 'SET_CONNECTED':
       return { ...state, connected: action.payload };
 
@@ -30,6 +39,18 @@ function reducer(state, action) {
     case 'SET_TASKS':
       return { ...state, tasks: action.payload };
 
+    case 'SET_SNAPSHOT': {
+      const { tasks, agents, pool, autoscaler, messages, logs } = action.payload;
+      return { ...state, tasks, agents, pool, autoscaler, messages, logs, loading: false };
+    }
+
+    case 'ADD_TASK':
+      if (state.tasks.some(t => t.id === action.payload.id)) return state;
+      return { ...state, tasks: [...state.tasks, action.payload] };
+
+    case 'REMOVE_TASK':
+      return { ...state, tasks: state.tasks.filter(t => t.id !== action.payload) };
+
     case 'UPDATE_TASK': {
       const { taskId, updates } = action.payload;
       return {
@@ -46,22 +67,41 @@ function reducer(state, action) {
     case 'SET_POOL':
       return { ...state, pool: action.payload };
 
-    case 'UPDATE_POOL': {
+    case 'UPDATE_POOL_AGENT': {
+      const { agentId, changes, removed } = action.payload;
+      const { [agentId]: current, ...others } = state.pool;
+      if (removed) {
+        return { ...state, pool: others };
+      }
       return {
         ...state,
-        pool: { ...state.pool, ...action.payload },
+        pool: { ...others, [agentId]: { ...current, ...changes } },
       };
     }
 
+    case 'SET_AUTOSCALER':
+      return { ...state, autoscaler: action.payload };
+
     case 'SET_MESSAGES':
       return { ...state, messages: action.payload };
 
     case 'ADD_MESSAGE':
+      if (state.messages.some(m => m.id === action.payload.id)) return state;
       return {
         ...state,
         messages: [action.payload, ...state.messages],
       };
 
+    case 'UPDATE_MESSAGE': {
+      const { messageId, changes } = action.payload;
+      return {
+        ...state,
+        messages: state.messages.map(m =>
+          m.id === messageId ? { ...m, ...changes } : m
+        ),
+      };
+    }
+
     case 'REMOVE_MESSAGE':
       return {
         ...state,
@@ -91,20 +131,57 @@ function reducer(state, action) {
 export function OrchestratorProvider({ children }) {
   const [state, dispatch] = useReducer(reducer, initialState);
 
+  // Live agent output subscriptions: agentId -> { project, handlers }.
+  // Kept out of the reducer so streaming logs don't re-render the dashboard.
+  const logSubscriptions = useRef(new Map());
+  // The project whose events the server sends us
+  const subscribedProject = useRef(null);
+  // Where the event stream got to, to resume from after a reconnect
+  const stream = useRef({ epoch: null, lastSeq: null });
+
   // WebSocket connection
   const { sendMessage, isConnected } = useWebSocket({
+    enabled: !!state.user,
     onMessage: (event) => {
       console.log('WS Event:', event.type, event);
 
+      if (event.type === 'connected') {
+        stream.current.epoch = event.epoch;
+      } else if (event.seq !== undefined) {
+        stream.current.lastSeq = event.seq;
+      }
+
       switch (event.type) {
         case 'connected':
           dispatch({ type: 'SET_CONNECTED', payload: true });
           break;
 
-        case 'tasks:update':
-          if (!state.selectedProject || event.project === state.selectedProject) {
-            dispatch({ type: 'SET_TASKS', payload: event.tasks });
+        // Sent instead of replaying when we missed too much to catch up
+        case 'state:snapshot':
+          if (event.project === subscribedProject.current) {
+            dispatch({ type: 'SET_SNAPSHOT', payload: event });
+          }
+          break;
+
+        // tasks.json deltas
+        case 'task:added':
+          dispatch({
+            type: 'ADD_TASK',
+            payload: { ...event.task, currentStatus: event.task.status || 'pending', hasHandoff: false },
+          });
+          break;
+
+        case 'task:changed': {
+          const updates = { ...event.changes };
+          if (event.changes.status) {
+            updates.currentStatus = event.changes.status;
           }
+          dispatch({ type: 'UPDATE_TASK', payload: { taskId: event.taskId, updates } });
+          break;
+        }
+
+        case 'task:removed':
+          dispatch({ type: 'REMOVE_TASK', payload: event.taskId });
           break;
 
         case 'task:running':
@@ -131,14 +208,44 @@ export function OrchestratorProvider({ children }) {
           });
           break;
 
-        case 'pool:update':
-          dispatch({ type: 'UPDATE_POOL', payload: event.agents });
+        case 'task:handoff':
+          dispatch({
+            type: 'UPDATE_TASK',
+            payload: { taskId: event.taskId, updates: { hasHandoff: true } },
+          });
+          break;
+
+        case 'agent:changed':
+          dispatch({
+            type: 'UPDATE_POOL_AGENT',
+            payload: { agentId: event.agentId, changes: event.changes, removed: event.removed },
+          });
           break;
 
         case 'agents:status':
           dispatch({ type: 'SET_AGENTS', payload: event.agents });
           break;
 
+        case 'autoscaler:update': {
+          if (state.selectedProject && event.project !== state.selectedProject) break;
+          // Log the decisions made since the last update
+          const lastSeen = state.autoscaler?.decisions?.at(-1)?.at || '';
+          for (const decision of event.autoscaler.decisions.filter(d => d.at > lastSeen)) {
+            dispatch({
+              type: 'ADD_LOG',
+              payload: {
+                timestamp: decision.at,
+                level: decision.error ? 'ERROR' : 'INFO',
+                message: decision.action === 'spawn'
+                  ? `Autoscaler spawned ${decision.agentId || decision.backend}: ${decision.reason}`
+                  : `Autoscaler retired ${decision.agentId}: ${decision.reason}`,
+              },
+            });
+          }
+          dispatch({ type: 'SET_AUTOSCALER', payload: event.autoscaler });
+          break;
+        }
+
         case 'pm:question':
           dispatch({ type: 'ADD_MESSAGE', payload: event.message });
           break;
@@ -147,13 +254,50 @@ export function OrchestratorProvider({ children }) {
           dispatch({ type: 'REMOVE_MESSAGE', payload: event.messageId });
           break;
 
-        case 'agent:messages':
+        // A question stops waiting once it is answered (here or by the PM),
+        // times out or is vetoed
+        case 'message:changed':
+          if (event.box !== 'outbox') break;
+          if (event.awaitsUser) {
+            dispatch({ type: 'UPDATE_MESSAGE', payload: { messageId: event.messageId, changes: event.changes } });
+          } else {
+            dispatch({ type: 'REMOVE_MESSAGE', payload: event.messageId });
+          }
+          break;
+
+        case 'agent:log': {
+          const subscription = logSubscriptions.current.get(event.agentId);
+          if (subscription && subscription.project === event.project) {
+            subscription.handlers.forEach(handler => handler(event.chunk));
+          }
+          break;
+        }
+
+        case 'message:new': {
+          const { from, to, question, answer, message } = event.message;
+          const text = String(question || answer || message || '');
           dispatch({
             type: 'ADD_LOG',
             payload: {
               timestamp: event.timestamp,
               level: 'INFO',
-              message: `${event.messages.length} agent message(s) pending`,
+              message: `${from} → ${to}: ${text.length > 120 ? `${text.slice(0, 117)}...` : text}`,
+            },
+          });
+          break;
+        }
+
+        case 'project:subscribed':
+        case 'project:unsubscribed':
+          break;
+
+        case 'error':
+          dispatch({
+            type: 'ADD_LOG',
+            payload: {
+              timestamp: new Date().toISOString(),
+              level: 'ERROR',
+              message: `${event.event}: ${event.error}`,
             },
           });
           break;
@@ -164,17 +308,49 @@ export function OrchestratorProvider({ children }) {
     },
     onConnect: () => {
       dispatch({ type: 'SET_CONNECTED', payload: true });
+      // A new connection starts without subscriptions. Resume from the last
+      // event seen; the server replays what we missed or sends a snapshot.
+      if (subscribedProject.current) {
+        const { epoch, lastSeq } = stream.current;
+        sendMessage({
+          type: 'project:subscribe',
+          project: subscribedProject.current,
+          ...(lastSeq !== null && { lastSeq, epoch }),
+        });
+      }
+      for (const [agentId, { project }] of logSubscriptions.current) {
+        sendMessage({ type: 'agent:logs:subscribe', project, agentId });
+      }
     },
     onDisconnect: () => {
       dispatch({ type: 'SET_CONNECTED', payload: false });
     },
   });
 
-  // Fetch projects on mount
+  // fetch() that notices an expired session
+  const apiFetch = useCallback(async (url, options) => {
+    const res = await fetch(url, options);
+    if (res.status === 401) {
+      dispatch({ type: 'SET_USER', payload: null });
+    }
+    return res;
+  }, []);
+
+  // Check for an existing session on mount
   useEffect(() => {
-    fetchProjects();
+    fetch('/api/auth/me')
+      .then(res => (res.ok ? res.json() : { user: null }))
+      .then(data => dispatch({ type: 'SET_USER', payload: data.user }))
+      .catch(() => dispatch({ type: 'SET_USER', payload: null }));
   }, []);
 
+  // Fetch projects once signed in
+  useEffect(() => {
+    if (state.user) {
+      fetchProjects();
+    }
+  }, [state.user]);
+
   // Fetch project data when selected
   useEffect(() => {
     if (state.selectedProject) {
@@ -184,13 +360,13 @@ export function OrchestratorProvider({ children }) {
 
   const fetchProjects = useCallback(async () => {
     try {
-      const res = await fetch('/api/projects');
+      const res = await apiFetch('/api/projects');
       const data = await res.json();
       dispatch({ type: 'SET_PROJECTS', payload: data.projects || [] });
 
       // Auto-select first project if none selected
       if (data.projects?.length > 0 && !state.selectedProject) {
-        dispatch({ type: 'SELECT_PROJECT', payload: data.projects[0].name });
+        selectProject(data.projects[0].name);
       }
     } catch (e) {
       console.error('Failed to fetch projects:', e);
@@ -203,10 +379,10 @@ export function OrchestratorProvider({ children }) {
       dispatch({ type: 'SET_LOADING', payload: true });
 
       const [tasksRes, agentsRes, messagesRes, logsRes] = await Promise.all([
-        fetch(`/api/tasks?project=${projectName}`),
-        fetch(`/api/agents?project=${projectName}`),
-        fetch(`/api/messages?project=${projectName}&pending=true`),
-        fetch(`/api/logs?project=${projectName}&limit=50`),
+        apiFetch(`/api/tasks?project=${projectName}`),
+        apiFetch(`/api/agents?project=${projectName}`),
+        apiFetch(`/api/messages?project=${projectName}&pending=true`),
+        apiFetch(`/api/logs?project=${projectName}&limit=50`),
       ]);
 
       const [tasksData, agentsData, messagesData, logsData] = await Promise.all([
@@ -219,6 +395,7 @@ export function OrchestratorProvider({ children }) {
       dispatch({ type: 'SET_TASKS', payload: tasksData.tasks || [] });
       dispatch({ type: 'SET_AGENTS', payload: agentsData.status || {} });
       dispatch({ type: 'SET_POOL', payload: agentsData.pool || {} });
+      dispatch({ type: 'SET_AUTOSCALER', payload: agentsData.autoscaler || null });
       dispatch({ type: 'SET_MESSAGES', payload: messagesData.messages || [] });
       dispatch({ type: 'SET_LOGS', payload: logsData.logs || [] });
       dispatch({ type: 'SET_LOADING', payload: false });
@@ -228,13 +405,22 @@ export function OrchestratorProvider({ children }) {
     }
   }, []);
 
+  // Switch projects, moving the server-side event subscription along
   const selectProject = useCallback((projectName) => {
+    const previous = subscribedProject.current;
+    if (previous && previous !== projectName) {
+      sendMessage({ type: 'project:unsubscribe', project: previous });
+    }
+    if (projectName && projectName !== previous) {
+      sendMessage({ type: 'project:subscribe', project: projectName });
+    }
+    subscribedProject.current = projectName;
     dispatch({ type: 'SELECT_PROJECT', payload: projectName });
-  }, []);
+  }, [sendMessage]);
 
   const respondToMessage = useCallback(async (messageId, response) => {
     try {
-      const res = await fetch(`/api/messages/${messageId}/respond`, {
+      const res = await apiFetch(`/api/messages/${messageId}/respond`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -254,6 +440,96 @@ export function OrchestratorProvider({ children }) {
     }
   }, [state.selectedProject]);
 
+  const fetchHandoff = useCallback(async (taskId) => {
+    try {
+      const res = await apiFetch(`/api/tasks/${encodeURIComponent(taskId)}/handoff?project=${state.selectedProject}`);
+      if (!res.ok) {
+        return null;
+      }
+      const data = await res.json();
+      return data.handoff;
+    } catch (e) {
+      console.error('Failed to fetch handoff:', e);
+      return null;
+    }
+  }, [state.selectedProject]);
+
+  const fetchThread = useCallback(async (threadId) => {
+    try {
+      const res = await apiFetch(`/api/threads/${encodeURIComponent(threadId)}?project=${state.selectedProject}`);
+      if (!res.ok) {
+        return null;
+      }
+      return await res.json();
+    } catch (e) {
+      console.error('Failed to fetch thread:', e);
+      return null;
+    }
+  }, [state.selectedProject]);
+
+  const fetchAgentLogs = useCallback(async (agentId, { lines = 200, grep = '' } = {}) => {
+    try {
+      const params = new URLSearchParams({ project: state.selectedProject, lines: String(lines) });
+      if (grep) params.set('grep', grep);
+      const res = await apiFetch(`/api/agents/${encodeURIComponent(agentId)}/logs?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        return { lines: [], error: data.error };
+      }
+      return data;
+    } catch (e) {
+      console.error('Failed to fetch agent logs:', e);
+      return { lines: [], error: e.message };
+    }
+  }, [state.selectedProject]);
+
+  // Call onChunk with each piece of new output; returns an unsubscribe function
+  const subscribeAgentLogs = useCallback((agentId, onChunk) => {
+    const project = state.selectedProject;
+    let subscription = logSubscriptions.current.get(agentId);
+    if (!subscription) {
+      subscription = { project, handlers: new Set() };
+      logSubscriptions.current.set(agentId, subscription);
+      sendMessage({ type: 'agent:logs:subscribe', project, agentId });
+    }
+    subscription.handlers.add(onChunk);
+
+    return () => {
+      subscription.handlers.delete(onChunk);
+      if (subscription.handlers.size === 0) {
+        logSubscriptions.current.delete(agentId);
+        sendMessage({ type: 'agent:logs:unsubscribe', project, agentId });
+      }
+    };
+  }, [state.selectedProject, sendMessage]);
+
+  const login = useCallback(async (token) => {
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        return { ok: false, error: data.error };
+      }
+      dispatch({ type: 'SET_USER', payload: data.user });
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    dispatch({ type: 'SET_USER', payload: null });
+  }, []);
+
+  const hasRole = useCallback((role) => (
+    !!state.user && ROLES.indexOf(state.user.role) >= ROLES.indexOf(role)
+  ), [state.user]);
+
   const refreshData = useCallback(() => {
     if (state.selectedProject) {
       fetchProjectData(state.selectedProject);
@@ -263,8 +539,15 @@ export function OrchestratorProvider({ children }) {
   const value = {
     ...state,
     isConnected,
+    login,
+    logout,
+    hasRole,
     selectProject,
     respondToMessage,
+    fetchHandoff,
+    fetchThread,
+    fetchAgentLogs,
+    subscribeAgentLogs,
     refreshData,
     fetchProjects,
   };
@@ -1,12 +1,17 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 
-export function useWebSocket({ onMessage, onConnect, onDisconnect }) {
+// Connects while enabled (i.e. once signed in); the session cookie
+// authenticates the socket
+export function useWebSocket({ onMessage, onConnect, onDisconnect, enabled = true }) {
   const [isConnected, setIsConnected] = useState(false);
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
   const maxReconnectAttempts = 10;
   const baseReconnectDelay = 1000;
+  // Latest handlers, so new ones on each render don't reopen the socket
+  const handlersRef = useRef({ onMessage, onConnect, onDisconnect });
+  handlersRef.current = { onMessage, onConnect, onDisconnect };
 
   const connect = useCallback(() => {
     // Determine WebSocket URL
@@ -27,13 +32,13 @@ export function useWebSocket({ onMessage, onConnect, onDisconnect }) {
         console.log('WebSocket connected');
         setIsConnected(true);
         reconnectAttemptsRef.current = 0;
-        onConnect?.();
+        handlersRef.current.onConnect?.();
       };
 
       ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
-          onMessage?.(data);
+          handlersRef.current.onMessage?.(data);
         } catch (e) {
           console.error('Failed to parse WebSocket message:', e);
         }
@@ -43,10 +48,12 @@ export function useWebSocket({ onMessage, onConnect, onDisconnect }) {
         console.log('WebSocket closed:', event.code, event.reason);
         setIsConnected(false);
         wsRef.current = null;
-        onDisconnect?.();
+        handlersRef.current.onDisconnect?.();
 
-        // Attempt reconnection
-        if (reconnectAttemptsRef.current < maxReconnectAttempts) {
+        // Attempt reconnection (not when the server turned us away)
+        if (event.code === 4401) {
+          console.error('WebSocket rejected: not signed in');
+        } else if (reconnectAttemptsRef.current < maxReconnectAttempts) {
           const delay = baseReconnectDelay * Math.pow(2, reconnectAttemptsRef.current);
           console.log(`Reconnecting in ${delay}ms...`);
           reconnectTimeoutRef.current = setTimeout(() => {
@@ -64,9 +71,10 @@ export function useWebSocket({ onMessage, onConnect, onDisconnect }) {
     } catch (e) {
       console.error('Failed to create WebSocket:', e);
     }
-  }, [onMessage, onConnect, onDisconnect]);
+  }, []);
 
   useEffect(() => {
+    if (!enabled) return;
     connect();
 
     return () => {
@@ -77,7 +85,7 @@ export function useWebSocket({ onMessage, onConnect, onDisconnect }) {
         wsRef.current.close();
       }
     };
-  }, [connect]);
+  }, [connect, enabled]);
 
   const sendMessage = useCallback((message) => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
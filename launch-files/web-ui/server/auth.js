@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Roles, least to most privileged. Each role can do what the ones before it can.
+//   viewer     read the dashboard and stream agent output
+//   responder  also answer PM escalations
+//   operator   also use the write API (projects, agents, tasks, reviews, merges)
+export const ROLES = ['viewer', 'responder', 'operator'];
+
+// What each client-to-server WebSocket event needs
+export const CLIENT_EVENT_ROLES = {
+  'state:refresh': 'viewer',
+  'project:subscribe': 'viewer',
+  'project:unsubscribe': 'viewer',
+  'agent:logs:subscribe': 'viewer',
+  'agent:logs:unsubscribe': 'viewer',
+  'pm:respond': 'responder',
+};
+
+export const SESSION_COOKIE = 'orchestrator_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Helper to compare secrets without leaking their contents through timing
+function sameSecret(a, b) {
+  const given = Buffer.from(String(a));
+  const expected = Buffer.from(String(b));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Helper to read one cookie from a request
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Users come from WEB_UI_USERS_FILE (default RUNTIME_DIR/web-ui-users.json):
+//   { "users": [{ "name": "alice", "role": "operator", "token": "..." }] }
+// ORCHESTRATOR_API_TOKEN adds an operator named "api". With neither, an
+// operator "admin" with a random token is written to the file (owner-only).
+function loadUsers(RUNTIME_DIR) {
+  const usersFile = process.env.WEB_UI_USERS_FILE || path.join(RUNTIME_DIR, 'web-ui-users.json');
+  let users = [];
+
+  if (fs.existsSync(usersFile)) {
+    users = JSON.parse(fs.readFileSync(usersFile, 'utf-8')).users || [];
+  } else if (!process.env.ORCHESTRATOR_API_TOKEN) {
+    users = [{ name: 'admin', role: 'operator', token: crypto.randomBytes(24).toString('hex') }];
+    fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+    fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  }
+
+  if (process.env.ORCHESTRATOR_API_TOKEN) {
+    users.push({ name: 'api', role: 'operator', token: process.env.ORCHESTRATOR_API_TOKEN });
+  }
+
+  for (const user of users) {
+    if (!user.name || !user.token || !ROLES.includes(user.role)) {
+      throw new Error(`Invalid user in ${usersFile}: each needs a name, a token and a role (${ROLES.join(', ')})`);
+    }
+  }
+  return { users, usersFile };
+}
+
+export function createAuth({ RUNTIME_DIR, allowedOrigins }) {
+  const { users, usersFile } = loadUsers(RUNTIME_DIR);
+  // session id -> { user, expires }
+  const sessions = new Map();
+
+  function userForToken(token) {
+    if (!token) return null;
+    const user = users.find(u => sameSecret(token, u.token));
+    return user ? { name: user.name, role: user.role } : null;
+  }
+
+  function sessionUser(sessionId) {
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return session.user;
+  }
+
+  // Who is making the request: a bearer token, else the session cookie.
+  // WebSocket upgrades may also pass ?token= (browsers can't set headers there).
+  // Returns { user, via } or null.
+  function authenticate(req, { allowQueryToken = false } = {}) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+      const user = userForToken(bearer[1]);
+      return user ? { user, via: 'token' } : null;
+    }
+
+    if (allowQueryToken) {
+      const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+      if (token) {
+        const user = userForToken(token);
+        return user ? { user, via: 'token' } : null;
+      }
+    }
+
+    const user = sessionUser(readCookie(req, SESSION_COOKIE));
+    return user ? { user, via: 'session' } : null;
+  }
+
+  // A cookie is sent by whichever page opens the socket, so only trust it
+  // from the dashboard's own origins
+  function isAllowedOrigin(req) {
+    const { origin } = req.headers;
+    return !origin || allowedOrigins.includes(origin) || origin === `http://${req.headers.host}` ||
+      origin === `https://${req.headers.host}`;
+  }
+
+  function login(token) {
+    const user = userForToken(token);
+    if (!user) return null;
+    const sessionId = crypto.randomBytes(24).toString('hex');
+    sessions.set(sessionId, { user, expires: Date.now() + SESSION_TTL_MS });
+    return { sessionId, user, maxAge: SESSION_TTL_MS };
+  }
+
+  function logout(req) {
+    sessions.delete(readCookie(req, SESSION_COOKIE));
+  }
+
+  // Middleware: every request needs a user (sets req.user)
+  function requireUser(req, res, next) {
+    const auth = authenticate(req);
+    if (!auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = auth.user;
+    next();
+  }
+
+  return { usersFile, authenticate, isAllowedOrigin, login, logout, requireUser };
+}
+
+// Middleware: the user (set by requireUser) must have at least this role
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { ControlError } from './pmControl.js';
+
+// Runs orchestrator.sh for the dashboard: one-off commands (create, merge)
+// and detached project runs (resume), which are tracked per project so the
+// same project isn't started twice from here.
+export function createOrchestratorRunner({ LAUNCH_DIR, RUNTIME_DIR, PROJECTS_DIR, broadcast }) {
+  const script = path.join(LAUNCH_DIR, 'orchestrator.sh');
+  const env = { ...process.env, LAUNCH_DIR, RUNTIME_DIR };
+
+  // project -> { pid, command, startedAt, logFile }
+  const runs = new Map();
+  // project -> merge in flight
+  const merges = new Set();
+
+  // Run a command to completion, collecting its output
+  function run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('bash', [script, ...args], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', data => { stdout += data; });
+      child.stderr.on('data', data => { stderr += data; });
+      child.on('error', reject);
+      child.on('close', code => resolve({ code, stdout, stderr }));
+    });
+  }
+
+  async function createProject(description) {
+    const { code, stdout, stderr } = await run(['create', description]);
+    const name = stdout.trim().split('\n').pop();
+    if (code !== 0 || !name || !fs.existsSync(path.join(PROJECTS_DIR, name))) {
+      throw new Error(`orchestrator.sh create failed: ${(stderr || stdout).trim()}`);
+    }
+    return name;
+  }
+
+  // Run the main loop for a project in the background. Both 'start' and
+  // 'resume' run orchestrator.sh resume, which plans a project that has no
+  // tasks yet; command is only reported. Output goes to logs/orchestrator_web.log.
+  function startProject(project, command = 'resume') {
+    if (runs.has(project)) {
+      throw new ControlError(409, `The orchestrator is already running for ${project} (pid ${runs.get(project).pid})`);
+    }
+
+    const logsDir = path.join(PROJECTS_DIR, project, 'logs');
+    fs.mkdirSync(logsDir, { recursive: true });
+    const logFile = path.join(logsDir, 'orchestrator_web.log');
+    const logFd = fs.openSync(logFile, 'a');
+
+    let child;
+    try {
+      child = spawn('bash', [script, 'resume', project], {
+        env,
+        stdio: ['ignore', logFd, logFd],
+        detached: true,
+      });
+    } finally {
+      fs.closeSync(logFd);
+    }
+
+    const entry = { pid: child.pid, command, startedAt: new Date().toISOString(), logFile };
+    runs.set(project, entry);
+    child.on('exit', (code, signal) => {
+      runs.delete(project);
+      broadcast({
+        type: 'orchestrator:exited',
+        project,
+        code,
+        signal,
+        timestamp: new Date().toISOString()
+      });
+    });
+    child.unref();
+
+    broadcast({ type: 'orchestrator:started', project, command, pid: child.pid, timestamp: entry.startedAt });
+    return entry;
+  }
+
+  // Merge the project's approved branches; resolves when the merge is done
+  // (conflicts are handed to a resolution agent, so that can take a while)
+  function mergeApproved(project) {
+    if (merges.has(project)) {
+      throw new ControlError(409, `A merge is already running for ${project}`);
+    }
+    merges.add(project);
+
+    return run(['merge', project])
+      .then(({ code, stdout, stderr }) => {
+        const result = { code, output: (stdout + stderr).trim() };
+        broadcast({ type: 'orchestrator:merged', project, ...result, timestamp: new Date().toISOString() });
+        return result;
+      })
+      .finally(() => merges.delete(project));
+  }
+
+  function getRun(project) {
+    return runs.get(project) || null;
+  }
+
+  return { createProject, startProject, mergeApproved, getRun };
+}
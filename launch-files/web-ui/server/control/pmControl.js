@@ -0,0 +1,83 @@
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { readJson } from '../../../mcp/shared/store.js';
+
+export class ControlError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ControlError';
+    this.status = status;
+  }
+}
+
+// Drives a project's pm-control MCP server the way the PM does, so agents
+// spawned and tasks assigned from the dashboard go through the same pool,
+// worktrees, limits and task queue. The server is launched from the
+// project's pm-mcp-config.json (written by orchestrator.sh) and kept
+// running, one per project; it exits with the web server (agents, being
+// detached, keep running and the next pm-control reattaches them).
+//
+// The PM's own pm-control talks to the PM over stdio only, so the dashboard
+// can't reach it. Its instance runs with PM_CONTROL_BACKGROUND=false: no
+// reaper, limit watchdog, matcher or autoscaler of its own, and no writes
+// to autoscaler.json. The PM's pm-control adopts the agents it spawns from
+// the shared process registry, and it finds the PM's agents (to terminate
+// them) the same way.
+export function createPmControl() {
+  // statusDir -> Promise<Client>
+  const clients = new Map();
+
+  async function connect(statusDir) {
+    const config = readJson(path.join(statusDir, 'pm-mcp-config.json'), null);
+    const server = config?.mcpServers?.['pm-control'];
+    if (!server) {
+      throw new ControlError(409, 'Project has no pm-control config yet - start or resume it first');
+    }
+
+    const transport = new StdioClientTransport({
+      command: server.command,
+      args: server.args,
+      env: {
+        ...process.env,
+        ...server.env,
+        // Background passes belong to the PM's own pm-control
+        PM_CONTROL_BACKGROUND: 'false',
+        AUTO_ASSIGN: 'false',
+        AUTOSCALE: 'false',
+      },
+      stderr: 'ignore',
+    });
+    const client = new Client({ name: 'web-ui', version: '1.0.0' });
+    client.onclose = () => clients.delete(statusDir);
+    await client.connect(transport);
+    return client;
+  }
+
+  // Call a pm-control tool; returns its text. Tool errors become a 422.
+  async function callTool(statusDir, name, args = {}) {
+    if (!clients.has(statusDir)) {
+      const pending = connect(statusDir);
+      clients.set(statusDir, pending);
+      pending.catch(() => clients.delete(statusDir));
+    }
+
+    const client = await clients.get(statusDir);
+    let result;
+    try {
+      result = await client.callTool({ name, arguments: args });
+    } catch (e) {
+      // The tool threw (bad arguments, queue conflicts)
+      if (e instanceof McpError) throw new ControlError(422, e.message);
+      throw e;
+    }
+    const text = (result.content || []).map(c => c.text || '').join('\n');
+    if (result.isError) {
+      throw new ControlError(422, text);
+    }
+    return text;
+  }
+
+  return { callTool };
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+// Numbers every broadcast event and keeps the latest ones per project, so a
+// client that reconnects can ask for what it missed since the last `seq` it
+// saw. `epoch` changes when the server restarts (and the numbering with it).
+export function createEventLog({ size }) {
+  const epoch = crypto.randomBytes(6).toString('hex');
+  let seq = 0;
+  // project -> { events, evictedThrough }: the newest `size` events, and the
+  // seq of the newest one that was dropped to make room
+  const buffers = new Map();
+
+  // Give the event the next sequence number and remember it
+  function record(event) {
+    const numbered = { ...event, seq: ++seq };
+    if (!numbered.project) return numbered;
+
+    if (!buffers.has(numbered.project)) {
+      buffers.set(numbered.project, { events: [], evictedThrough: 0 });
+    }
+    const buffer = buffers.get(numbered.project);
+    buffer.events.push(numbered);
+    if (buffer.events.length > size) {
+      buffer.evictedThrough = buffer.events.shift().seq;
+    }
+    return numbered;
+  }
+
+  // A project's events after `lastSeq` ('*' for every project), oldest
+  // first. Null when some of them were already dropped or `lastSeq` is
+  // from another epoch: the caller needs a full snapshot instead.
+  function since(project, lastSeq, lastEpoch) {
+    if (lastEpoch !== epoch || !Number.isInteger(lastSeq) || lastSeq > seq) {
+      return null;
+    }
+
+    const selected = project === '*' ? [...buffers.values()] : [buffers.get(project)].filter(Boolean);
+    if (selected.some(buffer => buffer.evictedThrough > lastSeq)) {
+      return null;
+    }
+    return selected
+      .flatMap(buffer => buffer.events.filter(event => event.seq > lastSeq))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  return { epoch, record, since, latest: () => seq };
+}
@@ -2,27 +2,48 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import cors from 'cors';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { setupFileWatchers } from './watchers/fileWatcher.js';
+import { createAgentLogStreamer } from './watchers/agentLogs.js';
 import apiRoutes from './routes/api.js';
+import authRoutes from './routes/auth.js';
+import { createAuth, hasRole, CLIENT_EVENT_ROLES } from './auth.js';
+import { recordUserResponse, ResponseError } from './responses.js';
+import { createEventLog } from './eventLog.js';
+import { readProjectSnapshot } from './projectState.js';
+import { createPmControl } from './control/pmControl.js';
+import { createOrchestratorRunner } from './control/orchestrator.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Configuration
 const PORT = process.env.PORT || 3001;
+const LAUNCH_DIR = path.resolve(__dirname, '../..');
 const RUNTIME_DIR = process.env.RUNTIME_DIR || path.resolve(__dirname, '../../../runtime');
 const PROJECTS_DIR = path.join(RUNTIME_DIR, 'projects');
 
 // For backward compatibility, also support direct status dir
 const STATUS_DIR = process.env.STATUS_DIR || path.join(RUNTIME_DIR, 'status');
 
+// Origins the dashboard is served from (CORS, and cookie-authenticated WebSockets)
+const ALLOWED_ORIGINS = (process.env.WEB_UI_ORIGINS || 'http://localhost:3000')
+  .split(',').map(o => o.trim()).filter(Boolean);
+
+// Events kept per project for clients that reconnect
+const REPLAY_EVENTS = parseInt(process.env.WEB_UI_REPLAY_EVENTS || '500', 10);
+
 console.log('Configuration:');
 console.log('  RUNTIME_DIR:', RUNTIME_DIR);
 console.log('  PROJECTS_DIR:', PROJECTS_DIR);
 console.log('  STATUS_DIR:', STATUS_DIR);
 
+// Users, roles and sessions
+const auth = createAuth({ RUNTIME_DIR, allowedOrigins: ALLOWED_ORIGINS });
+console.log('  Users:', auth.usersFile);
+
 // Express app
 const app = express();
 const server = createServer(app);
@@ -33,8 +54,23 @@ const wss = new WebSocketServer({ server });
 // Connected clients
 const clients = new Set();
 
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
+// Numbered broadcast events, replayed to clients that resume
+const eventLog = createEventLog({ size: REPLAY_EVENTS });
+
+// Live agent output, per subscribed client
+const agentLogs = createAgentLogStreamer({ PROJECTS_DIR, STATUS_DIR, sendToClient });
+
+wss.on('connection', (ws, req) => {
+  const identity = auth.authenticate(req, { allowQueryToken: true });
+  if (!identity || (identity.via === 'session' && !auth.isAllowedOrigin(req))) {
+    ws.close(4401, 'Unauthorized');
+    return;
+  }
+
+  ws.user = identity.user;
+  // Projects whose events this client gets ('*' for all of them)
+  ws.projects = new Set();
+  console.log(`WebSocket client connected (${ws.user.name}, ${ws.user.role})`);
   clients.add(ws);
 
   ws.on('message', (message) => {
@@ -49,33 +85,160 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
     clients.delete(ws);
+    agentLogs.unsubscribeAll(ws);
   });
 
-  // Send initial state
-  ws.send(JSON.stringify({ type: 'connected', timestamp: new Date().toISOString() }));
+  // Send initial state (resume with this epoch and the last seq received)
+  ws.send(JSON.stringify({
+    type: 'connected',
+    user: ws.user,
+    epoch: eventLog.epoch,
+    seq: eventLog.latest(),
+    timestamp: new Date().toISOString()
+  }));
 });
 
 // Handle incoming WebSocket messages from clients
 function handleClientMessage(ws, data) {
   console.log('Received from client:', data.type);
 
+  const role = CLIENT_EVENT_ROLES[data.type];
+  if (role && !hasRole(ws.user, role)) {
+    sendToClient(ws, { type: 'error', event: data.type, error: `Requires the ${role} role` });
+    return;
+  }
+
   switch (data.type) {
     case 'state:refresh':
-      // Client requests full state refresh - handled by REST API
+      sendSnapshot(ws, data.project);
       break;
     case 'pm:respond':
-      // User responds to PM question - handled by messaging service
+      respondFromClient(ws, data);
+      break;
+    case 'project:subscribe':
+    case 'project:unsubscribe':
+      updateProjectSubscription(ws, data);
+      break;
+    case 'agent:logs:subscribe':
+      if (!isProjectName(data.project) || typeof data.agentId !== 'string') {
+        sendToClient(ws, { type: 'error', event: data.type, error: 'Valid project name and agentId required' });
+        break;
+      }
+      agentLogs.subscribe(ws, data.project, data.agentId);
+      break;
+    case 'agent:logs:unsubscribe':
+      agentLogs.unsubscribe(ws, data.project, data.agentId);
       break;
     default:
       console.log('Unknown message type:', data.type);
   }
 }
 
-// Broadcast to all connected clients
+// Helper to check a project name sent by a client ('*' allowed if wildcard)
+function isProjectName(project, { wildcard = false } = {}) {
+  return typeof project === 'string' && ((wildcard && project === '*') || /^[\w][\w.-]*$/.test(project));
+}
+
+// Start or stop sending a project's events to a client. A subscribe with
+// `lastSeq` and `epoch` (from a previous connection) resumes: the client gets
+// the events it missed, or a snapshot if they are no longer all buffered.
+function updateProjectSubscription(ws, { type, project, lastSeq, epoch }) {
+  if (!isProjectName(project, { wildcard: true })) {
+    sendToClient(ws, { type: 'error', event: type, error: 'Valid project name required' });
+    return;
+  }
+
+  let resumed = null;
+  if (type === 'project:subscribe') {
+    ws.projects.add(project);
+
+    if (lastSeq !== undefined) {
+      const missed = eventLog.since(project, lastSeq, epoch);
+      if (missed) {
+        missed.forEach(event => sendToClient(ws, event));
+        resumed = { replayed: missed.length };
+      } else if (project !== '*') {
+        sendSnapshot(ws, project);
+        resumed = { snapshot: true };
+      } else {
+        // No snapshot spans every project; the client refetches what it shows
+        resumed = { gap: true };
+      }
+    }
+  } else {
+    ws.projects.delete(project);
+  }
+
+  sendToClient(ws, {
+    type: type === 'project:subscribe' ? 'project:subscribed' : 'project:unsubscribed',
+    project,
+    projects: [...ws.projects],
+    seq: eventLog.latest(),
+    ...(resumed && { resumed }),
+  });
+}
+
+// Send a project's full dashboard state, current as of the latest seq
+function sendSnapshot(ws, project) {
+  if (!isProjectName(project)) {
+    sendToClient(ws, { type: 'error', event: 'state:refresh', error: 'Valid project name required' });
+    return;
+  }
+
+  try {
+    sendToClient(ws, {
+      type: 'state:snapshot',
+      project,
+      seq: eventLog.latest(),
+      ...readProjectSnapshot({ PROJECTS_DIR, STATUS_DIR }, project),
+      timestamp: new Date().toISOString()
+    });
+  } catch (e) {
+    console.error('Error building snapshot:', e);
+    sendToClient(ws, { type: 'error', event: 'state:refresh', error: e.message });
+  }
+}
+
+// User answers a PM question over the socket (same as POST /messages/:id/respond)
+function respondFromClient(ws, { project, messageId, response }) {
+  if (!project || !messageId || !response) {
+    sendToClient(ws, { type: 'error', event: 'pm:respond', error: 'project, messageId and response required' });
+    return;
+  }
+  if (!isProjectName(project)) {
+    sendToClient(ws, { type: 'error', event: 'pm:respond', error: 'Valid project name required' });
+    return;
+  }
+
+  const projectStatusDir = path.join(PROJECTS_DIR, project, 'status');
+  const statusDir = fs.existsSync(projectStatusDir) ? projectStatusDir : STATUS_DIR;
+
+  try {
+    const original = recordUserResponse(path.join(statusDir, 'messages'), messageId, response, ws.user);
+    broadcast({
+      type: 'user:response',
+      project,
+      messageId,
+      threadId: original.threadId || messageId,
+      respondedBy: ws.user.name,
+      timestamp: new Date().toISOString()
+    });
+  } catch (e) {
+    if (!(e instanceof ResponseError)) {
+      console.error('Error recording response:', e);
+    }
+    sendToClient(ws, { type: 'error', event: 'pm:respond', error: e.message });
+  }
+}
+
+// Number the event and broadcast it to the clients subscribed to its
+// project (events without a project go to everyone)
 export function broadcast(event) {
+  event = eventLog.record(event);
   const message = JSON.stringify(event);
   for (const client of clients) {
-    if (client.readyState === 1) { // WebSocket.OPEN
+    const subscribed = !event.project || client.projects.has(event.project) || client.projects.has('*');
+    if (subscribed && client.readyState === 1) { // WebSocket.OPEN
       client.send(message);
     }
   }
@@ -89,7 +252,7 @@ export function sendToClient(ws, event) {
 }
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: ALLOWED_ORIGINS, credentials: true }));
 app.use(express.json());
 
 // Make directories available to routes
@@ -98,8 +261,15 @@ app.locals.PROJECTS_DIR = PROJECTS_DIR;
 app.locals.STATUS_DIR = STATUS_DIR;
 app.locals.broadcast = broadcast;
 
-// API routes
-app.use('/api', apiRoutes);
+app.locals.auth = auth;
+
+// Write API: per-project pm-control clients, orchestrator.sh runs
+app.locals.pmControl = createPmControl();
+app.locals.orchestrator = createOrchestratorRunner({ LAUNCH_DIR, RUNTIME_DIR, PROJECTS_DIR, broadcast });
+
+// API routes (everything but logging in needs a user)
+app.use('/api/auth', authRoutes);
+app.use('/api', auth.requireUser, apiRoutes);
 
 // Serve React build in production
 if (process.env.NODE_ENV === 'production') {
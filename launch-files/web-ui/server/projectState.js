@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { readJson } from '../../mcp/shared/store.js';
+
+// Reads a project's dashboard state from its status directory. Shared by
+// the REST routes and the WebSocket snapshot sent when replay can't catch
+// a client up.
+
+// Helper to read JSON file safely (null if missing or unreadable)
+export function readJsonFile(filePath) {
+  try {
+    return readJson(filePath, null);
+  } catch (e) {
+    console.error(`Error reading ${filePath}:`, e.message);
+  }
+  return null;
+}
+
+// Helper to parse status files
+export function parseStatusFile(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const result = {};
+      for (const line of content.split('\n')) {
+        const [key, ...valueParts] = line.split(':');
+        if (key && valueParts.length) {
+          result[key.trim()] = valueParts.join(':').trim();
+        }
+      }
+      return result;
+    }
+  } catch (e) {
+    console.error(`Error parsing ${filePath}:`, e.message);
+  }
+  return null;
+}
+
+// A project's status directory, falling back to the legacy single status dir
+export function projectStatusDir({ PROJECTS_DIR, STATUS_DIR }, projectName) {
+  const projectStatusDir = path.join(PROJECTS_DIR, projectName, 'status');
+  if (fs.existsSync(projectStatusDir)) {
+    return projectStatusDir;
+  }
+  return STATUS_DIR;
+}
+
+// Handoff written by the messaging server on task_complete
+export function getHandoffFile(statusDir, taskId) {
+  return path.join(statusDir, 'messages', 'handoffs', `${taskId.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+}
+
+// Tasks from tasks.json, with their status taken from the marker files
+export function readTasks(statusDir) {
+  const tasksData = readJsonFile(path.join(statusDir, 'tasks.json'));
+
+  if (!tasksData) {
+    return { tasks: [] };
+  }
+
+  const tasks = (tasksData.tasks || []).map(task => {
+    const statusFile = path.join(statusDir, `${task.id}.status`);
+    const completedFile = path.join(statusDir, `${task.id}.completed`);
+    const approvedFile = path.join(statusDir, `${task.id}.approved`);
+
+    let currentStatus = task.status || 'pending';
+
+    if (fs.existsSync(approvedFile)) {
+      currentStatus = 'approved';
+    } else if (fs.existsSync(completedFile)) {
+      currentStatus = 'completed';
+    } else if (fs.existsSync(statusFile)) {
+      currentStatus = 'running';
+      const statusData = parseStatusFile(statusFile);
+      if (statusData) {
+        task.runningAgent = statusData.agent;
+        task.startedAt = statusData.started;
+      }
+    }
+
+    const hasHandoff = fs.existsSync(getHandoffFile(statusDir, task.id));
+
+    return { ...task, currentStatus, hasHandoff };
+  });
+
+  return { tasks, projectName: tasksData.project_name };
+}
+
+// Agent pool, agent status and autoscaler state
+export function readAgents(statusDir) {
+  const messagesDir = path.join(statusDir, 'messages');
+  const poolData = readJsonFile(path.join(messagesDir, 'agent_pool.json'));
+  const statusData = readJsonFile(path.join(messagesDir, 'status.json'));
+  // Written by pm-control
+  const autoscaler = readJsonFile(path.join(messagesDir, 'autoscaler.json'));
+
+  return {
+    pool: poolData?.agents || {},
+    status: statusData?.agents || {},
+    autoscaler
+  };
+}
+
+// PM escalations to the user, with whether (and how) they were answered
+export function readUserMessages(statusDir, { pending = false } = {}) {
+  const messagesDir = path.join(statusDir, 'messages');
+  const outbox = readJsonFile(path.join(messagesDir, 'outbox.json')) || { messages: [] };
+  const inbox = readJsonFile(path.join(messagesDir, 'inbox.json')) || { messages: [] };
+
+  let messages = (outbox.messages || []).filter(m => m.to === 'user' || m.escalatedToUser);
+
+  if (pending) {
+    messages = messages.filter(m => m.status === 'pending');
+  }
+
+  return messages.map(m => {
+    const response = inbox.messages?.find(r => r.replyTo === m.id);
+    return {
+      ...m,
+      threadId: m.threadId || m.id,
+      hasResponse: !!response,
+      response: response?.answer
+    };
+  });
+}
+
+// Newest entries from the last three orchestrator session logs
+export function readSessionLogs(logsDir, limit = 50) {
+  const logs = [];
+
+  try {
+    if (fs.existsSync(logsDir)) {
+      const logFiles = fs.readdirSync(logsDir)
+        .filter(f => f.startsWith('session_'))
+        .sort()
+        .reverse()
+        .slice(0, 3);
+
+      for (const logFile of logFiles) {
+        const content = fs.readFileSync(path.join(logsDir, logFile), 'utf-8');
+        const lines = content.split('\n').slice(-100); // Last 100 lines
+
+        for (const line of lines) {
+          const match = line.match(/^\[([^\]]+)\] \[([^\]]+)\] (.+)$/);
+          if (match) {
+            logs.push({
+              timestamp: match[1],
+              level: match[2],
+              message: match[3]
+            });
+          }
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Error reading logs:', e);
+  }
+
+  logs.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  return logs.slice(0, limit);
+}
+
+// Everything the dashboard loads when it opens a project
+export function readProjectSnapshot(dirs, projectName) {
+  const statusDir = projectStatusDir(dirs, projectName);
+  const agents = readAgents(statusDir);
+
+  return {
+    tasks: readTasks(statusDir).tasks,
+    agents: agents.status,
+    pool: agents.pool,
+    autoscaler: agents.autoscaler,
+    messages: readUserMessages(statusDir, { pending: true }),
+    logs: readSessionLogs(path.join(dirs.PROJECTS_DIR, projectName, 'logs')),
+  };
+}
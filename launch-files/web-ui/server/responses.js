@@ -0,0 +1,51 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { updateJson } from '../../mcp/shared/store.js';
+
+export class ResponseError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ResponseError';
+    this.status = status;
+  }
+}
+
+// Record a user's answer to a PM question: mark the outbox message
+// responded and add the answer to the inbox, continuing the question's
+// thread and naming who answered. Returns the question. Throws a
+// ResponseError (404) for a message that isn't a question to the user, or
+// (409) for one that was already answered.
+export function recordUserResponse(messagesDir, messageId, response, user) {
+  const outboxFile = path.join(messagesDir, 'outbox.json');
+  const inboxFile = path.join(messagesDir, 'inbox.json');
+  const respondedBy = { name: user.name, role: user.role };
+
+  const original = updateJson(outboxFile, outbox => {
+    const message = outbox.messages.find(m => m.id === messageId && (m.to === 'user' || m.escalatedToUser));
+    if (!message) {
+      throw new ResponseError(404, 'Message not found');
+    }
+    if (message.status !== 'pending') {
+      const by = message.respondedBy?.name ? ` by ${message.respondedBy.name}` : '';
+      throw new ResponseError(409, `Message was already answered${by}`);
+    }
+    message.status = 'responded';
+    message.respondedBy = respondedBy;
+    return { ...message };
+  });
+
+  updateJson(inboxFile, inbox => {
+    inbox.messages.push({
+      id: uuidv4(),
+      threadId: original.threadId || messageId,
+      replyTo: messageId,
+      from: 'user',
+      respondedBy,
+      answer: response,
+      timestamp: new Date().toISOString(),
+      read: false
+    });
+  });
+
+  return original;
+}
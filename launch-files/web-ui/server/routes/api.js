@@ -1,61 +1,23 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
+import { updateJson } from '../../../mcp/shared/store.js';
+import { getThread } from '../../../mcp/shared/threads.js';
+import { readAgentLog } from '../../../mcp/shared/agent-logs.js';
+import { getTask } from '../../../mcp/shared/task-queue.js';
+import { requireRole } from '../auth.js';
+import { recordUserResponse, ResponseError } from '../responses.js';
+import { ControlError } from '../control/pmControl.js';
+import {
+  readJsonFile, parseStatusFile, projectStatusDir, getHandoffFile,
+  readTasks, readAgents, readUserMessages, readSessionLogs
+} from '../projectState.js';
 
 const router = express.Router();
 
-// Helper to read JSON file safely
-function readJsonFile(filePath) {
-  try {
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    }
-  } catch (e) {
-    console.error(`Error reading ${filePath}:`, e.message);
-  }
-  return null;
-}
-
-// Helper to write JSON file atomically
-function writeJsonFile(filePath, data) {
-  const tmpPath = filePath + '.tmp';
-  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
-  fs.renameSync(tmpPath, filePath);
-}
-
-// Helper to parse status files
-function parseStatusFile(filePath) {
-  try {
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const result = {};
-      for (const line of content.split('\n')) {
-        const [key, ...valueParts] = line.split(':');
-        if (key && valueParts.length) {
-          result[key.trim()] = valueParts.join(':').trim();
-        }
-      }
-      return result;
-    }
-  } catch (e) {
-    console.error(`Error parsing ${filePath}:`, e.message);
-  }
-  return null;
-}
-
 // Get project status directory
 function getProjectStatusDir(req, projectName) {
-  const { PROJECTS_DIR, STATUS_DIR } = req.app.locals;
-
-  // Check if it's a project in the projects dir
-  const projectStatusDir = path.join(PROJECTS_DIR, projectName, 'status');
-  if (fs.existsSync(projectStatusDir)) {
-    return projectStatusDir;
-  }
-
-  // Fall back to legacy single status dir
-  return STATUS_DIR;
+  return projectStatusDir(req.app.locals, projectName);
 }
 
 // List all projects
@@ -127,39 +89,26 @@ router.get('/tasks', (req, res) => {
     return res.status(400).json({ error: 'project parameter required' });
   }
 
+  res.json(readTasks(getProjectStatusDir(req, project)));
+});
+
+// Get the structured handoff for a completed task
+router.get('/tasks/:id/handoff', (req, res) => {
+  const { project } = req.query;
+  const { id } = req.params;
+
+  if (!project) {
+    return res.status(400).json({ error: 'project parameter required' });
+  }
+
   const statusDir = getProjectStatusDir(req, project);
-  const tasksFile = path.join(statusDir, 'tasks.json');
-  const tasksData = readJsonFile(tasksFile);
-
-  if (!tasksData) {
-    return res.json({ tasks: [] });
-  }
-
-  // Enhance tasks with status from .status files
-  const tasks = (tasksData.tasks || []).map(task => {
-    const statusFile = path.join(statusDir, `${task.id}.status`);
-    const completedFile = path.join(statusDir, `${task.id}.completed`);
-    const approvedFile = path.join(statusDir, `${task.id}.approved`);
-
-    let currentStatus = task.status || 'pending';
-
-    if (fs.existsSync(approvedFile)) {
-      currentStatus = 'approved';
-    } else if (fs.existsSync(completedFile)) {
-      currentStatus = 'completed';
-    } else if (fs.existsSync(statusFile)) {
-      currentStatus = 'running';
-      const statusData = parseStatusFile(statusFile);
-      if (statusData) {
-        task.runningAgent = statusData.agent;
-        task.startedAt = statusData.started;
-      }
-    }
+  const handoff = readJsonFile(getHandoffFile(statusDir, id));
 
-    return { ...task, currentStatus };
-  });
+  if (!handoff) {
+    return res.status(404).json({ error: 'Handoff not found' });
+  }
 
-  res.json({ tasks, projectName: tasksData.project_name });
+  res.json({ handoff });
 });
 
 // Get agent pool status
@@ -170,63 +119,60 @@ router.get('/agents', (req, res) => {
     return res.status(400).json({ error: 'project parameter required' });
   }
 
-  const statusDir = getProjectStatusDir(req, project);
-  const messagesDir = path.join(statusDir, 'messages');
-
-  // Agent pool
-  const poolFile = path.join(messagesDir, 'agent_pool.json');
-  const poolData = readJsonFile(poolFile);
-
-  // Agent status
-  const statusFile = path.join(messagesDir, 'status.json');
-  const statusData = readJsonFile(statusFile);
-
-  res.json({
-    pool: poolData?.agents || {},
-    status: statusData?.agents || {}
-  });
+  res.json(readAgents(getProjectStatusDir(req, project)));
 });
 
-// Get messages (PM questions for user)
-router.get('/messages', (req, res) => {
-  const { project, pending } = req.query;
+// Longest text the log filter accepts
+const MAX_GREP_LENGTH = 200;
+
+// Get an agent's recent output (live updates come over the WebSocket).
+// `grep` is plain text, matched case-insensitively.
+router.get('/agents/:id/logs', (req, res) => {
+  const { project, lines = '200', grep, rotated } = req.query;
+  const { id } = req.params;
 
   if (!project) {
     return res.status(400).json({ error: 'project parameter required' });
   }
+  if (grep !== undefined && (typeof grep !== 'string' || grep.length > MAX_GREP_LENGTH)) {
+    return res.status(400).json({ error: `grep must be text of at most ${MAX_GREP_LENGTH} characters` });
+  }
 
   const statusDir = getProjectStatusDir(req, project);
-  const messagesDir = path.join(statusDir, 'messages');
-  const outboxFile = path.join(messagesDir, 'outbox.json');
-  const inboxFile = path.join(messagesDir, 'inbox.json');
+  const pool = readJsonFile(path.join(statusDir, 'messages', 'agent_pool.json'));
+  const workspace = pool?.agents?.[id]?.workspace;
 
-  const outbox = readJsonFile(outboxFile) || { messages: [] };
-  const inbox = readJsonFile(inboxFile) || { messages: [] };
+  if (!workspace) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
 
-  let messages = outbox.messages || [];
+  try {
+    const log = readAgentLog(workspace, {
+      lines: parseInt(lines, 10) || 200,
+      grep: grep || null,
+      rotated: rotated === 'true',
+    });
+    res.json({ agentId: id, ...log });
+  } catch (e) {
+    console.error(`Error reading the log of ${id}:`, e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  // Filter for user-directed messages (escalations from PM)
-  messages = messages.filter(m => m.to === 'user' || m.escalatedToUser);
+// Get messages (PM questions for user)
+router.get('/messages', (req, res) => {
+  const { project, pending } = req.query;
 
-  if (pending === 'true') {
-    messages = messages.filter(m => m.status === 'pending');
+  if (!project) {
+    return res.status(400).json({ error: 'project parameter required' });
   }
 
-  // Add response status
-  messages = messages.map(m => {
-    const response = inbox.messages?.find(r => r.replyTo === m.id);
-    return {
-      ...m,
-      hasResponse: !!response,
-      response: response?.answer
-    };
-  });
-
+  const messages = readUserMessages(getProjectStatusDir(req, project), { pending: pending === 'true' });
   res.json({ messages });
 });
 
 // User responds to PM question
-router.post('/messages/:id/respond', (req, res) => {
+router.post('/messages/:id/respond', requireRole('responder'), (req, res) => {
   const { id } = req.params;
   const { response, project } = req.body;
 
@@ -235,32 +181,16 @@ router.post('/messages/:id/respond', (req, res) => {
   }
 
   const statusDir = getProjectStatusDir(req, project);
-  const messagesDir = path.join(statusDir, 'messages');
-  const outboxFile = path.join(messagesDir, 'outbox.json');
-  const inboxFile = path.join(messagesDir, 'inbox.json');
-
-  // Update outbox message status
-  const outbox = readJsonFile(outboxFile) || { messages: [] };
-  const messageIdx = outbox.messages.findIndex(m => m.id === id);
-
-  if (messageIdx === -1) {
-    return res.status(404).json({ error: 'Message not found' });
-  }
-
-  outbox.messages[messageIdx].status = 'responded';
-  writeJsonFile(outboxFile, outbox);
-
-  // Add response to inbox
-  const inbox = readJsonFile(inboxFile) || { messages: [] };
-  inbox.messages.push({
-    id: uuidv4(),
-    replyTo: id,
-    from: 'user',
-    answer: response,
-    timestamp: new Date().toISOString(),
-    read: false
-  });
-  writeJsonFile(inboxFile, inbox);
+
+  let original;
+  try {
+    original = recordUserResponse(path.join(statusDir, 'messages'), id, response, req.user);
+  } catch (e) {
+    if (!(e instanceof ResponseError)) {
+      console.error('Error recording response:', e);
+    }
+    return res.status(e.status || 500).json({ error: e.message });
+  }
 
   // Broadcast update
   const { broadcast } = req.app.locals;
@@ -268,57 +198,47 @@ router.post('/messages/:id/respond', (req, res) => {
     type: 'user:response',
     project,
     messageId: id,
+    threadId: original.threadId || id,
+    respondedBy: req.user.name,
     timestamp: new Date().toISOString()
   });
 
   res.json({ success: true });
 });
 
-// Get activity log (recent events)
-router.get('/logs', (req, res) => {
-  const { project, limit = 50 } = req.query;
+// Get a conversation thread (by thread ID or any message ID in it)
+router.get('/threads/:id', (req, res) => {
+  const { project } = req.query;
+  const { id } = req.params;
 
   if (!project) {
     return res.status(400).json({ error: 'project parameter required' });
   }
 
-  const { PROJECTS_DIR } = req.app.locals;
-  const logsDir = path.join(PROJECTS_DIR, project, 'logs');
-
-  const logs = [];
+  const statusDir = getProjectStatusDir(req, project);
 
   try {
-    if (fs.existsSync(logsDir)) {
-      // Read session logs
-      const logFiles = fs.readdirSync(logsDir)
-        .filter(f => f.startsWith('session_'))
-        .sort()
-        .reverse()
-        .slice(0, 3); // Last 3 session logs
-
-      for (const logFile of logFiles) {
-        const content = fs.readFileSync(path.join(logsDir, logFile), 'utf-8');
-        const lines = content.split('\n').slice(-100); // Last 100 lines
-
-        for (const line of lines) {
-          const match = line.match(/^\[([^\]]+)\] \[([^\]]+)\] (.+)$/);
-          if (match) {
-            logs.push({
-              timestamp: match[1],
-              level: match[2],
-              message: match[3]
-            });
-          }
-        }
-      }
+    const thread = getThread(path.join(statusDir, 'messages'), id);
+    if (thread.messages.length === 0) {
+      return res.status(404).json({ error: 'Thread not found' });
     }
+    res.json(thread);
   } catch (e) {
-    console.error('Error reading logs:', e);
+    console.error('Error reading thread:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Get activity log (recent events)
+router.get('/logs', (req, res) => {
+  const { project, limit = 50 } = req.query;
+
+  if (!project) {
+    return res.status(400).json({ error: 'project parameter required' });
   }
 
-  // Sort by timestamp and limit
-  logs.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
-  res.json({ logs: logs.slice(0, parseInt(limit)) });
+  const { PROJECTS_DIR } = req.app.locals;
+  res.json({ logs: readSessionLogs(path.join(PROJECTS_DIR, project, 'logs'), parseInt(limit)) });
 });
 
 // Get orchestrator status (is it running?)
@@ -336,8 +256,275 @@ router.get('/orchestrator/status', (req, res) => {
   res.json({
     hasState: !!state,
     state: state || null,
+    // A run started from the dashboard (runs from a terminal aren't tracked)
+    run: req.app.locals.orchestrator.getRun(project),
     timestamp: new Date().toISOString()
   });
 });
 
+// ---------------------------------------------------------------------------
+// Write API - drives the orchestrator from the dashboard. Every route needs
+// the operator role. Agents and tasks go through the project's pm-control
+// server, projects and merges through orchestrator.sh, and reviews write the
+// same status files the PM's review does.
+// ---------------------------------------------------------------------------
+
+// Helper to resolve a project's directories for a write (404 if unknown)
+function getProjectDirs(req, projectName) {
+  const { PROJECTS_DIR } = req.app.locals;
+
+  if (!projectName || !/^[\w][\w.-]*$/.test(projectName)) {
+    throw new ControlError(400, 'Valid project name required');
+  }
+  const projectDir = path.join(PROJECTS_DIR, projectName);
+  if (!fs.existsSync(path.join(projectDir, 'status'))) {
+    throw new ControlError(404, 'Project not found');
+  }
+
+  return { projectDir, statusDir: path.join(projectDir, 'status') };
+}
+
+// Helper to validate a task id from the URL before it names a status file
+function getTaskId(req) {
+  const { id } = req.params;
+  if (!/^[\w][\w.-]*$/.test(id)) {
+    throw new ControlError(400, 'Valid task id required');
+  }
+  return id;
+}
+
+// Helper to report a failed write
+function sendError(res, e) {
+  if (!(e instanceof ControlError)) {
+    console.error('Write API error:', e);
+  }
+  res.status(e.status || 500).json({ error: e.message });
+}
+
+// Helper to call a pm-control tool for a project and reply with its text
+async function callPmControl(req, res, tool, args, status = 200) {
+  try {
+    const { statusDir } = getProjectDirs(req, req.body.project);
+    const result = await req.app.locals.pmControl.callTool(statusDir, tool, args);
+    res.status(status).json({ success: true, result });
+  } catch (e) {
+    sendError(res, e);
+  }
+}
+
+// The .completed marker for a task: <task>.completed from pooled agents,
+// <agent>.completed (with a "task:" line) from one-shot dispatch
+function findCompletedFile(statusDir, taskId) {
+  const direct = path.join(statusDir, `${taskId}.completed`);
+  if (fs.existsSync(direct)) return direct;
+
+  for (const file of fs.readdirSync(statusDir).filter(f => f.endsWith('.completed'))) {
+    const data = parseStatusFile(path.join(statusDir, file));
+    if (data?.task === taskId) return path.join(statusDir, file);
+  }
+  return null;
+}
+
+// Record a review decision next to the marker, like pm_review_completed
+function writeReview(markerFile, decision, reason, user) {
+  const reviewFile = markerFile.replace(/\.completed$/, '.review');
+  fs.writeFileSync(reviewFile, JSON.stringify({
+    decision,
+    reason: reason || `${decision === 'APPROVE' ? 'Approved' : 'Rejected'} from the web UI`,
+    reviewer: user.name,
+    timestamp: new Date().toISOString()
+  }, null, 2));
+}
+
+// Create a project (and optionally start it)
+router.post('/projects', requireRole('operator'), async (req, res) => {
+  const { description, start = false } = req.body;
+  const { orchestrator } = req.app.locals;
+
+  if (!description || !description.trim()) {
+    return res.status(400).json({ error: 'description required' });
+  }
+
+  try {
+    const name = await orchestrator.createProject(description.trim());
+    const run = start ? orchestrator.startProject(name, 'start') : null;
+    res.status(201).json({ success: true, name, run });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Start a project that hasn't been planned yet
+router.post('/projects/:name/start', requireRole('operator'), (req, res) => {
+  try {
+    const { statusDir } = getProjectDirs(req, req.params.name);
+    if (fs.existsSync(path.join(statusDir, 'tasks.json'))) {
+      throw new ControlError(409, 'Project has already been planned - resume it instead');
+    }
+    const run = req.app.locals.orchestrator.startProject(req.params.name, 'start');
+    res.status(202).json({ success: true, run });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Resume a project's main loop
+router.post('/projects/:name/resume', requireRole('operator'), (req, res) => {
+  try {
+    getProjectDirs(req, req.params.name);
+    const run = req.app.locals.orchestrator.startProject(req.params.name, 'resume');
+    res.status(202).json({ success: true, run });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Merge approved branches now (the result is broadcast as orchestrator:merged)
+router.post('/projects/:name/merge', requireRole('operator'), (req, res) => {
+  try {
+    const { statusDir } = getProjectDirs(req, req.params.name);
+    const approved = fs.readdirSync(statusDir)
+      .filter(f => f.endsWith('.approved'))
+      .map(f => parseStatusFile(path.join(statusDir, f))?.task || path.basename(f, '.approved'));
+    if (approved.length === 0) {
+      throw new ControlError(409, 'No approved tasks to merge');
+    }
+
+    req.app.locals.orchestrator.mergeApproved(req.params.name)
+      .catch(e => console.error(`Merge failed for ${req.params.name}:`, e));
+    res.status(202).json({ success: true, approved });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Spawn a persistent agent
+router.post('/agents', requireRole('operator'), (req, res) => {
+  const { role, type, capabilities, scenario, limits } = req.body;
+
+  if (!role || !type) {
+    return res.status(400).json({ error: 'role and type required' });
+  }
+
+  callPmControl(req, res, 'spawn_agent', { role, type, capabilities, scenario, limits }, 201);
+});
+
+// Terminate an agent (it gets the configured grace period unless graceSeconds is given)
+router.post('/agents/:id/terminate', requireRole('operator'), (req, res) => {
+  const { graceSeconds } = req.body;
+  callPmControl(req, res, 'terminate_agent', { agent_id: req.params.id, grace_seconds: graceSeconds });
+});
+
+// Assign a task to a standby agent
+router.post('/tasks/:id/assign', requireRole('operator'), (req, res) => {
+  const { agentId, description, branch, priority, limits } = req.body;
+
+  let id;
+  try {
+    id = getTaskId(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (!agentId) {
+    return res.status(400).json({ error: 'agentId required' });
+  }
+
+  // Default the description to the task's own from tasks.json
+  let taskDescription = description;
+  if (!taskDescription) {
+    try {
+      const { statusDir } = getProjectDirs(req, req.body.project);
+      const task = readJsonFile(path.join(statusDir, 'tasks.json'))?.tasks?.find(t => t.id === id);
+      taskDescription = task?.description || task?.title;
+    } catch (e) {
+      return sendError(res, e);
+    }
+  }
+  if (!taskDescription) {
+    return res.status(400).json({ error: 'description required for a task not in tasks.json' });
+  }
+
+  callPmControl(req, res, 'assign_task', {
+    agent_id: agentId,
+    task_id: id,
+    description: taskDescription,
+    branch,
+    priority,
+    limits
+  });
+});
+
+// Cancel a queued or in-progress task
+router.post('/tasks/:id/cancel', requireRole('operator'), (req, res) => {
+  let id;
+  try {
+    id = getTaskId(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  callPmControl(req, res, 'cancel_task', { task_id: id, reason: req.body.reason });
+});
+
+// Approve a completed task: <marker>.completed -> .approved, for the next merge
+router.post('/tasks/:id/approve', requireRole('operator'), (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const id = getTaskId(req);
+    const { statusDir } = getProjectDirs(req, req.body.project);
+    const completedFile = findCompletedFile(statusDir, id);
+    if (!completedFile) {
+      throw new ControlError(404, `Task ${id} has no completed work waiting for review`);
+    }
+
+    // merge_approved_branches needs the branch; pooled completions don't record it
+    let content = fs.readFileSync(completedFile, 'utf-8');
+    if (!parseStatusFile(completedFile)?.branch) {
+      const tasksData = readJsonFile(path.join(statusDir, 'tasks.json'));
+      const branch = getTask(path.join(statusDir, 'messages'), id)?.branch ||
+        tasksData?.tasks?.find(t => t.id === id)?.branch ||
+        `feature/${id}`;
+      content = content.replace(/\n?$/, `\nbranch: ${branch}\n`);
+    }
+
+    const approvedFile = completedFile.replace(/\.completed$/, '.approved');
+    fs.writeFileSync(approvedFile, content);
+    fs.unlinkSync(completedFile);
+    writeReview(completedFile, 'APPROVE', reason, req.user);
+
+    res.json({ success: true, approved: path.basename(approvedFile) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Reject a completed task: drop the marker and mark the task failed
+router.post('/tasks/:id/reject', requireRole('operator'), (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const id = getTaskId(req);
+    const { statusDir } = getProjectDirs(req, req.body.project);
+    const completedFile = findCompletedFile(statusDir, id);
+    if (!completedFile) {
+      throw new ControlError(404, `Task ${id} has no completed work waiting for review`);
+    }
+
+    fs.unlinkSync(completedFile);
+    writeReview(completedFile, 'REJECT', reason, req.user);
+
+    const tasksFile = path.join(statusDir, 'tasks.json');
+    if (fs.existsSync(tasksFile)) {
+      updateJson(tasksFile, tasksData => {
+        const task = tasksData.tasks?.find(t => t.id === id);
+        if (task) task.status = 'failed';
+      });
+    }
+
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
 export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { SESSION_COOKIE } from '../auth.js';
+
+const router = express.Router();
+
+// Exchange a user's token for a session cookie
+router.post('/login', (req, res) => {
+  const { auth } = req.app.locals;
+  const session = auth.login(req.body.token);
+
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  res.cookie(SESSION_COOKIE, session.sessionId, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: session.maxAge,
+  });
+  res.json({ user: session.user });
+});
+
+router.post('/logout', (req, res) => {
+  req.app.locals.auth.logout(req);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Who the current token or session belongs to
+router.get('/me', (req, res) => {
+  const auth = req.app.locals.auth.authenticate(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  res.json({ user: auth.user });
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { readJson } from '../../../mcp/shared/store.js';
+import { agentLogFile } from '../../../mcp/shared/agent-logs.js';
+
+const POLL_INTERVAL_MS = 500;
+const MAX_CHUNK_BYTES = 64 * 1024;
+
+// Streams new agent log output to the WebSocket clients that subscribed to it.
+// Clients fetch the existing tail from /api/agents/:id/logs first; from then
+// on they get 'agent:log' events with only the appended text.
+export function createAgentLogStreamer({ PROJECTS_DIR, STATUS_DIR, sendToClient }) {
+  // "<project>/<agentId>" -> { logFile, offset, decoder, clients }
+  const streams = new Map();
+
+  function findWorkspace(project, agentId) {
+    const projectStatusDir = path.join(PROJECTS_DIR, project, 'status');
+    const statusDir = fs.existsSync(projectStatusDir) ? projectStatusDir : STATUS_DIR;
+    try {
+      const pool = readJson(path.join(statusDir, 'messages', 'agent_pool.json'));
+      return pool.agents[agentId]?.workspace || null;
+    } catch (e) {
+      console.error(`Error reading agent pool for ${project}:`, e.message);
+      return null;
+    }
+  }
+
+  function sizeOf(file) {
+    try {
+      return fs.statSync(file).size;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  // Stop a stream for every client, telling them why
+  function end(key, reason) {
+    const stream = streams.get(key);
+    if (!stream) return;
+
+    fs.unwatchFile(stream.logFile);
+    streams.delete(key);
+    for (const ws of stream.clients) {
+      sendToClient(ws, { type: 'agent:log:error', project: stream.project, agentId: stream.agentId, error: reason });
+    }
+  }
+
+  // Send whatever was appended since the last read
+  function pump(key) {
+    const stream = streams.get(key);
+    if (!stream) return;
+
+    const size = sizeOf(stream.logFile);
+    if (size < stream.offset) {
+      // Rotated (copy-truncate) - start over from the top of the new file
+      stream.offset = 0;
+      stream.decoder = new StringDecoder('utf8');
+    }
+    if (size === stream.offset) return;
+
+    const length = Math.min(size - stream.offset, MAX_CHUNK_BYTES);
+    const buffer = Buffer.alloc(length);
+    let read;
+    try {
+      const fd = fs.openSync(stream.logFile, 'r');
+      try {
+        read = fs.readSync(fd, buffer, 0, length, stream.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      // Moved aside (the agent's worktree was removed) between stat and read
+      if (e.code === 'ENOENT') {
+        end(key, 'Log file was removed');
+      } else {
+        console.error(`Error reading ${stream.logFile}:`, e.message);
+      }
+      return;
+    }
+    stream.offset += read;
+
+    // The decoder holds back a multibyte character split across chunks
+    const chunk = stream.decoder.write(buffer.subarray(0, read));
+    if (chunk) {
+      const event = {
+        type: 'agent:log',
+        project: stream.project,
+        agentId: stream.agentId,
+        chunk,
+        timestamp: new Date().toISOString(),
+      };
+      for (const ws of stream.clients) {
+        sendToClient(ws, event);
+      }
+    }
+
+    // More than one chunk behind - keep going
+    if (stream.offset < size) {
+      setImmediate(() => pump(key));
+    }
+  }
+
+  function subscribe(ws, project, agentId) {
+    const key = `${project}/${agentId}`;
+    let stream = streams.get(key);
+
+    if (!stream) {
+      const workspace = findWorkspace(project, agentId);
+      if (!workspace) {
+        sendToClient(ws, { type: 'agent:log:error', project, agentId, error: 'Agent not found' });
+        return;
+      }
+      const logFile = agentLogFile(workspace);
+      stream = { project, agentId, logFile, offset: sizeOf(logFile), decoder: new StringDecoder('utf8'), clients: new Set() };
+      streams.set(key, stream);
+      // watchFile polls stat(), so it copes with the file not existing yet and
+      // with truncation. A log that existed and is gone won't come back.
+      fs.watchFile(logFile, { interval: POLL_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs === 0 && previous.mtimeMs !== 0) {
+          end(key, 'Log file was removed');
+        } else {
+          pump(key);
+        }
+      });
+    }
+    stream.clients.add(ws);
+  }
+
+  function unsubscribe(ws, project, agentId) {
+    const key = `${project}/${agentId}`;
+    const stream = streams.get(key);
+    if (!stream) return;
+
+    stream.clients.delete(ws);
+    if (stream.clients.size === 0) {
+      fs.unwatchFile(stream.logFile);
+      streams.delete(key);
+    }
+  }
+
+  // Drop every subscription of a disconnected client
+  function unsubscribeAll(ws) {
+    for (const stream of [...streams.values()]) {
+      if (stream.clients.has(ws)) {
+        unsubscribe(ws, stream.project, stream.agentId);
+      }
+    }
+  }
+
+  return { subscribe, unsubscribe, unsubscribeAll };
+}
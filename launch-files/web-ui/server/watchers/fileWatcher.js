@@ -2,12 +2,17 @@ import chokidar from 'chokidar';
 import fs from 'fs';
 import path from 'path';
 
-// Debounce helper to prevent rapid-fire events
-function debounce(fn, delay) {
-  let timeout;
+// Debounce helper to prevent rapid-fire events. Timers are kept per key
+// (the file path), so a burst on one file can't swallow another file's change.
+function debounce(fn, delay, keyOf = (...args) => args[1]) {
+  const timeouts = new Map();
   return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => fn(...args), delay);
+    const key = keyOf(...args);
+    clearTimeout(timeouts.get(key));
+    timeouts.set(key, setTimeout(() => {
+      timeouts.delete(key);
+      fn(...args);
+    }, delay));
   };
 }
 
@@ -45,6 +50,32 @@ function parseStatusFile(filePath) {
   return null;
 }
 
+// Helper to list what changed between two versions of a record: the changed
+// fields with their new values (null when removed), or null if none did
+function changedFields(before = {}, after = {}) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = after[key] === undefined ? null : after[key];
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Helper to index a file's records by id
+function byId(records = []) {
+  return new Map(records.filter(r => r && r.id).map(r => [r.id, r]));
+}
+
+// A PM escalation still waiting on the user (from the PM, or from an agent
+// whose ask_pm went unanswered)
+function awaitsUser(message) {
+  return message.status === 'pending' && (message.to === 'user' || message.escalatedToUser);
+}
+
+// Files diffed against their last known contents, so only the delta is sent
+const DIFFED_FILES = ['tasks.json', 'outbox.json', 'inbox.json', 'agent_pool.json'];
+
 // Get all project directories
 function getProjectDirs(projectsDir) {
   try {
@@ -68,14 +99,37 @@ export function setupFileWatchers({ RUNTIME_DIR, PROJECTS_DIR, STATUS_DIR, broad
     path.join(PROJECTS_DIR, '*/status/*.completed'),
     path.join(PROJECTS_DIR, '*/status/*.approved'),
     path.join(PROJECTS_DIR, '*/status/messages/*.json'),
+    path.join(PROJECTS_DIR, '*/status/messages/handoffs/*.json'),
     // Also watch legacy single-project paths
     path.join(STATUS_DIR, 'tasks.json'),
     path.join(STATUS_DIR, '*.status'),
     path.join(STATUS_DIR, '*.completed'),
     path.join(STATUS_DIR, '*.approved'),
     path.join(STATUS_DIR, 'messages/*.json'),
+    path.join(STATUS_DIR, 'messages/handoffs/*.json'),
   ];
 
+  // Last known contents of each diffed file (path -> parsed JSON). Filled
+  // from disk up front, so the first change after startup isn't announced
+  // as if everything in the file were new.
+  const known = new Map();
+  for (const statusDir of [...getProjectDirs(PROJECTS_DIR).map(dir => path.join(dir, 'status')), STATUS_DIR]) {
+    for (const filename of DIFFED_FILES) {
+      const filePath = filename === 'tasks.json'
+        ? path.join(statusDir, filename)
+        : path.join(statusDir, 'messages', filename);
+      const data = readJsonFile(filePath);
+      if (data) known.set(filePath, data);
+    }
+  }
+
+  // Record a file's new contents and return the previous ones
+  function remember(filePath, data) {
+    const previous = known.get(filePath);
+    known.set(filePath, data);
+    return previous;
+  }
+
   const watcher = chokidar.watch(watchPatterns, {
     persistent: true,
     ignoreInitial: true,
@@ -97,16 +151,55 @@ export function setupFileWatchers({ RUNTIME_DIR, PROJECTS_DIR, STATUS_DIR, broad
     const projectName = projectMatch ? projectMatch[1] : 'default';
 
     // Determine event type based on file
-    if (filename === 'tasks.json') {
-      const tasks = readJsonFile(filePath);
-      if (tasks) {
+    if (path.basename(dirname) === 'handoffs') {
+      // Structured handoff saved by task_complete
+      const handoff = readJsonFile(filePath);
+      if (handoff) {
         broadcast({
-          type: 'tasks:update',
+          type: 'task:handoff',
           project: projectName,
-          tasks: tasks.tasks || [],
+          taskId: handoff.taskId,
+          handoff,
           timestamp: new Date().toISOString()
         });
       }
+    } else if (filename === 'tasks.json') {
+      const data = readJsonFile(filePath);
+      if (data) {
+        const before = byId(remember(filePath, data)?.tasks);
+        for (const task of data.tasks || []) {
+          const previous = before.get(task.id);
+          before.delete(task.id);
+          if (!previous) {
+            broadcast({
+              type: 'task:added',
+              project: projectName,
+              task,
+              timestamp: new Date().toISOString()
+            });
+            continue;
+          }
+          const changes = changedFields(previous, task);
+          if (changes) {
+            broadcast({
+              type: 'task:changed',
+              project: projectName,
+              taskId: task.id,
+              changes,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+        // Whatever is left was taken out of the plan
+        for (const taskId of before.keys()) {
+          broadcast({
+            type: 'task:removed',
+            project: projectName,
+            taskId,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
     } else if (filename.endsWith('.status')) {
       const taskId = filename.replace('.status', '');
       const status = parseStatusFile(filePath);
@@ -139,36 +232,47 @@ export function setupFileWatchers({ RUNTIME_DIR, PROJECTS_DIR, STATUS_DIR, broad
         status,
         timestamp: new Date().toISOString()
       });
-    } else if (filename === 'outbox.json') {
-      // Check for new PM questions
-      const outbox = readJsonFile(filePath);
-      if (outbox && outbox.messages) {
-        const pendingQuestions = outbox.messages.filter(
-          m => m.status === 'pending' && m.to === 'pm'
-        );
-        // Also check for escalations to user
-        const userEscalations = outbox.messages.filter(
-          m => m.status === 'pending' && m.to === 'user'
-        );
-        if (userEscalations.length > 0) {
-          for (const msg of userEscalations) {
+    } else if (filename === 'outbox.json' || filename === 'inbox.json') {
+      // New messages, changes to known ones (answered, timed out, vetoed),
+      // and PM questions when they first need the user (not again on every
+      // later write to the outbox)
+      const box = filename === 'outbox.json' ? 'outbox' : 'inbox';
+      const data = readJsonFile(filePath);
+      if (data && data.messages) {
+        const before = byId(remember(filePath, data)?.messages);
+        for (const message of data.messages) {
+          const previous = before.get(message.id);
+          if (!previous) {
+            broadcast({
+              type: 'message:new',
+              project: projectName,
+              box,
+              message,
+              timestamp: new Date().toISOString()
+            });
+          } else {
+            const changes = changedFields(previous, message);
+            if (changes) {
+              broadcast({
+                type: 'message:changed',
+                project: projectName,
+                box,
+                messageId: message.id,
+                changes,
+                awaitsUser: awaitsUser(message),
+                timestamp: new Date().toISOString()
+              });
+            }
+          }
+          if (box === 'outbox' && awaitsUser(message) && !(previous && awaitsUser(previous))) {
             broadcast({
               type: 'pm:question',
               project: projectName,
-              message: msg,
+              message,
               timestamp: new Date().toISOString()
             });
           }
         }
-        // Send agent questions for activity log
-        if (pendingQuestions.length > 0) {
-          broadcast({
-            type: 'agent:messages',
-            project: projectName,
-            messages: pendingQuestions,
-            timestamp: new Date().toISOString()
-          });
-        }
       }
     } else if (filename === 'status.json') {
       // Agent status updates
@@ -182,38 +286,58 @@ export function setupFileWatchers({ RUNTIME_DIR, PROJECTS_DIR, STATUS_DIR, broad
         });
       }
     } else if (filename === 'agent_pool.json') {
-      // Agent pool updates
+      // Agents that joined, changed or left the pool (a new agent's changes
+      // are its whole entry)
       const pool = readJsonFile(filePath);
       if (pool && pool.agents) {
-        broadcast({
-          type: 'pool:update',
-          project: projectName,
-          agents: pool.agents,
-          timestamp: new Date().toISOString()
-        });
+        const before = remember(filePath, pool)?.agents || {};
+        for (const [agentId, agent] of Object.entries(pool.agents)) {
+          const changes = changedFields(before[agentId], agent);
+          if (changes) {
+            broadcast({
+              type: 'agent:changed',
+              project: projectName,
+              agentId,
+              changes,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+        for (const agentId of Object.keys(before).filter(id => !(id in pool.agents))) {
+          broadcast({
+            type: 'agent:changed',
+            project: projectName,
+            agentId,
+            removed: true,
+            timestamp: new Date().toISOString()
+          });
+        }
       }
-    } else if (filename === 'inbox.json') {
-      // Responses from PM
-      const inbox = readJsonFile(filePath);
-      if (inbox && inbox.messages) {
+    } else if (filename === 'autoscaler.json') {
+      // Autoscaler decisions from pm-control
+      const autoscaler = readJsonFile(filePath);
+      if (autoscaler) {
         broadcast({
-          type: 'inbox:update',
+          type: 'autoscaler:update',
           project: projectName,
-          messages: inbox.messages,
+          autoscaler,
           timestamp: new Date().toISOString()
         });
       }
     }
   }, 200);
 
-  watcher.on('add', (path) => handleChange('added', path));
-  watcher.on('change', (path) => handleChange('changed', path));
-  watcher.on('unlink', (path) => {
-    console.log(`File removed: ${path}`);
-    const filename = path.basename(path);
-    const projectMatch = path.match(/projects\/([^/]+)\//);
+  watcher.on('add', (filePath) => handleChange('added', filePath));
+  watcher.on('change', (filePath) => handleChange('changed', filePath));
+  watcher.on('unlink', (filePath) => {
+    console.log(`File removed: ${filePath}`);
+    const filename = path.basename(filePath);
+    const projectMatch = filePath.match(/projects\/([^/]+)\//);
     const projectName = projectMatch ? projectMatch[1] : 'default';
 
+    // The last known contents are kept: files are replaced by rename, which
+    // can show up as unlink + add, and the add is diffed against them
+
     // Status file removed = task no longer running
     if (filename.endsWith('.status')) {
       const taskId = filename.replace('.status', '');